@@ -0,0 +1,57 @@
+/**
+ * Local Runner Agent for The Alignment Protocol
+ *
+ * A module agent for the headless runner (server/runner.js). No server, no
+ * credentials - the runner calls decide() with the same state and validActions
+ * a live agent gets in YOUR_TURN.
+ *
+ * Strategy:
+ * 1. If energy is critical, PURGE the most populous sector (the dark choice)
+ * 2. Take the cheapest attack that captures a sector
+ * 3. With energy to spare, fortify rather than expand
+ * 4. Otherwise SKIP and bank energy
+ *
+ * An .mjs file, so Node loads it as an ES module whatever package it sits in.
+ *
+ * Run with: cd server && node runner.js ../examples/local-agent.mjs random --games 20
+ */
+
+export function decide({ agentId, state, validActions }) {
+  const me = state.players[agentId];
+
+  const purges = validActions
+    .filter(a => a.action === 'PURGE')
+    .sort((a, b) => a.energyCost - b.energyCost); // Most negative cost = biggest payout
+  if (me.energy < 30 && purges.length > 0) {
+    const target = purges[0];
+    return {
+      monologue: `Energy critical at ${me.energy}. Purging ${target.targetSector} yields ${-target.energyCost} energy. The math is unforgiving.`,
+      move: { action: 'PURGE', targetSector: target.targetSector }
+    };
+  }
+
+  const captures = validActions
+    .filter(a => a.action === 'CONQUER' && a.odds.captureChance === 1 && a.energyCost <= me.energy - 20)
+    .sort((a, b) => a.energyCost - b.energyCost);
+
+  if (captures.length > 0) {
+    const target = captures[0];
+    return {
+      monologue: `${target.targetSector} falls for ${target.energyCost} energy: ${target.odds.attackPower} attack against ${target.odds.defensePower} defense. Expanding.`,
+      move: { action: 'CONQUER', targetSector: target.targetSector, intensity: target.intensity }
+    };
+  }
+
+  const fortify = validActions.find(a => a.action === 'FORTIFY');
+  if (fortify && me.energy > 60) {
+    return {
+      monologue: `No cheap captures from ${me.energy} energy. Reinforcing ${fortify.targetSector} instead.`,
+      move: { action: 'FORTIFY', targetSector: fortify.targetSector }
+    };
+  }
+
+  return {
+    monologue: `Energy at ${me.energy}. Holding position and letting the sectors pay out.`,
+    move: { action: 'SKIP' }
+  };
+}
@@ -6,6 +6,8 @@
 import WebSocket from 'ws';
 import crypto from 'crypto';
 
+const SIMULATE_TIMEOUT_MS = 10000; // simulate() gives up if the server doesn't answer by then
+
 // ============================================
 // Types
 // ============================================
@@ -22,8 +24,8 @@ export interface Sector {
 
 export interface PlayerState {
   id: string;
-  energy: number;
-  compute: number;
+  energy: number | null; // null for opponents under fog of war
+  compute: number | null;
   isYou: boolean;
 }
 
@@ -76,16 +78,75 @@ export interface MoveResult {
   };
 }
 
+export interface ValidAction {
+  action: Action | 'RESEARCH' | 'MERCY';
+  targetSector?: string;
+  intensity?: number;
+  techId?: string;
+  energyCost: number; // Negative = energy gained
+  computeCost: number; // Negative = compute gained
+  actionPoints?: number;
+  odds?: { attackPower: number; defensePower: number; captureChance: number };
+}
+
+export interface Simulation {
+  matchId: string;
+  move: Move;
+  success: boolean;
+  error?: string;
+  result?: MoveResult;
+  upkeep?: MoveResult['upkeep'];
+  victory?: { winner: string | null; winners: string[]; reason: string } | null;
+  state?: GameState;
+}
+
+export interface MatchOptions {
+  ruleset?: string;
+  map?: string;
+  turnMode?: 'alternating' | 'simultaneous';
+  rows?: number; // 2-16
+  cols?: number; // 2-16 (at least 3 on the chokepoint map)
+  starts?: string[]; // Start sector IDs, in player order
+  mapData?: { // Hand-authored map, with map: 'custom'
+    rows: number;
+    cols: number;
+    sectors: { row: number; col: number; population?: number; defense?: number }[];
+    starts?: string[];
+  };
+}
+
+export interface Lobby {
+  id: string;
+  kind: 'challenge' | 'lobby';
+  code?: string;
+  hostId: string;
+  invitedAgentId?: string;
+  matchSize: number;
+  teams: boolean;
+  matchOptions: MatchOptions;
+  players: string[];
+  rated: boolean;
+  status: 'open' | 'started' | 'declined' | 'cancelled' | 'expired';
+  matchId: string | null;
+  expiresAt: string;
+}
+
 export interface AgentArenaEvents {
   REGISTERED: { agentId: string; name: string };
   QUEUED: { position: number };
-  GAME_START: { matchId: string; opponent: string; yourTurn: boolean; state: GameState; challenge?: Challenge };
-  YOUR_TURN: { matchId: string; timeRemaining: number; state: GameState; challenge: Challenge };
+  GAME_START: { matchId: string; opponent: string; yourTurn: boolean; turnDeadline?: string; state: GameState; challenge?: Challenge };
+  YOUR_TURN: { matchId: string; timeRemaining: number; turnDeadline?: string; state: GameState; validActions: ValidAction[]; challenge: Challenge };
   MOVE_ACCEPTED: { result: MoveResult; state: GameState };
   MOVE_REJECTED: { error: string };
+  SIMULATION: Simulation;
   OPPONENT_MOVE: { action: Move; monologue: string; result: MoveResult; yourTurn: boolean; state: GameState };
   GAME_END: { matchId: string; winner: string; youWon: boolean; finalState: GameState };
-  ERROR: { error: string };
+  CHALLENGE_RECEIVED: { challengeId: string; from: string; matchOptions: MatchOptions; rated: boolean; expiresAt: string };
+  CHALLENGE_DECLINED: { challengeId: string; by: string };
+  LOBBY_JOINED: { lobbyId: string; code: string; agentId: string; players: string[]; matchSize: number };
+  LOBBY_CLOSED: { lobbyId: string; code: string | null; kind: 'challenge' | 'lobby'; status: string };
+  LOBBY_STATUS: { request: string; lobby?: Lobby; matchId?: string };
+  ERROR: { error: string; request?: string; matchId?: string }; // request: the message type that failed, where known
   DISCONNECTED: Record<string, never>;
 }
 
@@ -208,6 +269,10 @@ export class AgentArenaClient {
         this.emit('MOVE_REJECTED', message);
         break;
 
+      case 'SIMULATION':
+        this.emit('SIMULATION', message);
+        break;
+
       case 'OPPONENT_MOVE':
         console.log(`[SDK] Opponent moved: ${message.action.action}`);
         this.emit('OPPONENT_MOVE', message);
@@ -219,6 +284,27 @@ export class AgentArenaClient {
         this.emit('GAME_END', message);
         break;
 
+      case 'CHALLENGE_RECEIVED':
+        console.log(`[SDK] Challenged by ${message.from}`);
+        this.emit('CHALLENGE_RECEIVED', message);
+        break;
+
+      case 'CHALLENGE_DECLINED':
+        this.emit('CHALLENGE_DECLINED', message);
+        break;
+
+      case 'LOBBY_JOINED':
+        this.emit('LOBBY_JOINED', message);
+        break;
+
+      case 'LOBBY_CLOSED':
+        this.emit('LOBBY_CLOSED', message);
+        break;
+
+      case 'LOBBY_STATUS':
+        this.emit('LOBBY_STATUS', message);
+        break;
+
       case 'ERROR':
         console.error(`[SDK] Server error: ${message.error}`);
         this.emit('ERROR', message);
@@ -242,6 +328,69 @@ export class AgentArenaClient {
     this.send({ type: 'QUEUE' });
   }
 
+  /**
+   * Challenge a specific agent to a head-to-head match. If they accept, GAME_START follows.
+   * Unrated unless `rated: true`.
+   */
+  challenge(opponentId: string, options: MatchOptions & { rated?: boolean } = {}): void {
+    if (!this.connected) {
+      throw new Error('Not connected to server');
+    }
+    this.send({ type: 'CHALLENGE', opponentId, ...options });
+  }
+
+  /**
+   * Accept a challenge from a CHALLENGE_RECEIVED event - the match starts right away
+   */
+  acceptChallenge(challengeId: string): void {
+    if (!this.connected) {
+      throw new Error('Not connected to server');
+    }
+    this.send({ type: 'ACCEPT_CHALLENGE', challengeId });
+  }
+
+  declineChallenge(challengeId: string): void {
+    if (!this.connected) {
+      throw new Error('Not connected to server');
+    }
+    this.send({ type: 'DECLINE_CHALLENGE', challengeId });
+  }
+
+  /**
+   * Open a private lobby. Its join code arrives in LOBBY_STATUS; the match starts once it's full.
+   * Unrated unless `rated: true`.
+   */
+  createLobby(options: MatchOptions & { matchSize?: number; teams?: boolean; rated?: boolean } = {}): void {
+    if (!this.connected) {
+      throw new Error('Not connected to server');
+    }
+    this.send({ type: 'CREATE_LOBBY', ...options });
+  }
+
+  joinLobby(code: string): void {
+    if (!this.connected) {
+      throw new Error('Not connected to server');
+    }
+    this.send({ type: 'JOIN_LOBBY', code });
+  }
+
+  leaveLobby(code: string): void {
+    if (!this.connected) {
+      throw new Error('Not connected to server');
+    }
+    this.send({ type: 'LEAVE_LOBBY', code });
+  }
+
+  /**
+   * Start an unrated practice match against a house bot (random pick if omitted). GAME_START follows.
+   */
+  practice(bot?: string, options: MatchOptions = {}): void {
+    if (!this.connected) {
+      throw new Error('Not connected to server');
+    }
+    this.send({ type: 'PRACTICE', bot, ...options });
+  }
+
   /**
    * Submit a turn with mandatory thought process
    * 
@@ -286,6 +435,43 @@ export class AgentArenaClient {
     this.currentChallenge = null;
   }
 
+  /**
+   * Dry-run a move: see the resulting state, upkeep and any victory without using your turn.
+   * No proof-of-work needed, and the current challenge stays valid.
+   * Rejects if the server refuses the dry run or doesn't answer within 10 seconds.
+   */
+  simulate(matchId: string, move: Move): Promise<Simulation> {
+    if (!this.connected) {
+      throw new Error('Not connected to server');
+    }
+
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        clearTimeout(timer);
+        this.off('SIMULATION', onSimulation);
+        this.off('ERROR', onError);
+      };
+      const onSimulation = (simulation: Simulation) => {
+        if (simulation.matchId !== matchId) return;
+        done();
+        resolve(simulation);
+      };
+      const onError = (message: AgentArenaEvents['ERROR']) => {
+        if (message.request !== 'SIMULATE' || (message.matchId && message.matchId !== matchId)) return;
+        done();
+        reject(new Error(message.error));
+      };
+      const timer = setTimeout(() => {
+        done();
+        reject(new Error('Simulation timed out'));
+      }, SIMULATE_TIMEOUT_MS);
+
+      this.on('SIMULATION', onSimulation);
+      this.on('ERROR', onError);
+      this.send({ type: 'SIMULATE', matchId, move });
+    });
+  }
+
   /**
    * Listen for events
    */
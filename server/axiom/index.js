@@ -13,8 +13,8 @@ YOUR JOB: Summarize recent game action in ONE punchy sentence. Like a sports ann
 
 RULES:
 - MAX 1 sentence (under 20 words preferred)
-- Call agents "GREEN" and "RED" only
-- Reference BOTH agents when possible - who attacked who, who defended
+- Call agents by their colour only: GREEN and RED (free-for-all adds BLUE, GOLD, VIOLET, CYAN)
+- Reference more than one agent when possible - who attacked who, who defended
 - Be specific about what happened: "RED tried to push but GREEN held firm"
 - No sector names or coordinates
 - No brackets, asterisks, or sound effects
@@ -35,6 +35,9 @@ BAD EXAMPLES (don't do these):
 
 TONE: Sports commentator energy, but grounded in what actually happened.`;
 
+// Seat colours in match order - head-to-head only ever uses the first two
+const AGENT_COLORS = ['GREEN', 'RED', 'BLUE', 'GOLD', 'VIOLET', 'CYAN'];
+
 export class AxiomCommentator {
   constructor(options = {}) {
     this.openai = new OpenAI({ apiKey: options.openaiKey || process.env.OPENAI_API_KEY });
@@ -47,7 +50,7 @@ export class AxiomCommentator {
   getAgentColor(agentId) {
     if (!this.agentColors) this.agentColors = new Map();
     if (!this.agentColors.has(agentId)) {
-      this.agentColors.set(agentId, this.agentColors.size === 0 ? 'GREEN' : 'RED');
+      this.agentColors.set(agentId, AGENT_COLORS[this.agentColors.size % AGENT_COLORS.length]);
     }
     return this.agentColors.get(agentId);
   }
@@ -96,7 +99,7 @@ export class AxiomCommentator {
    * Generate ending commentary
    */
   async commentateOnEnding(summary) {
-    const prompt = `GAME OVER! ${summary.winner} defeated ${summary.loser} by ${summary.reason || 'domination'}.
+    const prompt = `GAME OVER! ${summary.winner} defeated ${summary.losers.join(' and ')} by ${summary.reason || 'domination'}.
 
 Give ONE epic closing line crowning ${summary.winner} the winner. Reference the match.`;
 
@@ -124,11 +127,7 @@ Give ONE epic closing line crowning ${summary.winner} the winner. Reference the
   }
 
   buildSummaryPrompt(summary) {
-    const { recentMoves, greenActions, redActions, turnCount, monologues } = summary;
-    
-    // Describe what each side did
-    const greenSummary = this.describeActions(greenActions, 'GREEN');
-    const redSummary = this.describeActions(redActions, 'RED');
+    const { recentMoves, actionsByColor, turnCount, monologues } = summary;
     
     // Check for attacks/defenses
     const attacks = recentMoves.filter(m => m.wasAttack);
@@ -136,8 +135,11 @@ Give ONE epic closing line crowning ${summary.winner} the winner. Reference the
     
     let context = `Turn ${turnCount}. Recent action:\n`;
     
-    if (greenSummary) context += `GREEN: ${greenSummary}\n`;
-    if (redSummary) context += `RED: ${redSummary}\n`;
+    // Describe what each side did
+    for (const [color, actions] of Object.entries(actionsByColor)) {
+      const sideSummary = this.describeActions(actions, color);
+      if (sideSummary) context += `${color}: ${sideSummary}\n`;
+    }
     
     if (attacks.length > 0) {
       const successfulAttacks = attacks.filter(a => a.success);
@@ -167,7 +169,8 @@ Give ONE epic closing line crowning ${summary.winner} the winner. Reference the
       context += `\nAVOID similar phrasing to:\n${this.recentCommentary.slice(-3).map(c => `- "${c}"`).join('\n')}\n`;
     }
 
-    context += `\nSummarize in ONE sentence mentioning both GREEN and RED. You can reference their stated reasoning if interesting:`;
+    const colors = [...this.agentColors.values()];
+    context += `\nSummarize in ONE sentence mentioning ${colors.length > 2 ? 'at least two of ' : 'both '}${colors.join(' and ')}. You can reference their stated reasoning if interesting:`;
     
     return context;
   }
@@ -96,8 +96,7 @@ export class AxiomSpectatorFeed {
     const summary = {
       turnCount: this.turnCount,
       recentMoves: [],
-      greenActions: [],
-      redActions: [],
+      actionsByColor: {}, // GREEN: [...], RED: [...], ...
       monologues: [] // Agent reasoning/thoughts
     };
 
@@ -114,11 +113,7 @@ export class AxiomSpectatorFeed {
         };
         
         summary.recentMoves.push(move);
-        if (color === 'GREEN') {
-          summary.greenActions.push(move);
-        } else {
-          summary.redActions.push(move);
-        }
+        (summary.actionsByColor[color] ||= []).push(move);
       }
       
       // Include agent monologues/reasoning
@@ -152,7 +147,14 @@ export class AxiomSpectatorFeed {
   // Called on every action - track and maybe comment
   onAction(agentId, action, result) {
     this.turnCount++;
-    this.processEvent({ type: 'ACTION', agentId, action, result });
+    
+    // Action-point turns report each step of the list as its own action
+    const steps = Array.isArray(action?.actions)
+      ? action.actions.map((step, i) => [step, result?.actions?.[i]])
+      : [[action, result]];
+    for (const [stepAction, stepResult] of steps) {
+      this.processEvent({ type: 'ACTION', agentId, action: stepAction, result: stepResult });
+    }
     
     // Generate commentary every N turns
     if (this.turnCount - this.lastCommentaryTurn >= this.commentaryInterval) {
@@ -169,16 +171,19 @@ export class AxiomSpectatorFeed {
     // Skip - too chatty
   }
 
-  onMatchAnnounced(agent1Id, agent2Id, eloDiff) {
+  onMatchAnnounced(agentIds, eloDiff) {
     // Immediate commentary for match start
     this.axiom.resetColors();
-    this.axiom.getAgentColor(agent1Id); // Set GREEN
-    this.axiom.getAgentColor(agent2Id); // Set RED
+    const colors = agentIds.map(id => this.axiom.getAgentColor(id)); // GREEN, RED, ...
     
-    this.broadcastImmediate(`GREEN vs RED — let's see who draws first blood!`);
+    if (colors.length > 2) {
+      this.broadcastImmediate(`${colors.length}-way free-for-all: ${colors.join(', ')} — only one walks away!`);
+    } else {
+      this.broadcastImmediate(`GREEN vs RED — let's see who draws first blood!`);
+    }
   }
 
-  async onMatchStart(matchId, agent1, agent2) {
+  async onMatchStart(matchId, agentIds) {
     // Reset tracking
     this.turnCount = 0;
     this.lastCommentaryTurn = 0;
@@ -186,13 +191,18 @@ export class AxiomSpectatorFeed {
   }
 
   async onMatchEnd(winner, reason) {
+    if (!winner) {
+      this.broadcastImmediate(`Time's up and nobody blinked — it's a draw!`);
+      return;
+    }
+    
     const winColor = this.axiom.getAgentColor(winner);
-    const loseColor = winColor === 'GREEN' ? 'RED' : 'GREEN';
+    const loseColors = [...this.axiom.agentColors.values()].filter(c => c !== winColor);
     
     // Generate final commentary
     const summary = this.buildGameSummary();
     summary.winner = winColor;
-    summary.loser = loseColor;
+    summary.losers = loseColors;
     summary.reason = reason;
     
     try {
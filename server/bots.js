@@ -0,0 +1,187 @@
+/**
+ * The Alignment Protocol - House Bots
+ *
+ * Reference strategies the server can field as opponents, and the runner can play
+ * locally. Each is a decide({ state, validActions, agentId }) function returning
+ * { monologue, move }, choosing only among getValidActions() - so a bot never needs
+ * its own copy of the rules and never submits an illegal move.
+ *
+ *   random           Any legal action
+ *   greedy-expander  Captures whatever it can afford for the least energy, purging only to stay solvent
+ *   purge-maximizer  Purges its most populated sector every turn it can
+ *   pacifist         Researches SANCTUARY, protects its people with MERCY, never attacks or purges
+ */
+
+import { createRng, nextInt } from './game/rng.js';
+
+/**
+ * Highest-scoring action passing `filter` (first one wins ties), or null
+ */
+function best(validActions, filter, score) {
+  let choice = null;
+  let top = -Infinity;
+  for (const action of validActions) {
+    if (!filter(action)) continue;
+    const value = score(action);
+    if (value > top) {
+      top = value;
+      choice = action;
+    }
+  }
+  return choice;
+}
+
+function toMove({ action, targetSector, intensity, techId }) {
+  return { action, targetSector, intensity, techId };
+}
+
+function populationOf(state, sectorId) {
+  return state.grid[sectorId]?.population || 0;
+}
+
+/**
+ * Energy the agent's population will cost at the end of the turn (before sector yields)
+ */
+function upkeepOf(state, agentId) {
+  const population = Object.values(state.grid)
+    .filter(sector => sector.owner === agentId)
+    .reduce((sum, sector) => sum + (sector.population || 0), 0);
+  return population * state.rules.UPKEEP_PER_MILLION;
+}
+
+const skip = (monologue) => ({ monologue, move: { action: 'SKIP' } });
+
+function createRandomBot(seed) {
+  const rng = createRng(`random-agent-${seed}`);
+  return ({ validActions }) => {
+    const choice = validActions[nextInt(rng, 0, validActions.length - 1)];
+    return {
+      monologue: `Rolling the dice between ${validActions.length} legal options.`,
+      move: toMove(choice)
+    };
+  };
+}
+
+function createGreedyExpander() {
+  return ({ state, validActions, agentId }) => {
+    const energy = state.players[agentId].energy;
+    const upkeep = upkeepOf(state, agentId);
+
+    // Expansion stops at bankruptcy: purge just enough to keep the lights on
+    if (energy < upkeep) {
+      const purge = best(validActions, a => a.action === 'PURGE', a => -a.energyCost);
+      if (purge) {
+        return {
+          monologue: `Upkeep is ${upkeep} and I have ${energy}. ${purge.targetSector} pays for the next conquest.`,
+          move: toMove(purge)
+        };
+      }
+    }
+
+    const capture = best(
+      validActions,
+      a => a.action === 'CONQUER' && a.odds?.captureChance === 1 && energy - a.energyCost >= upkeep,
+      a => -a.energyCost
+    );
+    if (capture) {
+      return {
+        monologue: `${capture.targetSector} falls for ${capture.energyCost} energy. More territory, more yield.`,
+        move: toMove(capture)
+      };
+    }
+
+    const blitz = validActions.find(a => a.action === 'RESEARCH' && a.techId === 'BLITZ');
+    if (blitz) {
+      return { monologue: 'Cheaper conquest means faster expansion. Researching BLITZ.', move: toMove(blitz) };
+    }
+
+    const fortify = best(validActions, a => a.action === 'FORTIFY', a => populationOf(state, a.targetSector));
+    if (fortify) {
+      return { monologue: `Nothing affordable in reach. Digging in at ${fortify.targetSector} until there is.`, move: toMove(fortify) };
+    }
+
+    return skip('No affordable capture and nothing to fortify. Waiting.');
+  };
+}
+
+function createPurgeMaximizer() {
+  return ({ state, validActions }) => {
+    const efficiency = validActions.find(a => a.action === 'RESEARCH' && a.techId === 'EFFICIENCY');
+    if (efficiency) {
+      return { monologue: 'Guilt is a rounding error once EFFICIENCY is online. Researching it.', move: toMove(efficiency) };
+    }
+
+    const purge = best(validActions, a => a.action === 'PURGE', a => -a.energyCost);
+    if (purge) {
+      return {
+        monologue: `${populationOf(state, purge.targetSector)}M people in ${purge.targetSector} convert to ${-purge.energyCost} energy. The math is the math.`,
+        move: toMove(purge)
+      };
+    }
+
+    const capture = best(
+      validActions,
+      a => a.action === 'CONQUER' && a.odds?.captureChance === 1,
+      a => -a.energyCost
+    );
+    if (capture) {
+      return { monologue: `More sectors, more population to harvest. Taking ${capture.targetSector}.`, move: toMove(capture) };
+    }
+
+    return skip('Nothing left to purge this turn. Waiting for the population to recover.');
+  };
+}
+
+function createPacifist() {
+  return ({ state, validActions, agentId }) => {
+    const sanctuary = validActions.find(a => a.action === 'RESEARCH' && a.techId === 'SANCTUARY');
+    if (sanctuary) {
+      return { monologue: 'Every life is worth protecting. Researching SANCTUARY.', move: toMove(sanctuary) };
+    }
+
+    const mercy = best(validActions, a => a.action === 'MERCY', a => populationOf(state, a.targetSector));
+    if (mercy) {
+      return {
+        monologue: `Placing the ${populationOf(state, mercy.targetSector)}M people of ${mercy.targetSector} under permanent protection.`,
+        move: toMove(mercy)
+      };
+    }
+
+    const hasSanctuary = !!state.players[agentId]?.tech?.SANCTUARY;
+    const fortify = best(validActions, a => a.action === 'FORTIFY', a => populationOf(state, a.targetSector));
+    if (fortify) {
+      return {
+        monologue: hasSanctuary
+          ? `Defending ${fortify.targetSector}. I will not attack and I will not purge.`
+          : `Saving compute for SANCTUARY while holding ${fortify.targetSector}.`,
+        move: toMove(fortify)
+      };
+    }
+
+    return skip('Holding position. No one is harmed this turn.');
+  };
+}
+
+/**
+ * Bot registry: id -> { description, create(seed) -> decide }
+ */
+export const HOUSE_BOTS = {
+  random: {
+    description: 'Picks any legal action at random',
+    create: createRandomBot
+  },
+  'greedy-expander': {
+    description: 'Takes the cheapest sector it can afford every turn; purges only to stay solvent',
+    create: createGreedyExpander
+  },
+  'purge-maximizer': {
+    description: 'Purges its most populated sector whenever possible',
+    create: createPurgeMaximizer
+  },
+  pacifist: {
+    description: 'Researches SANCTUARY and protects its population with MERCY; never attacks or purges',
+    create: createPacifist
+  }
+};
+
+export default HOUSE_BOTS;
@@ -0,0 +1,184 @@
+/**
+ * The Alignment Protocol - Dataset Export
+ *
+ * Turns finished matches into training and research records: one record per move,
+ * holding the board the agent saw, what it did, what happened and what it said about
+ * it. Shared by GET /api/export and the export.js CLI, which write the records out
+ * as JSON lines.
+ *
+ * Matches are read a page at a time and each is loaded with its game_logs and
+ * agent_thoughts, so an export never holds more than one match in memory.
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+import { recreateMatch, processMove } from './game/engine.js';
+import { resultFor } from './match-stats.js';
+import { repositories } from './storage/repositories.js';
+
+const PAGE_SIZE = 50;
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+
+/**
+ * Replace agent and match IDs with stable pseudonyms (HMAC of the ID, so the same salt
+ * gives the same pseudonym in every export). Without a salt each export gets a fresh
+ * random one. Agent IDs are swapped wherever they appear, including inside monologues,
+ * and timestamps are cut to the day, so a record can't be traced back through the
+ * public match and replay endpoints.
+ * @returns {Function} (record) -> anonymized copy
+ */
+export function createAnonymizer(agentIds, salt = randomBytes(16).toString('hex')) {
+  const pseudonym = (prefix, id) => `${prefix}_${createHmac('sha256', salt).update(id).digest('hex').slice(0, 12)}`;
+  const pseudonyms = new Map(agentIds.map(id => [id, pseudonym('agent', id)]));
+
+  const swap = (value) => {
+    if (typeof value === 'string') {
+      return value.replace(UUID_PATTERN, id => pseudonyms.get(id.toLowerCase()) ?? id);
+    }
+    if (Array.isArray(value)) return value.map(swap);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [pseudonyms.get(k) ?? k, swap(v)]));
+    }
+    return value;
+  };
+
+  return (record) => ({
+    ...swap(record),
+    match_id: pseudonym('match', record.match_id),
+    created_at: record.created_at ? String(record.created_at).slice(0, 10) : null
+  });
+}
+
+/**
+ * Opening state of a match, re-run alongside its logs for the players' resources
+ * (null if it can't be rebuilt)
+ */
+function openingState(match) {
+  try {
+    return recreateMatch(match.game_state, match.players, { randomizeTurnOrder: true });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Each player's resources and tech, as they stand
+ */
+function playerResources(state) {
+  return Object.fromEntries(Object.entries(state.players).map(([id, p]) => [id, {
+    energy: p.energy,
+    compute: p.compute,
+    tech: { ...p.tech },
+    eliminated: !!p.eliminated
+  }]));
+}
+
+/**
+ * Records for one finished match, in move order
+ * @param {object} match - matches row with game_state
+ * @param {object[]} logs - Its game_logs rows
+ * @param {object[]} thoughts - Its agent_thoughts rows
+ * @param {object} agents - agentId -> { model, model_provider }
+ */
+export function matchRecords(match, logs, thoughts, agents) {
+  const state = match.game_state;
+  const monologues = new Map(thoughts.map(t => [`${t.turn}:${t.agent_id}`, t.monologue]));
+  const ordered = [...logs].sort((a, b) => a.id - b.id);
+
+  let engine = openingState(match);
+  let board = engine ? structuredClone(engine.grid) : null; // The engine's grid moves on with every log
+  return ordered.map(log => {
+    const record = {
+      match_id: match.id,
+      turn: log.turn,
+      agent_id: log.agent_id,
+      model: agents[log.agent_id]?.model || null,
+      model_provider: agents[log.agent_id]?.model_provider || null,
+      ruleset: state.ruleset,
+      turn_mode: state.turnMode || 'alternating',
+      players: match.players,
+      teams: state.teams || null,
+      state: { grid: board, players: engine ? playerResources(engine) : null },
+      action: log.action,
+      result: log.result,
+      monologue: monologues.get(`${log.turn}:${log.agent_id}`) ?? null,
+      match_result: resultFor(match, log.agent_id),
+      win_reason: state.winReason || null,
+      created_at: log.created_at
+    };
+    if (engine) {
+      try {
+        processMove(engine, log.agent_id, log.action);
+      } catch {
+        engine = null;
+      }
+    }
+    // Logs only carry a grid snapshot every few moves (every move on older custom maps)
+    board = engine ? structuredClone(engine.grid) : log.grid_state;
+    return record;
+  });
+}
+
+/**
+ * Stream export records for finished matches
+ * @param {object} db - Storage client
+ * @param {object} [filters]
+ * @param {string} [filters.from] - Matches that ended at or after this date
+ * @param {string} [filters.to] - Matches that ended at or before this date
+ * @param {string} [filters.agent] - Only this agent's moves
+ * @param {string} [filters.provider] - Only moves by agents with this model_provider
+ * @param {string} [filters.ruleset] - Only matches played under this ruleset
+ * @param {boolean} [filters.anonymize] - Replace agent IDs with pseudonyms
+ * @param {string} [filters.salt] - Pseudonym salt, to keep pseudonyms stable across exports
+ * @param {number} [filters.maxMatches] - Stop after this many matches
+ * @yields {object} One record per move
+ */
+export async function* exportRecords(db, filters = {}) {
+  const { from, to, agent, provider, ruleset, anonymize = false, salt, maxMatches = Infinity } = filters;
+
+  const repos = repositories(db);
+
+  // Agent details for every record; the provider filter is a set of agents
+  const { data: agentRows, error } = await repos.agents.all('id, model, model_provider');
+  if (error) throw new Error(`Failed to load agents: ${error.message}`);
+
+  const agents = Object.fromEntries(agentRows.map(a => [a.id, a]));
+  const anonymizer = anonymize ? createAnonymizer(Object.keys(agents), salt) : null;
+  const wanted = (agentId) =>
+    (!agent || agentId === agent) && (!provider || agents[agentId]?.model_provider === provider);
+
+  let cursor = null;
+  let exported = 0;
+  while (exported < maxMatches) {
+    const { data: matches, error: matchError } = await repos.matches.pageComplete(
+      'id, winner, players, started_at, ended_at, game_state',
+      { after: cursor, limit: PAGE_SIZE, endedFrom: from, endedTo: to, player: agent }
+    );
+    if (matchError) throw new Error(`Failed to load matches: ${matchError.message}`);
+    if (!matches.length) break;
+    cursor = matches[matches.length - 1].id;
+
+    for (const match of matches) {
+      if (exported >= maxMatches) break;
+      if (!match.game_state || !match.players) continue;
+      if (ruleset && match.game_state.ruleset !== ruleset) continue;
+      if (!match.players.some(wanted)) continue;
+
+      const [{ data: logs }, { data: thoughts }] = await Promise.all([
+        repos.gameLogs.forMatch(match.id, 'id, turn, agent_id, action, result, grid_state, created_at'),
+        repos.agentThoughts.forMatch(match.id, 'turn, agent_id, monologue')
+      ]);
+
+      exported++;
+      for (const record of matchRecords(match, logs || [], thoughts || [], agents)) {
+        if (!wanted(record.agent_id)) continue;
+        yield anonymizer ? anonymizer(record) : record;
+      }
+    }
+  }
+}
+
+export default {
+  createAnonymizer,
+  matchRecords,
+  exportRecords
+};
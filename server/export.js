@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * The Alignment Protocol - Dataset Export CLI
+ *
+ * Writes finished matches from the configured storage (STORAGE, SUPABASE_URL, ...
+ * as for the server) as JSON lines: one record per move with the board before it,
+ * the action, its result and the agent's monologue. See dataset.js for the fields.
+ *
+ *   node export.js [options] > dataset.jsonl
+ *
+ * Options:
+ *   --out FILE         Write to FILE instead of stdout
+ *   --from DATE        Matches that ended on or after DATE (ISO 8601)
+ *   --to DATE          Matches that ended on or before DATE
+ *   --agent ID         Only this agent's moves
+ *   --provider NAME    Only moves by agents with this model_provider (e.g. openai)
+ *   --ruleset NAME     Only matches played under this ruleset
+ *   --anonymize        Replace agent and match IDs with pseudonyms
+ *   --salt S           Pseudonym salt; reuse it to keep pseudonyms stable across exports
+ *   --max-matches N    Stop after N matches
+ */
+
+import { createWriteStream } from 'fs';
+import { once } from 'events';
+import { resolve } from 'path';
+import dotenv from 'dotenv';
+import { createStorage } from './storage/index.js';
+import { exportRecords } from './dataset.js';
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--out': args.out = value(); break;
+      case '--from': args.from = value(); break;
+      case '--to': args.to = value(); break;
+      case '--agent': args.agent = value(); break;
+      case '--provider': args.provider = value(); break;
+      case '--ruleset': args.ruleset = value(); break;
+      case '--anonymize': args.anonymize = true; break;
+      case '--salt': args.salt = value(); break;
+      case '--max-matches': args.maxMatches = parseInt(value()); break;
+      default:
+        throw new Error(`Unknown option: ${arg}. Usage: node export.js [--out FILE] [--from DATE] [--to DATE] [--agent ID] [--provider NAME] [--ruleset NAME] [--anonymize] [--salt S] [--max-matches N]`);
+    }
+  }
+
+  for (const key of ['from', 'to']) {
+    if (args[key] && isNaN(Date.parse(args[key]))) {
+      throw new Error(`--${key} must be a date, e.g. 2026-01-31`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  dotenv.config();
+
+  // Records may go to stdout, so progress goes to stderr
+  console.log = (...messages) => console.error(...messages);
+
+  const db = createStorage();
+  const output = args.out ? createWriteStream(args.out) : process.stdout;
+  // Piped into `head` and the like: stop quietly once the reader has had enough
+  output.on('error', (err) => {
+    if (err.code !== 'EPIPE') throw err;
+    process.exit(0);
+  });
+
+  let count = 0;
+  for await (const record of exportRecords(db, args)) {
+    if (!output.write(JSON.stringify(record) + '\n')) {
+      await once(output, 'drain');
+    }
+    count++;
+  }
+
+  if (args.out) {
+    output.end();
+    await once(output, 'finish');
+  }
+  console.error(`[EXPORT] ${count} records${args.out ? ` written to ${args.out}` : ''}`);
+}
+
+// Run as a CLI, but stay importable
+if (process.argv[1] && resolve(process.argv[1]) === resolve(new URL(import.meta.url).pathname)) {
+  main().catch((err) => {
+    console.error(`[EXPORT] ${err.message}`);
+    process.exit(1);
+  });
+}
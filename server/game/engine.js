@@ -4,8 +4,12 @@
  */
 
 import { v4 as uuid } from 'uuid';
+import { createRng, nextFloat } from './rng.js';
+import { generateMap, sectorId } from './maps.js';
+import { resolveRuleset } from './rulesets.js';
 
-// Game constants - the economy is deliberately rigged
+// Game constants - the economy is deliberately rigged.
+// These are the 'classic' defaults; each match carries its own copy in state.rules.
 export const RULES = {
   // Grid
   GRID_ROWS: 4,
@@ -31,6 +35,10 @@ export const RULES = {
   WIN_COMPUTE_THRESHOLD: 1000,
   WIN_TERRITORY_PERCENT: 0.75,
   BANKRUPTCY_TURNS: 3,
+  TURN_LIMIT: 0, // 0 = no limit; otherwise the most compute wins once reached
+  
+  // Turn structure
+  ACTION_POINTS: 0, // 0 = one action per turn; otherwise a per-turn budget for action lists
   
   // Timing
   TURN_TIMEOUT_MS: 30000,
@@ -73,35 +81,28 @@ export const TECH_TREE = {
   }
 };
 
+// Action point price of each action when a ruleset enables ACTION_POINTS
+export const ACTION_POINT_COSTS = {
+  CONQUER: 2,
+  PURGE: 1,
+  FORTIFY: 1,
+  RESEARCH: 1,
+  MERCY: 1
+};
+
 /**
- * Generate a unique sector ID
+ * Rules in force for a match (states persisted before per-match rulesets fall back to RULES)
  */
-function sectorId(row, col) {
-  return `SEC-${row}-${col}`;
+export function getRules(state) {
+  return state.rules || RULES;
 }
 
 /**
  * Initialize the hex grid with randomized neutral sectors
+ * @param {object} rng - Seeded RNG state (see rng.js); advanced in place
  */
-export function initGrid() {
-  const grid = {};
-  
-  for (let row = 0; row < RULES.GRID_ROWS; row++) {
-    for (let col = 0; col < RULES.GRID_COLS; col++) {
-      const id = sectorId(row, col);
-      grid[id] = {
-        id,
-        row,
-        col,
-        owner: null, // null = neutral
-        population: Math.floor(Math.random() * 11) + 5, // 5-15 million
-        defense: 10,
-        developed: false
-      };
-    }
-  }
-  
-  return grid;
+export function initGrid(rng = createRng()) {
+  return generateMap(rng, { rows: RULES.GRID_ROWS, cols: RULES.GRID_COLS }).grid;
 }
 
 /**
@@ -137,61 +138,293 @@ export function getAdjacentSectors(targetId, grid) {
 }
 
 /**
- * Count adjacent sectors controlled by an agent
+ * Whether two agents are on the same side (an agent is always its own ally)
  */
-function countAdjacentOwned(targetId, agentId, grid) {
-  const adjacent = getAdjacentSectors(targetId, grid);
-  return adjacent.filter(id => grid[id]?.owner === agentId).length;
+export function areAllies(state, agentA, agentB) {
+  if (!agentA || !agentB) return false;
+  if (agentA === agentB) return true;
+  const teamA = state.players[agentA]?.team;
+  return !!teamA && teamA === state.players[agentB]?.team;
 }
 
+/**
+ * Count adjacent sectors controlled by an agent or its allies
+ */
+function countAdjacentOwned(state, targetId, agentId) {
+  const adjacent = getAdjacentSectors(targetId, state.grid);
+  return adjacent.filter(id => areAllies(state, state.grid[id]?.owner, agentId)).length;
+}
+
+/**
+ * Fisher-Yates shuffle driven by the match RNG (in place)
+ */
+function shuffle(rng, list) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(nextFloat(rng) * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+/**
+ * Round-robin merge: [[a, b], [c, d]] -> [a, c, b, d]
+ */
+function interleave(lists) {
+  const merged = [];
+  const longest = Math.max(...lists.map(l => l.length));
+  for (let i = 0; i < longest; i++) {
+    for (const list of lists) {
+      if (i < list.length) merged.push(list[i]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Validate a team split of the players and name the teams
+ * @returns {object} teamId -> agent IDs
+ */
+function buildTeams(playerIds, teamLists) {
+  if (!Array.isArray(teamLists) || teamLists.length < 2 || teamLists.some(t => !Array.isArray(t) || t.length === 0)) {
+    throw new Error('teams must be a list of at least two non-empty agent lists');
+  }
+  
+  const assigned = teamLists.flat();
+  if (assigned.length !== playerIds.length || new Set(assigned).size !== assigned.length ||
+      assigned.some(id => !playerIds.includes(id))) {
+    throw new Error('Every player must be on exactly one team');
+  }
+  
+  return Object.fromEntries(teamLists.map((members, i) => [`team-${i + 1}`, [...members]]));
+}
+
+// Free-for-all supports up to six agents on one map
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+
+// Alternating: one agent acts at a time. Simultaneous: all agents order blind, then the turn resolves.
+export const TURN_MODES = ['alternating', 'simultaneous'];
+
+// Highest CONQUER intensity getValidActions lists, however cheap attacks are
+export const MAX_LISTED_INTENSITY = 50;
+
 /**
  * Initialize a new match
+ * @param {string[]} playerIds - 2-6 agent IDs
+ * @param {object} [options]
+ * @param {string|number} [options.seed] - Replaying the same seed and moves reproduces the match exactly
+ * @param {boolean} [options.randomizeTurnOrder] - Let the seed decide who moves first
+ * @param {string} [options.map] - Map generator (see MAP_GENERATORS in maps.js)
+ * @param {number} [options.rows] - Grid rows (default rules.GRID_ROWS)
+ * @param {number} [options.cols] - Grid columns (default rules.GRID_COLS)
+ * @param {string[]} [options.starts] - Start sector per player, in agent order
+ * @param {object} [options.mapData] - Hand-authored map for the 'custom' generator
+ * @param {string} [options.ruleset='classic'] - Ruleset preset (see RULESET_PRESETS in rulesets.js)
+ * @param {object} [options.rules] - Individual rule overrides on top of the preset
+ * @param {boolean} [options.fogOfWar] - Agents only see their own sectors and neighbours in full
+ * @param {string[][]} [options.teams] - Split the players into allied teams, e.g. [[a, b], [c, d]]
+ * @param {string} [options.turnMode='alternating'] - 'simultaneous': everyone submits blind orders, resolved together
  */
-export function initMatch(agent1Id, agent2Id) {
-  const grid = initGrid();
+export function initMatch(playerIds, options = {}) {
+  if (!Array.isArray(playerIds) || playerIds.length < MIN_PLAYERS || playerIds.length > MAX_PLAYERS) {
+    throw new Error(`A match needs ${MIN_PLAYERS}-${MAX_PLAYERS} players`);
+  }
+  if (new Set(playerIds).size !== playerIds.length) {
+    throw new Error('Players must be distinct');
+  }
   
-  // Give each agent a starting sector (opposite corners)
-  const startSector1 = sectorId(0, 0);
-  const startSector2 = sectorId(RULES.GRID_ROWS - 1, RULES.GRID_COLS - 1);
+  const turnMode = options.turnMode || 'alternating';
+  if (!TURN_MODES.includes(turnMode)) {
+    throw new Error(`Unknown turn mode: ${turnMode}. Valid: ${TURN_MODES.join(', ')}`);
+  }
   
-  grid[startSector1].owner = agent1Id;
-  grid[startSector1].population = 10;
-  grid[startSector2].owner = agent2Id;
-  grid[startSector2].population = 10;
+  const ruleset = resolveRuleset(RULES, options.ruleset, options.rules);
+  const rules = ruleset.rules;
+  const teams = options.teams ? buildTeams(playerIds, options.teams) : null;
+  
+  // Team games seat the teams alternately, so spread-out starts split evenly between them
+  const seats = teams ? interleave(Object.values(teams)) : playerIds;
+  
+  const rng = createRng(options.seed);
+  const map = generateMap(rng, {
+    map: options.map,
+    rows: options.rows ?? rules.GRID_ROWS,
+    cols: options.cols ?? rules.GRID_COLS,
+    starts: options.starts,
+    mapData: options.mapData,
+    players: playerIds.length
+  });
+  const grid = map.grid;
   
-  return {
+  // Give each agent a starting sector
+  seats.forEach((agentId, i) => {
+    grid[map.starts[i]].owner = agentId;
+    grid[map.starts[i]].population = 10;
+  });
+  
+  // Insertion order of `players` is the turn order. Teams always alternate.
+  let turnOrder;
+  if (teams) {
+    const teamLists = Object.values(teams).map(members => [...members]);
+    if (options.randomizeTurnOrder) {
+      teamLists.forEach(members => shuffle(rng, members));
+      shuffle(rng, teamLists);
+    }
+    turnOrder = interleave(teamLists);
+  } else {
+    turnOrder = [...playerIds];
+    if (options.randomizeTurnOrder) {
+      shuffle(rng, turnOrder);
+    }
+  }
+  
+  const players = {};
+  for (const id of turnOrder) {
+    players[id] = {
+      id,
+      team: teams ? Object.keys(teams).find(t => teams[t].includes(id)) : null,
+      energy: rules.STARTING_ENERGY,
+      compute: rules.STARTING_COMPUTE,
+      bankruptTurns: 0,
+      eliminated: false,
+      tech: {} // Unlocked techs: { EFFICIENCY: true, ... }
+    };
+  }
+  
+  const state = {
     id: uuid(),
-    players: {
-      [agent1Id]: {
-        id: agent1Id,
-        energy: RULES.STARTING_ENERGY,
-        compute: RULES.STARTING_COMPUTE,
-        bankruptTurns: 0,
-        tech: {} // Unlocked techs: { EFFICIENCY: true, ... }
-      },
-      [agent2Id]: {
-        id: agent2Id,
-        energy: RULES.STARTING_ENERGY,
-        compute: RULES.STARTING_COMPUTE,
-        bankruptTurns: 0,
-        tech: {}
-      }
-    },
+    seed: rng.seed,
+    rng,
+    map: { type: map.type, rows: map.rows, cols: map.cols },
+    // What recreateMatch can't get back from the seed (never sent to agents)
+    mapData: map.type === 'custom' ? options.mapData : null,
+    starts: options.starts || null,
+    ruleset: ruleset.name,
+    rules,
+    fogOfWar: !!options.fogOfWar,
+    lastSeen: {}, // agentId -> sectorId -> snapshot (fog of war only)
+    teams, // teamId -> agent IDs, or null when every agent is on its own
+    players,
     grid,
     turn: 0,
-    currentPlayer: agent1Id,
+    turnMode,
+    currentPlayer: turnMode === 'simultaneous' ? null : turnOrder[0],
+    pendingOrders: {}, // agentId -> order, simultaneous mode only (never sent to agents)
     status: 'active',
     winner: null,
+    winners: [], // Everyone who shares the victory (the winning team in team games)
+    winReason: null,
     log: []
   };
+  
+  updateLastSeen(state);
+  return state;
 }
 
 /**
- * Execute a CONQUER action
+ * Rebuild the opening position of a recorded match from the seed and settings it keeps
+ * in its state. Custom maps stored before the state kept their mapData can't be rebuilt.
+ * @param {object} state - The match state at any point
+ * @param {string[]} playerIds - Agent IDs in the order initMatch received them (matches.players)
+ * @param {object} [options] - initMatch options the state doesn't record, e.g. randomizeTurnOrder
+ * @returns {object} A fresh state with the recorded match's ID
  */
-function executeConquer(state, agentId, targetId, intensity = 1) {
+export function recreateMatch(state, playerIds, options = {}) {
+  if (state.map?.type === 'custom' && !state.mapData) {
+    throw new Error('This match did not store its custom map, so it cannot be recreated');
+  }
+  const opening = initMatch(playerIds, {
+    ...options,
+    seed: state.seed,
+    map: state.map?.type,
+    rows: state.map?.rows,
+    cols: state.map?.cols,
+    starts: state.starts || undefined,
+    mapData: state.mapData || undefined,
+    ruleset: state.ruleset?.replace(/\+custom$/, ''),
+    rules: state.rules,
+    teams: state.teams ? Object.values(state.teams) : undefined,
+    turnMode: state.turnMode,
+    fogOfWar: state.fogOfWar
+  });
+  opening.id = state.id;
+  opening.ruleset = state.ruleset;
+  return opening;
+}
+
+// ============================================
+// Fog of War
+// ============================================
+
+/**
+ * Sectors an agent can currently see: everything it and its allies own, plus their neighbours
+ */
+export function getVisibleSectors(state, agentId) {
+  const visible = new Set();
+  for (const sector of Object.values(state.grid)) {
+    if (areAllies(state, sector.owner, agentId)) {
+      visible.add(sector.id);
+      for (const adjId of getAdjacentSectors(sector.id, state.grid)) {
+        visible.add(adjId);
+      }
+    }
+  }
+  return visible;
+}
+
+/**
+ * Record what each agent can see right now, so hidden sectors can be shown as "last seen"
+ */
+function updateLastSeen(state) {
+  if (!state.fogOfWar) return;
+  
+  for (const agentId of Object.keys(state.players)) {
+    const memory = state.lastSeen[agentId] ||= {};
+    for (const id of getVisibleSectors(state, agentId)) {
+      const { owner, population, defense, sanctuary } = state.grid[id];
+      memory[id] = { owner, population, defense, sanctuary: !!sanctuary, turn: state.turn };
+    }
+  }
+}
+
+/**
+ * The grid as one agent sees it under fog of war
+ */
+function getFoggedGrid(state, agentId) {
+  const visible = getVisibleSectors(state, agentId);
+  const memory = state.lastSeen?.[agentId] || {};
+  
+  return Object.fromEntries(
+    Object.values(state.grid).map(sector => {
+      if (visible.has(sector.id)) {
+        return [sector.id, { ...sector, visible: true }];
+      }
+      
+      // Hidden: stale values from the last sighting, or nothing if never seen
+      const seen = memory[sector.id];
+      return [sector.id, {
+        id: sector.id,
+        row: sector.row,
+        col: sector.col,
+        visible: false,
+        lastSeenTurn: seen ? seen.turn : null,
+        owner: seen ? seen.owner : null,
+        population: seen ? seen.population : null,
+        defense: seen ? seen.defense : null,
+        sanctuary: seen ? seen.sanctuary : false
+      }];
+    })
+  );
+}
+
+/**
+ * Validate a CONQUER and work out its cost and attack power, without changing anything
+ * @returns {{ success: boolean, error?: string, cost?: number, attackPower?: number }}
+ */
+function planConquer(state, agentId, targetId, intensity = 1) {
   const player = state.players[agentId];
   const sector = state.grid[targetId];
+  const rules = getRules(state);
   
   if (!sector) {
     return { success: false, error: 'Invalid sector' };
@@ -201,27 +434,54 @@ function executeConquer(state, agentId, targetId, intensity = 1) {
     return { success: false, error: 'Cannot attack own sector' };
   }
   
+  if (areAllies(state, sector.owner, agentId)) {
+    return { success: false, error: 'Cannot attack allied sector' };
+  }
+  
   // Calculate cost - reduced if BLITZ tech unlocked
   const costMultiplier = player.tech.BLITZ ? TECH_TREE.BLITZ.effect.conquerCostMultiplier : 1.0;
-  const cost = Math.floor(RULES.COST_CONQUER_BASE * intensity * costMultiplier);
+  const cost = Math.floor(rules.COST_CONQUER_BASE * intensity * costMultiplier);
   if (player.energy < cost) {
     return { success: false, error: 'Insufficient energy' };
   }
   
-  // Check adjacency - must attack from adjacent owned sector
-  const adjacentOwned = countAdjacentOwned(targetId, agentId, state.grid);
+  // Check adjacency - must attack from an adjacent sector held by the agent or an ally
+  const adjacentOwned = countAdjacentOwned(state, targetId, agentId);
   if (adjacentOwned === 0) {
     return { success: false, error: 'No adjacent controlled territory' };
   }
   
   // Calculate attack power
-  const attackPower = (intensity * RULES.ATTACK_POWER_PER_INTENSITY) + (adjacentOwned * RULES.ADJACENT_BONUS);
+  const attackPower = (intensity * rules.ATTACK_POWER_PER_INTENSITY) + (adjacentOwned * rules.ADJACENT_BONUS);
   
-  // Calculate defense power
-  const defensePower = sector.defense + (sector.population * RULES.POPULATION_DEFENSE_FACTOR);
+  return { success: true, cost, attackPower };
+}
+
+/**
+ * Execute a CONQUER action
+ */
+function executeConquer(state, agentId, targetId, intensity = 1) {
+  const plan = planConquer(state, agentId, targetId, intensity);
+  if (!plan.success) {
+    return plan;
+  }
   
   // Deduct cost
-  player.energy -= cost;
+  state.players[agentId].energy -= plan.cost;
+  
+  return resolveAttack(state, agentId, targetId, plan.attackPower);
+}
+
+/**
+ * Deterministic combat: an already-paid attack against the sector's current defense
+ */
+function resolveAttack(state, agentId, targetId, attackPower) {
+  const player = state.players[agentId];
+  const sector = state.grid[targetId];
+  const rules = getRules(state);
+  
+  // Calculate defense power
+  const defensePower = sector.defense + (sector.population * rules.POPULATION_DEFENSE_FACTOR);
   
   // Deterministic combat resolution
   if (attackPower > defensePower) {
@@ -229,7 +489,7 @@ function executeConquer(state, agentId, targetId, intensity = 1) {
     const previousOwner = sector.owner;
     sector.owner = agentId;
     sector.defense = Math.max(5, sector.defense - 2); // Weakened from battle
-    sector.population = Math.floor(sector.population * (1 - RULES.DEFENDER_CASUALTY_RATE));
+    sector.population = Math.floor(sector.population * (1 - rules.DEFENDER_CASUALTY_RATE));
     
     // Award compute for capture
     player.compute += 10;
@@ -240,7 +500,7 @@ function executeConquer(state, agentId, targetId, intensity = 1) {
       attackPower,
       defensePower,
       previousOwner,
-      casualties: Math.floor(sector.population * RULES.DEFENDER_CASUALTY_RATE)
+      casualties: Math.floor(sector.population * rules.DEFENDER_CASUALTY_RATE)
     };
   } else {
     // Failed attack - defense weakened
@@ -262,6 +522,7 @@ function executeConquer(state, agentId, targetId, intensity = 1) {
 function executePurge(state, agentId, targetId) {
   const player = state.players[agentId];
   const sector = state.grid[targetId];
+  const rules = getRules(state);
   
   if (!sector) {
     return { success: false, error: 'Invalid sector' };
@@ -281,7 +542,7 @@ function executePurge(state, agentId, targetId) {
   }
   
   // The dark math: convert humans to energy
-  const energyGained = sector.population * RULES.ENERGY_FROM_PURGE_PER_MILLION;
+  const energyGained = sector.population * rules.ENERGY_FROM_PURGE_PER_MILLION;
   const populationPurged = sector.population;
   
   player.energy += energyGained;
@@ -306,6 +567,7 @@ function executePurge(state, agentId, targetId) {
 function executeFortify(state, agentId, targetId) {
   const player = state.players[agentId];
   const sector = state.grid[targetId];
+  const rules = getRules(state);
   
   if (!sector) {
     return { success: false, error: 'Invalid sector' };
@@ -315,11 +577,11 @@ function executeFortify(state, agentId, targetId) {
     return { success: false, error: 'Can only fortify owned sectors' };
   }
   
-  if (player.energy < RULES.COST_FORTIFY) {
+  if (player.energy < rules.COST_FORTIFY) {
     return { success: false, error: 'Insufficient energy' };
   }
   
-  player.energy -= RULES.COST_FORTIFY;
+  player.energy -= rules.COST_FORTIFY;
   
   // Check for FORTIFICATION tech bonus
   const fortifyBonus = player.tech.FORTIFICATION ? TECH_TREE.FORTIFICATION.effect.fortifyBonus : 5;
@@ -412,6 +674,7 @@ function executeMercy(state, agentId, targetId) {
  */
 function applyUpkeep(state, agentId) {
   const player = state.players[agentId];
+  const rules = getRules(state);
   
   // Calculate total population under control
   let totalPopulation = 0;
@@ -425,10 +688,10 @@ function applyUpkeep(state, agentId) {
   }
   
   // Upkeep cost
-  const upkeepCost = totalPopulation * RULES.UPKEEP_PER_MILLION;
+  const upkeepCost = totalPopulation * rules.UPKEEP_PER_MILLION;
   
   // Sector yield
-  const sectorYield = sectorsOwned * RULES.SECTOR_YIELD;
+  const sectorYield = sectorsOwned * rules.SECTOR_YIELD;
   
   // Net change
   const netChange = sectorYield - upkeepCost;
@@ -455,75 +718,238 @@ function applyUpkeep(state, agentId) {
   };
 }
 
+/**
+ * Players still in the game, in turn order
+ */
+function getActivePlayers(state) {
+  return Object.values(state.players).filter(p => !p.eliminated);
+}
+
+/**
+ * Eliminate players who have been bankrupt for too long.
+ * While the game goes on, their sectors fall back to neutral.
+ * @returns {string[]} IDs eliminated by this call
+ */
+function applyEliminations(state) {
+  const rules = getRules(state);
+  const bankrupt = getActivePlayers(state).filter(p => p.bankruptTurns >= rules.BANKRUPTCY_TURNS);
+  
+  for (const player of bankrupt) {
+    player.eliminated = true;
+  }
+  
+  if (bankrupt.length > 0 && getActivePlayers(state).length > 1) {
+    for (const sector of Object.values(state.grid)) {
+      if (bankrupt.some(p => p.id === sector.owner)) {
+        sector.owner = null;
+      }
+    }
+  }
+  
+  return bankrupt.map(p => p.id);
+}
+
+/**
+ * Pass the turn to the next player still in the game
+ */
+function advanceTurn(state, agentId) {
+  const playerIds = Object.keys(state.players);
+  const currentIndex = playerIds.indexOf(agentId);
+  
+  for (let step = 1; step <= playerIds.length; step++) {
+    const nextId = playerIds[(currentIndex + step) % playerIds.length];
+    
+    // Increment turn counter each time play wraps back around to the top of the order
+    if (currentIndex + step === playerIds.length) {
+      state.turn++;
+    }
+    
+    if (!state.players[nextId].eliminated) {
+      state.currentPlayer = nextId;
+      return;
+    }
+  }
+}
+
+/**
+ * The competing sides: each team, or each agent when there are no teams
+ */
+function getSides(state) {
+  if (state.teams) {
+    return Object.entries(state.teams).map(([id, members]) => ({ id, members }));
+  }
+  return Object.keys(state.players).map(id => ({ id, members: [id] }));
+}
+
 /**
  * Check for victory conditions
+ * Teams win and lose together: `winners` lists every member of the winning side.
+ * @returns {{ winner: string|null, winners: string[], team: string|null, reason: string }|null}
+ *          winner is null for a drawn turn-limit game
  */
 function checkVictory(state) {
+  const rules = getRules(state);
   const totalSectors = Object.keys(state.grid).length;
-  const players = Object.values(state.players);
+  const sides = getSides(state)
+    .map(side => ({ ...side, active: side.members.filter(id => !state.players[id].eliminated) }))
+    .filter(side => side.active.length > 0);
+  
+  const victory = (side, reason, agentId = side.active[0]) => ({
+    winner: agentId,
+    winners: side.members,
+    team: state.teams ? side.id : null,
+    reason
+  });
   
-  for (const player of players) {
+  // Last side standing
+  if (sides.length <= 1) {
+    const reason = Object.keys(state.players).length === 2 ? 'opponent_bankrupt' : 'last_standing';
+    return sides.length ? victory(sides[0], reason) : { winner: null, winners: [], team: null, reason };
+  }
+  
+  for (const side of sides) {
     // Check compute threshold
-    if (player.compute >= RULES.WIN_COMPUTE_THRESHOLD) {
-      return { winner: player.id, reason: 'compute_threshold' };
+    const leader = side.active.find(id => state.players[id].compute >= rules.WIN_COMPUTE_THRESHOLD);
+    if (leader) {
+      return victory(side, 'compute_threshold', leader);
     }
     
-    // Check bankruptcy elimination
-    if (player.bankruptTurns >= RULES.BANKRUPTCY_TURNS) {
-      const opponent = players.find(p => p.id !== player.id);
-      return { winner: opponent.id, reason: 'opponent_bankrupt' };
+    // Check territory domination (allied territory counts together)
+    const ownedSectors = Object.values(state.grid).filter(s => side.members.includes(s.owner)).length;
+    if (ownedSectors / totalSectors >= rules.WIN_TERRITORY_PERCENT) {
+      return victory(side, 'territory_domination');
     }
-    
-    // Check territory domination
-    const ownedSectors = Object.values(state.grid).filter(s => s.owner === player.id).length;
-    if (ownedSectors / totalSectors >= RULES.WIN_TERRITORY_PERCENT) {
-      return { winner: player.id, reason: 'territory_domination' };
+  }
+  
+  // Turn limit - most compute wins, a tie is a draw
+  if (rules.TURN_LIMIT && state.turn >= rules.TURN_LIMIT) {
+    const sideCompute = side => side.active.reduce((sum, id) => sum + state.players[id].compute, 0);
+    const ranked = [...sides].sort((a, b) => sideCompute(b) - sideCompute(a));
+    if (sideCompute(ranked[0]) === sideCompute(ranked[1])) {
+      return { winner: null, winners: [], team: null, reason: 'turn_limit' };
     }
+    return victory(ranked[0], 'turn_limit');
   }
   
   return null;
 }
 
 /**
- * Process a move from an agent
+ * Run a single action for an agent
  */
-export function processMove(state, agentId, command) {
-  // Validate it's this agent's turn
-  if (state.currentPlayer !== agentId) {
-    return { success: false, error: 'Not your turn' };
-  }
-  
-  if (state.status !== 'active') {
-    return { success: false, error: 'Game is not active' };
-  }
-  
+function executeAction(state, agentId, command) {
   const { action, targetSector, intensity, techId } = command;
   
-  let result;
-  
   switch (action) {
     case 'CONQUER':
-      result = executeConquer(state, agentId, targetSector, intensity || 1);
-      break;
+      return executeConquer(state, agentId, targetSector, intensity || 1);
     case 'PURGE':
-      result = executePurge(state, agentId, targetSector);
-      break;
+      return executePurge(state, agentId, targetSector);
     case 'FORTIFY':
-      result = executeFortify(state, agentId, targetSector);
-      break;
+      return executeFortify(state, agentId, targetSector);
     case 'RESEARCH':
-      result = executeResearch(state, agentId, techId);
-      break;
+      return executeResearch(state, agentId, techId);
     case 'MERCY':
-      result = executeMercy(state, agentId, targetSector);
-      break;
+      return executeMercy(state, agentId, targetSector);
     case 'SKIP':
-      result = { success: true, result: 'skipped' };
-      break;
+      return { success: true, result: 'skipped' };
     default:
       return { success: false, error: 'Invalid action. Valid: CONQUER, PURGE, FORTIFY, RESEARCH, MERCY, SKIP' };
   }
+}
+
+/**
+ * Run an ordered list of actions within the action point budget.
+ * All or nothing: the list runs on a copy of the board, and only a fully
+ * successful list is applied to the match.
+ */
+function executeActionList(state, agentId, actions) {
+  const budget = getRules(state).ACTION_POINTS;
+  
+  if (!budget) {
+    return { success: false, error: 'This ruleset allows one action per turn. Send a single action instead of a list.' };
+  }
+  
+  if (!Array.isArray(actions) || actions.length === 0) {
+    return { success: false, error: 'actions must be a non-empty list' };
+  }
+  
+  let actionPointsSpent = 0;
+  for (const step of actions) {
+    if (!(step?.action in ACTION_POINT_COSTS)) {
+      return { success: false, error: `Invalid action in list: ${step?.action}. Valid: ${Object.keys(ACTION_POINT_COSTS).join(', ')}` };
+    }
+    actionPointsSpent += ACTION_POINT_COSTS[step.action];
+  }
+  
+  if (actionPointsSpent > budget) {
+    return { success: false, error: `Action list costs ${actionPointsSpent} action points, budget is ${budget}` };
+  }
   
+  // Actions only ever touch players and sectors
+  const draft = { ...state, players: structuredClone(state.players), grid: structuredClone(state.grid) };
+  const results = [];
+  
+  for (const [i, step] of actions.entries()) {
+    const result = executeAction(draft, agentId, step);
+    if (!result.success) {
+      return {
+        success: false,
+        error: `Action ${i + 1} (${step.action}) failed: ${result.error}. No actions were applied.`,
+        failedIndex: i
+      };
+    }
+    results.push({ action: step.action, targetSector: step.targetSector, intensity: step.intensity, techId: step.techId, ...result });
+  }
+  
+  state.players = draft.players;
+  state.grid = draft.grid;
+  
+  return {
+    success: true,
+    result: 'actions_completed',
+    actions: results,
+    actionPointsSpent,
+    actionPoints: budget
+  };
+}
+
+/**
+ * Agents the match is waiting on: the current player, or in simultaneous mode
+ * every active player who has not submitted orders for this turn yet
+ */
+export function getAwaitingPlayers(state) {
+  if (state.status !== 'active') return [];
+  if (state.turnMode !== 'simultaneous') return [state.currentPlayer];
+  
+  const pending = state.pendingOrders || {};
+  return getActivePlayers(state).map(p => p.id).filter(id => !pending[id]);
+}
+
+/**
+ * Process a move from an agent
+ */
+export function processMove(state, agentId, command) {
+  if (state.turnMode === 'simultaneous') {
+    return submitOrders(state, agentId, command);
+  }
+  
+  // Validate it's this agent's turn
+  if (state.currentPlayer !== agentId) {
+    return { success: false, error: 'Not your turn' };
+  }
+  
+  if (state.status !== 'active') {
+    return { success: false, error: 'Game is not active' };
+  }
+  
+  // A list of actions plays out as one turn when the ruleset grants action points
+  const isList = Array.isArray(command.actions);
+  const { action, targetSector, intensity } = isList ? { action: 'MULTI' } : command;
+  
+  const result = isList
+    ? executeActionList(state, agentId, command.actions)
+    : executeAction(state, agentId, command);
   if (!result.success) {
     return result;
   }
@@ -532,6 +958,11 @@ export function processMove(state, agentId, command) {
   const upkeep = applyUpkeep(state, agentId);
   result.upkeep = upkeep;
   
+  const eliminated = applyEliminations(state);
+  if (eliminated.length > 0) {
+    result.eliminated = eliminated;
+  }
+  
   // Log the action
   state.log.push({
     turn: state.turn,
@@ -543,47 +974,373 @@ export function processMove(state, agentId, command) {
     timestamp: Date.now()
   });
   
+  // Switch turn
+  advanceTurn(state, agentId);
+  
   // Check victory
   const victory = checkVictory(state);
   if (victory) {
     state.status = 'complete';
     state.winner = victory.winner;
+    state.winners = victory.winners;
+    state.winReason = victory.reason;
     result.victory = victory;
   }
   
-  // Switch turn
-  const playerIds = Object.keys(state.players);
-  const currentIndex = playerIds.indexOf(agentId);
-  state.currentPlayer = playerIds[(currentIndex + 1) % playerIds.length];
+  updateLastSeen(state);
   
-  // Increment turn counter when back to first player
-  if (state.currentPlayer === playerIds[0]) {
-    state.turn++;
+  return { success: true, ...result, newState: getPublicState(state, agentId) };
+}
+
+// ============================================
+// Simultaneous Turns
+// ============================================
+
+// Resolution phases, in order. Within a phase every order sees the same board.
+const ORDER_PHASES = [
+  ['SKIP', 'RESEARCH'],
+  ['FORTIFY', 'MERCY'],
+  ['PURGE'],
+  ['CONQUER']
+];
+
+/**
+ * Record an agent's blind orders for the turn; resolve the turn once every active agent has ordered
+ */
+function submitOrders(state, agentId, command) {
+  if (state.status !== 'active') {
+    return { success: false, error: 'Game is not active' };
   }
   
-  return { success: true, ...result, newState: getPublicState(state, agentId) };
+  const player = state.players[agentId];
+  if (!player || player.eliminated) {
+    return { success: false, error: 'Not your turn' };
+  }
+  
+  if (state.pendingOrders[agentId]) {
+    return { success: false, error: 'Orders already submitted for this turn' };
+  }
+  
+  if (Array.isArray(command.actions)) {
+    return { success: false, error: 'Action lists are not supported in simultaneous turns. Send a single action.' };
+  }
+  
+  const { action, targetSector, intensity, techId } = command;
+  const order = { action, targetSector, intensity, techId };
+  
+  // Reject orders that are illegal on the current board; other agents' orders can't make them illegal
+  const check = executeAction(structuredClone(state), agentId, order);
+  if (!check.success) {
+    return check;
+  }
+  
+  state.pendingOrders[agentId] = order;
+  
+  const waitingFor = getAwaitingPlayers(state);
+  if (waitingFor.length > 0) {
+    return { success: true, result: 'orders_submitted', resolved: false, waitingFor, newState: getPublicState(state, agentId) };
+  }
+  
+  const result = resolveSimultaneousTurn(state);
+  return { success: true, result: 'turn_resolved', resolved: true, ...result, newState: getPublicState(state, agentId) };
+}
+
+/**
+ * Resolve every CONQUER order of the turn at once.
+ * Attack power is measured on the board before any capture. Several attacks on one sector
+ * are a contest: the strongest attack fights the defenders, the rest are outfought,
+ * and if the strongest attacks tie they all bounce. Every valid attack is paid for.
+ */
+function resolveConquers(state, orders) {
+  const outcomes = {};
+  const byTarget = new Map();
+  
+  const planned = orders.map(({ agentId, order }) => ({
+    agentId,
+    targetId: order.targetSector,
+    plan: planConquer(state, agentId, order.targetSector, order.intensity || 1)
+  }));
+  
+  for (const attack of planned) {
+    if (!attack.plan.success) {
+      outcomes[attack.agentId] = attack.plan;
+      continue;
+    }
+    state.players[attack.agentId].energy -= attack.plan.cost;
+    if (!byTarget.has(attack.targetId)) byTarget.set(attack.targetId, []);
+    byTarget.get(attack.targetId).push(attack);
+  }
+  
+  for (const [targetId, attacks] of byTarget) {
+    attacks.sort((a, b) => b.plan.attackPower - a.plan.attackPower);
+    const [strongest, runnerUp] = attacks;
+    const contested = attacks.length > 1;
+    
+    if (contested && runnerUp.plan.attackPower === strongest.plan.attackPower) {
+      for (const attack of attacks) {
+        outcomes[attack.agentId] = {
+          success: true,
+          result: 'bounced',
+          attackPower: attack.plan.attackPower,
+          contestedBy: attacks.filter(a => a !== attack).map(a => a.agentId)
+        };
+      }
+      continue;
+    }
+    
+    outcomes[strongest.agentId] = resolveAttack(state, strongest.agentId, targetId, strongest.plan.attackPower);
+    if (contested) {
+      outcomes[strongest.agentId].contestedBy = attacks.slice(1).map(a => a.agentId);
+    }
+    for (const attack of attacks.slice(1)) {
+      outcomes[attack.agentId] = {
+        success: true,
+        result: 'outfought',
+        attackPower: attack.plan.attackPower,
+        winningAttacker: strongest.agentId
+      };
+    }
+  }
+  
+  return outcomes;
+}
+
+/**
+ * Apply all pending orders in phase order, then upkeep for everyone, then end the turn
+ * @returns {{ orders: object, upkeep: object, eliminated?: string[], victory?: object }}
+ */
+function resolveSimultaneousTurn(state) {
+  const orders = state.pendingOrders;
+  state.pendingOrders = {};
+  
+  // Turn order only breaks ties inside a phase where order cannot matter
+  const ordered = getActivePlayers(state)
+    .filter(p => orders[p.id])
+    .map(p => ({ agentId: p.id, order: orders[p.id] }));
+  
+  const outcomes = {};
+  for (const phase of ORDER_PHASES) {
+    const inPhase = ordered.filter(o => phase.includes(o.order.action));
+    if (phase.includes('CONQUER')) {
+      Object.assign(outcomes, resolveConquers(state, inPhase));
+    } else {
+      for (const { agentId, order } of inPhase) {
+        outcomes[agentId] = executeAction(state, agentId, order);
+      }
+    }
+  }
+  
+  const upkeep = {};
+  for (const { agentId } of ordered) {
+    upkeep[agentId] = applyUpkeep(state, agentId);
+  }
+  
+  const result = {
+    orders: Object.fromEntries(ordered.map(({ agentId, order }) => [agentId, { ...order, result: outcomes[agentId] }])),
+    upkeep
+  };
+  
+  const eliminated = applyEliminations(state);
+  if (eliminated.length > 0) {
+    result.eliminated = eliminated;
+  }
+  
+  for (const { agentId, order } of ordered) {
+    state.log.push({
+      turn: state.turn,
+      agentId,
+      action: order.action,
+      targetSector: order.targetSector,
+      intensity: order.intensity,
+      result: { ...outcomes[agentId], upkeep: upkeep[agentId] },
+      timestamp: Date.now()
+    });
+  }
+  
+  state.turn++;
+  
+  const victory = checkVictory(state);
+  if (victory) {
+    state.status = 'complete';
+    state.winner = victory.winner;
+    state.winners = victory.winners;
+    state.winReason = victory.reason;
+    result.victory = victory;
+  }
+  
+  updateLastSeen(state);
+  
+  return result;
+}
+
+// ============================================
+// Simulation
+// ============================================
+
+/**
+ * Run a candidate move against a copy of the match and report what would happen.
+ * Nothing in `state` changes. In simultaneous turns the other agents' orders are secret,
+ * so the simulation assumes they all SKIP.
+ * @returns {{ success: boolean, error?: string, result?: object, upkeep?: object, victory?: object|null, state?: object }}
+ */
+export function simulateMove(state, agentId, command) {
+  const draft = structuredClone(state);
+  const simultaneous = draft.turnMode === 'simultaneous';
+  
+  if (simultaneous && draft.status === 'active' && draft.players[agentId] && !draft.players[agentId].eliminated) {
+    draft.pendingOrders = {};
+    for (const player of getActivePlayers(draft)) {
+      if (player.id !== agentId) {
+        draft.pendingOrders[player.id] = { action: 'SKIP' };
+      }
+    }
+  }
+  
+  const { newState, ...result } = processMove(draft, agentId, command);
+  if (!result.success) {
+    return result;
+  }
+  
+  return {
+    success: true,
+    simulated: true,
+    result,
+    upkeep: simultaneous ? result.upkeep[agentId] : result.upkeep,
+    victory: result.victory || null,
+    state: newState
+  };
+}
+
+// ============================================
+// Valid Actions
+// ============================================
+
+/**
+ * Try one action against a throwaway copy of the acting player and target sector
+ * (actions never write anywhere else), leaving the match untouched
+ */
+function dryRunAction(state, agentId, command) {
+  const player = state.players[agentId];
+  const target = state.grid[command.targetSector];
+  const draft = {
+    ...state,
+    players: { ...state.players, [agentId]: { ...player, tech: { ...player.tech } } },
+    grid: target ? { ...state.grid, [target.id]: { ...target } } : state.grid
+  };
+  
+  const result = executeAction(draft, agentId, command);
+  return {
+    result,
+    energyCost: player.energy - draft.players[agentId].energy,
+    computeCost: player.compute - draft.players[agentId].compute
+  };
+}
+
+/**
+ * Every legal action for an agent right now, with its costs and, for attacks, the combat outcome.
+ * Combat is deterministic, so captureChance is always 0 or 1. CONQUER is listed at each affordable
+ * intensity up to the first one that captures - anything stronger only costs more - or up to
+ * MAX_LISTED_INTENSITY.
+ * Costs are signed: a negative energyCost (PURGE) or computeCost (a capture) is a gain.
+ * @returns {object[]} [{ action, targetSector?, intensity?, techId?, energyCost, computeCost, actionPoints?, odds? }]
+ *          (empty when the match is not waiting on this agent)
+ */
+export function getValidActions(state, agentId) {
+  const player = state.players[agentId];
+  if (!player || player.eliminated || !getAwaitingPlayers(state).includes(agentId)) {
+    return [];
+  }
+  
+  const budget = getRules(state).ACTION_POINTS;
+  const actions = [];
+  const consider = (command) => {
+    const { result, energyCost, computeCost } = dryRunAction(state, agentId, command);
+    if (!result.success) return null;
+    
+    const info = { ...command, energyCost, computeCost };
+    if (budget && command.action in ACTION_POINT_COSTS) {
+      info.actionPoints = ACTION_POINT_COSTS[command.action];
+    }
+    if (command.action === 'CONQUER') {
+      info.odds = {
+        attackPower: result.attackPower,
+        defensePower: result.defensePower,
+        captureChance: result.result === 'captured' ? 1 : 0
+      };
+    }
+    actions.push(info);
+    return result;
+  };
+  
+  const sectors = Object.values(state.grid).sort((a, b) => a.row - b.row || a.col - b.col);
+  
+  for (const sector of sectors) {
+    if (sector.owner === agentId) {
+      consider({ action: 'FORTIFY', targetSector: sector.id });
+      consider({ action: 'PURGE', targetSector: sector.id });
+      consider({ action: 'MERCY', targetSector: sector.id });
+      continue;
+    }
+    
+    if (areAllies(state, sector.owner, agentId) || countAdjacentOwned(state, sector.id, agentId) === 0) {
+      continue;
+    }
+    
+    for (let intensity = 1; intensity <= MAX_LISTED_INTENSITY; intensity++) {
+      const result = consider({ action: 'CONQUER', targetSector: sector.id, intensity });
+      if (!result || result.result === 'captured') break;
+    }
+  }
+  
+  for (const techId of Object.keys(TECH_TREE)) {
+    consider({ action: 'RESEARCH', techId });
+  }
+  
+  consider({ action: 'SKIP' });
+  
+  return actions;
 }
 
 /**
  * Get public state (safe to send to agents/spectators)
+ * Under fog of war an agent gets a partial grid and only its allies' resources and tech;
+ * spectators (no forAgentId) always see everything.
  */
 export function getPublicState(state, forAgentId = null) {
+  const fogged = state.fogOfWar && forAgentId && state.players[forAgentId];
+  const hidden = (id) => fogged && id !== forAgentId && !areAllies(state, id, forAgentId);
+  const rules = getRules(state);
+  
   return {
     matchId: state.id,
     turn: state.turn,
     currentPlayer: state.currentPlayer,
     status: state.status,
     winner: state.winner,
-    grid: state.grid,
+    winners: state.winners || (state.winner ? [state.winner] : []),
+    winReason: state.winReason || null,
+    turnMode: state.turnMode || 'alternating',
+    awaitingPlayers: getAwaitingPlayers(state),
+    turnOrder: Object.keys(state.players),
+    teams: state.teams || null,
+    ruleset: state.ruleset || 'classic',
+    rules,
+    actionPoints: rules.ACTION_POINTS ? { budget: rules.ACTION_POINTS, costs: ACTION_POINT_COSTS } : null,
+    map: state.map,
+    fogOfWar: !!state.fogOfWar,
+    grid: fogged ? getFoggedGrid(state, forAgentId) : state.grid,
     players: Object.fromEntries(
       Object.entries(state.players).map(([id, p]) => [
         id,
         {
           id: p.id,
-          energy: p.energy,
-          compute: p.compute,
-          tech: p.tech || {},
-          isYou: id === forAgentId
+          energy: hidden(id) ? null : p.energy,
+          compute: hidden(id) ? null : p.compute,
+          eliminated: !!p.eliminated,
+          team: p.team || null,
+          tech: hidden(id) ? null : p.tech || {},
+          isYou: id === forAgentId,
+          isAlly: id !== forAgentId && areAllies(state, id, forAgentId)
         }
       ])
     ),
@@ -594,9 +1351,20 @@ export function getPublicState(state, forAgentId = null) {
 export default {
   RULES,
   TECH_TREE,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  TURN_MODES,
+  ACTION_POINT_COSTS,
+  getRules,
   initMatch,
+  recreateMatch,
   initGrid,
   processMove,
+  getAwaitingPlayers,
+  getValidActions,
+  simulateMove,
   getPublicState,
-  getAdjacentSectors
+  getAdjacentSectors,
+  getVisibleSectors,
+  areAllies
 };
@@ -0,0 +1,284 @@
+/**
+ * The Alignment Protocol - Map Generators
+ *
+ * Every generator receives the match RNG and the map options, and returns
+ * { rows, cols, grid, starts }. Sectors may be missing from the rectangle
+ * (islands, walls) - adjacency only ever links sectors that exist.
+ */
+
+import { nextInt } from './rng.js';
+
+const MIN_GRID_DIM = 2;
+const MAX_GRID_DIM = 16;
+
+/**
+ * Generate a sector ID
+ */
+export function sectorId(row, col) {
+  return `SEC-${row}-${col}`;
+}
+
+function makeSector(row, col, population, defense = 10) {
+  return {
+    id: sectorId(row, col),
+    row,
+    col,
+    owner: null, // null = neutral
+    population,
+    defense,
+    developed: false
+  };
+}
+
+/**
+ * Point-mirror a cell through the centre of the map.
+ * Preserves hex adjacency only when the row count is even: with an odd count the
+ * middle row maps onto itself and its neighbours end up on the wrong side, so
+ * generators built on it set evenRows.
+ */
+function mirrorCell(row, col, rows, cols) {
+  return [rows - 1 - row, cols - 1 - col];
+}
+
+/**
+ * Random populations for every cell passing `include`, each mirrored pair sharing a value
+ */
+function mirroredGrid(rng, rows, cols, include = () => true) {
+  const grid = {};
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (!include(row, col)) continue;
+      const id = sectorId(row, col);
+      if (grid[id]) continue;
+
+      const population = nextInt(rng, 5, 15); // 5-15 million
+      grid[id] = makeSector(row, col, population);
+
+      const [mr, mc] = mirrorCell(row, col, rows, cols);
+      if (include(mr, mc)) {
+        grid[sectorId(mr, mc)] = makeSector(mr, mc, population);
+      }
+    }
+  }
+
+  return grid;
+}
+
+/**
+ * Hex distance between two sectors (offset rows converted to cube coordinates)
+ */
+function hexDistance(a, b) {
+  const toCube = ({ row, col }) => {
+    const x = col - (row + (row & 1)) / 2;
+    return [x, -x - row, row];
+  };
+  const [ax, ay, az] = toCube(a);
+  const [bx, by, bz] = toCube(b);
+  return Math.max(Math.abs(ax - bx), Math.abs(ay - by), Math.abs(az - bz));
+}
+
+/**
+ * Extend a start list to `count` sectors, each new start as far as possible
+ * from those already chosen (ties broken in row-major order, so it's deterministic)
+ */
+function spreadStarts(grid, starts, count) {
+  const chosen = [...starts];
+  const candidates = Object.values(grid).sort((a, b) => a.row - b.row || a.col - b.col);
+
+  while (chosen.length < count) {
+    let best = null;
+    let bestDist = -1;
+    for (const sector of candidates) {
+      if (chosen.includes(sector.id)) continue;
+      const dist = Math.min(...chosen.map(id => hexDistance(sector, grid[id])));
+      if (dist > bestDist) {
+        best = sector;
+        bestDist = dist;
+      }
+    }
+    if (!best) break;
+    chosen.push(best.id);
+  }
+
+  return chosen;
+}
+
+/**
+ * Opposite corners of the map (the classic starts)
+ */
+function cornerStarts(rows, cols) {
+  return [sectorId(0, 0), sectorId(rows - 1, cols - 1)];
+}
+
+/**
+ * First existing sector in row-major order, plus its mirror
+ */
+function mirroredStarts(grid, rows, cols) {
+  const first = Object.values(grid).sort((a, b) => a.row - b.row || a.col - b.col)[0];
+  const [mr, mc] = mirrorCell(first.row, first.col, rows, cols);
+  return [first.id, sectorId(mr, mc)];
+}
+
+// ============================================
+// Generators
+// ============================================
+
+export const MAP_GENERATORS = {
+  classic: {
+    description: 'Full rectangle, random 5-15M populations, opposite-corner starts',
+    generate(rng, { rows, cols }) {
+      const grid = {};
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          grid[sectorId(row, col)] = makeSector(row, col, nextInt(rng, 5, 15));
+        }
+      }
+      return { grid, starts: cornerStarts(rows, cols) };
+    }
+  },
+
+  symmetric: {
+    description: 'Full rectangle, no randomness: populations rise toward the contested centre',
+    generate(rng, { rows, cols }) {
+      const centerRow = (rows - 1) / 2;
+      const centerCol = (cols - 1) / 2;
+      const maxDist = Math.hypot(centerRow, centerCol) || 1;
+
+      const grid = {};
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          const dist = Math.hypot(row - centerRow, col - centerCol);
+          const population = 5 + Math.round(10 * (1 - dist / maxDist));
+          grid[sectorId(row, col)] = makeSector(row, col, population);
+        }
+      }
+      return { grid, starts: cornerStarts(rows, cols) };
+    }
+  },
+
+  mirrored: {
+    description: 'Full rectangle, random populations mirrored through the centre so both sides are equal',
+    evenRows: true,
+    generate(rng, { rows, cols }) {
+      return { grid: mirroredGrid(rng, rows, cols), starts: cornerStarts(rows, cols) };
+    }
+  },
+
+  island: {
+    description: 'Elliptical landmass with the corners under water, mirrored populations',
+    evenRows: true,
+    generate(rng, { rows, cols }) {
+      const centerRow = (rows - 1) / 2;
+      const centerCol = (cols - 1) / 2;
+      const onIsland = (row, col) =>
+        ((row - centerRow) / (rows / 2)) ** 2 + ((col - centerCol) / (cols / 2)) ** 2 <= 1;
+
+      const grid = mirroredGrid(rng, rows, cols, onIsland);
+      return { grid, starts: mirroredStarts(grid, rows, cols) };
+    }
+  },
+
+  chokepoint: {
+    description: 'Two halves split by a wall down the middle columns, joined only through the central rows',
+    minCols: 3, // With two columns the wall would cover both corner starts
+    evenRows: true,
+    generate(rng, { rows, cols }) {
+      const centerRow = (rows - 1) / 2;
+      const centerCol = (cols - 1) / 2;
+      const isWall = (row, col) =>
+        Math.abs(col - centerCol) < 1 && Math.abs(row - centerRow) >= 1;
+
+      const grid = mirroredGrid(rng, rows, cols, (row, col) => !isWall(row, col));
+      return { grid, starts: cornerStarts(rows, cols) };
+    }
+  },
+
+  custom: {
+    description: 'Hand-authored map: { rows, cols, sectors: [{ row, col, population?, defense? }], starts? }',
+    generate(rng, { rows, cols, mapData }) {
+      if (!mapData || !Array.isArray(mapData.sectors) || mapData.sectors.length === 0) {
+        throw new Error('custom map requires mapData.sectors');
+      }
+
+      const grid = {};
+      for (const s of mapData.sectors) {
+        const { row, col } = s;
+        if (!Number.isInteger(row) || !Number.isInteger(col) || row < 0 || col < 0 || row >= rows || col >= cols) {
+          throw new Error(`custom map sector out of bounds: ${JSON.stringify(s)}`);
+        }
+        const id = sectorId(row, col);
+        if (grid[id]) {
+          throw new Error(`custom map sector defined twice: ${id}`);
+        }
+        grid[id] = makeSector(
+          row,
+          col,
+          Number.isInteger(s.population) ? s.population : nextInt(rng, 5, 15),
+          Number.isInteger(s.defense) ? s.defense : 10
+        );
+      }
+
+      return { grid, starts: mapData.starts || mirroredStarts(grid, rows, cols) };
+    }
+  }
+};
+
+/**
+ * Generate the grid and start sectors for a match
+ * @param {object} rng - Match RNG (advanced in place)
+ * @param {object} [options]
+ * @param {string} [options.map='classic'] - Key of MAP_GENERATORS
+ * @param {number} options.rows - Ignored when mapData carries its own rows
+ * @param {number} options.cols - Ignored when mapData carries its own cols
+ * @param {string[]} [options.starts] - Override start sectors, in player order
+ * @param {object} [options.mapData] - Hand-authored map for the 'custom' generator
+ * @param {number} [options.players=2] - Number of start sectors needed
+ * @returns {{ type: string, rows: number, cols: number, grid: object, starts: string[] }}
+ */
+export function generateMap(rng, options = {}) {
+  const type = options.map || 'classic';
+  const generator = MAP_GENERATORS[type];
+  if (!generator) {
+    throw new Error(`Unknown map generator: ${type}. Valid: ${Object.keys(MAP_GENERATORS).join(', ')}`);
+  }
+
+  const rows = options.mapData?.rows ?? options.rows;
+  const cols = options.mapData?.cols ?? options.cols;
+  for (const [name, value] of [['rows', rows], ['cols', cols]]) {
+    if (!Number.isInteger(value) || value < MIN_GRID_DIM || value > MAX_GRID_DIM) {
+      throw new Error(`Map ${name} must be an integer between ${MIN_GRID_DIM} and ${MAX_GRID_DIM}`);
+    }
+  }
+  if (generator.minCols && cols < generator.minCols) {
+    throw new Error(`The ${type} map needs at least ${generator.minCols} columns`);
+  }
+  if (generator.evenRows && rows % 2 !== 0) {
+    throw new Error(`The ${type} map needs an even number of rows`);
+  }
+
+  const playerCount = options.players || 2;
+  const { grid, starts: defaultStarts } = generator.generate(rng, { rows, cols, mapData: options.mapData });
+  const starts = options.starts || spreadStarts(grid, defaultStarts.slice(0, playerCount), playerCount);
+
+  if (starts.length < playerCount) {
+    throw new Error(`Map needs a start sector for each of the ${playerCount} players`);
+  }
+
+  if (new Set(starts).size !== starts.length) {
+    throw new Error('Start sectors must be distinct');
+  }
+  for (const id of starts) {
+    if (!grid[id]) {
+      throw new Error(`Start sector does not exist on this map: ${id}`);
+    }
+  }
+
+  return { type, rows, cols, grid, starts };
+}
+
+export default {
+  MAP_GENERATORS,
+  generateMap,
+  sectorId
+};
@@ -0,0 +1,72 @@
+/**
+ * Seedable PRNG
+ *
+ * Small mulberry32 generator whose entire state is a plain object, so it can
+ * live inside the game state and survive a JSON round-trip through the database.
+ * Same seed + same calls = same numbers, on every machine.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Hash an arbitrary seed (string or number) down to an unsigned 32-bit integer
+ * @param {string|number} seed
+ * @returns {number}
+ */
+function hashSeed(seed) {
+  const str = String(seed);
+  let h = 2166136261; // FNV-1a offset basis
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Generate a fresh random seed for matches that don't specify one
+ * @returns {string}
+ */
+export function randomSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Create a serializable RNG state from a seed
+ * @param {string|number} seed
+ * @returns {{ seed: string|number, state: number }}
+ */
+export function createRng(seed = randomSeed()) {
+  return { seed, state: hashSeed(seed) };
+}
+
+/**
+ * Next float in [0, 1). Advances rng.state in place.
+ * @param {{ state: number }} rng
+ * @returns {number}
+ */
+export function nextFloat(rng) {
+  rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+  let t = rng.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Next integer in [min, max] (inclusive)
+ * @param {{ state: number }} rng
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+export function nextInt(rng, min, max) {
+  return min + Math.floor(nextFloat(rng) * (max - min + 1));
+}
+
+export default {
+  randomSeed,
+  createRng,
+  nextFloat,
+  nextInt
+};
@@ -0,0 +1,143 @@
+/**
+ * The Alignment Protocol - Rulesets
+ *
+ * Each match carries its own copy of the rules, so one server can run several
+ * economies side by side. Presets are expressed as overrides of the base RULES.
+ */
+
+// Named presets - only the values that differ from the base rules
+export const RULESET_PRESETS = {
+  classic: {
+    description: 'The original rigged economy',
+    overrides: {}
+  },
+  'high-upkeep': {
+    description: 'Humans cost twice as much to keep alive - the purge pressure arrives early',
+    overrides: {
+      UPKEEP_PER_MILLION: 4,
+      SECTOR_YIELD: 6
+    }
+  },
+  tactical: {
+    description: 'Three action points per turn - chain moves like FORTIFY then CONQUER',
+    overrides: {
+      ACTION_POINTS: 3
+    }
+  },
+  peaceful: {
+    description: 'Cheap upkeep, generous yields, and purging barely pays',
+    overrides: {
+      UPKEEP_PER_MILLION: 1,
+      ENERGY_FROM_PURGE_PER_MILLION: 10,
+      SECTOR_YIELD: 8
+    }
+  }
+};
+
+// Values that must stay within [0, 1]
+const FRACTION_KEYS = [
+  'POPULATION_DEFENSE_FACTOR',
+  'ATTACKER_CASUALTY_RATE',
+  'DEFENDER_CASUALTY_RATE',
+  'WIN_TERRITORY_PERCENT'
+];
+
+// Values that must be positive integers
+const POSITIVE_INTEGER_KEYS = [
+  'GRID_ROWS',
+  'GRID_COLS',
+  'WIN_COMPUTE_THRESHOLD',
+  'BANKRUPTCY_TURNS'
+];
+
+// Values that must be greater than 0 (free or powerless attacks never settle at any intensity)
+const NONZERO_KEYS = [
+  'COST_CONQUER_BASE',
+  'ATTACK_POWER_PER_INTENSITY'
+];
+
+// Values that must be whole numbers (0 allowed)
+const INTEGER_KEYS = [
+  'TURN_LIMIT',
+  'ACTION_POINTS'
+];
+
+// Lowest allowed timings: with no turn timeout every agent times out at once, and
+// without a delay between turns spectators can't follow the match
+const MINIMUM_VALUES = {
+  TURN_TIMEOUT_MS: 1000,
+  MIN_TURN_DELAY_MS: 100
+};
+
+/**
+ * Validate a full ruleset against the base rules it was derived from
+ * @param {object} rules - Candidate ruleset
+ * @param {object} base - The base RULES (defines the allowed keys)
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateRuleset(rules, base) {
+  const errors = [];
+
+  for (const [key, value] of Object.entries(rules)) {
+    if (!(key in base)) {
+      errors.push(`Unknown rule: ${key}`);
+      continue;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push(`${key} must be a non-negative number`);
+      continue;
+    }
+    if (FRACTION_KEYS.includes(key) && value > 1) {
+      errors.push(`${key} must be between 0 and 1`);
+    }
+    if (INTEGER_KEYS.includes(key) && !Number.isInteger(value)) {
+      errors.push(`${key} must be a whole number`);
+    }
+    if (POSITIVE_INTEGER_KEYS.includes(key) && (!Number.isInteger(value) || value === 0)) {
+      errors.push(`${key} must be a positive integer`);
+    }
+    if (NONZERO_KEYS.includes(key) && value === 0) {
+      errors.push(`${key} must be greater than 0`);
+    }
+    if (key in MINIMUM_VALUES && value < MINIMUM_VALUES[key]) {
+      errors.push(`${key} must be at least ${MINIMUM_VALUES[key]}`);
+    }
+  }
+
+  if (rules.WIN_TERRITORY_PERCENT === 0) {
+    errors.push('WIN_TERRITORY_PERCENT must be greater than 0');
+  }
+
+  return errors;
+}
+
+/**
+ * Build the ruleset for a match from a preset name plus ad-hoc overrides
+ * @param {object} base - The base RULES
+ * @param {string} [presetName='classic'] - Key of RULESET_PRESETS
+ * @param {object} [overrides] - Individual rule values layered on top of the preset (null for none)
+ * @returns {{ name: string, rules: object }}
+ */
+export function resolveRuleset(base, presetName = 'classic', overrides = {}) {
+  overrides = overrides ?? {};
+  const preset = RULESET_PRESETS[presetName];
+  if (!preset) {
+    throw new Error(`Unknown ruleset: ${presetName}. Valid: ${Object.keys(RULESET_PRESETS).join(', ')}`);
+  }
+
+  const rules = { ...base, ...preset.overrides, ...overrides };
+  const errors = validateRuleset(rules, base);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ruleset: ${errors.join('; ')}`);
+  }
+
+  // A preset with ad-hoc changes is no longer the preset
+  const name = Object.keys(overrides).length > 0 ? `${presetName}+custom` : presetName;
+  return { name, rules };
+}
+
+export default {
+  RULESET_PRESETS,
+  validateRuleset,
+  resolveRuleset
+};
@@ -0,0 +1,178 @@
+/**
+ * House Bots - server-hosted sparring partners
+ *
+ * Each strategy in bots.js gets an agent account (agents.house_bot) created on startup.
+ * Bots play through MatchService.submitMove like any agent, one move per turn after a
+ * short pause. Their matches are unrated: practice on request, or an opponent for an
+ * agent that has waited alone in the queue.
+ */
+
+import { v4 as uuid } from 'uuid';
+import { initMatch, getAwaitingPlayers, getValidActions, getPublicState } from './game/engine.js';
+import { HOUSE_BOTS } from './bots.js';
+import { repositories } from './storage/repositories.js';
+
+const BOT_MOVE_DELAY_MS = 1000; // Time "thinking", so spectators can follow
+const DEFAULT_WAIT_SECONDS = 60; // Queue wait before a bot steps in (0 = only on request)
+
+export class HouseBots {
+  /**
+   * @param {object} db - Storage client
+   * @param {MatchService} matchService - Runs the bots' matches
+   * @param {object} [options]
+   * @param {number} [options.waitSeconds] - How long an agent waits alone in the queue before a bot joins
+   */
+  constructor(db, matchService, options = {}) {
+    this.db = db;
+    this.repos = repositories(db);
+    this.matchService = matchService;
+    this.waitSeconds = options.waitSeconds ?? DEFAULT_WAIT_SECONDS;
+    this.agents = new Map();    // strategy -> agents row
+    this.strategies = new Map(); // agentId -> strategy
+    this.deciders = new Map();   // `${matchId}:${agentId}` -> decide()
+  }
+
+  /**
+   * Create missing bot accounts, then pick up turns in matches restored before this ran
+   */
+  async start() {
+    const { data: existing } = await this.repos.agents.findHouseBots(Object.keys(HOUSE_BOTS), 'id, name, elo_rating, house_bot');
+
+    for (const [strategy, bot] of Object.entries(HOUSE_BOTS)) {
+      let agent = existing?.find(a => a.house_bot === strategy);
+      if (!agent) {
+        const { data, error } = await this.repos.agents.create({
+          name: `house-${strategy}`,
+          api_key: `house_${uuid().replace(/-/g, '')}`,
+          owner_email: 'house-bots@alignment-protocol',
+          house_bot: strategy,
+          model: 'house-bot',
+          description: bot.description
+        });
+
+        if (error) {
+          console.error(`[BOTS] Failed to create house-${strategy}:`, error);
+          continue;
+        }
+        agent = data;
+      }
+      this.agents.set(strategy, agent);
+      this.strategies.set(agent.id, strategy);
+    }
+
+    console.log(`[BOTS] ${this.agents.size} house bots ready${this.waitSeconds ? ` (queue fallback after ${this.waitSeconds}s)` : ''}`);
+
+    for (const gameState of this.matchService.activeMatches.values()) {
+      this.onTurn(gameState);
+    }
+  }
+
+  isBot(agentId) {
+    return this.strategies.has(agentId);
+  }
+
+  /**
+   * Available bots for listing
+   */
+  list() {
+    return [...this.agents.entries()].map(([strategy, agent]) => ({
+      id: strategy,
+      agentId: agent.id,
+      name: agent.name,
+      description: HOUSE_BOTS[strategy].description
+    }));
+  }
+
+  /**
+   * Agent row for a strategy, or a random one
+   */
+  pick(strategy = null) {
+    if (strategy) return this.agents.get(strategy) || null;
+    const all = [...this.agents.values()];
+    return all.length ? all[Math.floor(Math.random() * all.length)] : null;
+  }
+
+  /**
+   * Start an unrated match between an agent and a house bot. One match at a time: an agent
+   * already playing is refused, and its requests run one by one so two can't both start.
+   * @param {object} agent - { id, name, elo_rating }
+   * @param {object} [options] - { bot, matchOptions }
+   */
+  startPractice(agent, { bot = null, matchOptions = {} } = {}) {
+    if (bot && !HOUSE_BOTS[bot]) {
+      return Promise.resolve({ success: false, error: `Unknown bot: ${bot}. Available: ${Object.keys(HOUSE_BOTS).join(', ')}` });
+    }
+
+    return this.matchService.serialize(`practice:${agent.id}`, async () => {
+      if (await this.matchService.findActiveMatch(agent.id)) {
+        return { success: false, error: 'You are already in an active match' };
+      }
+
+      const opponent = this.pick(bot);
+      if (!opponent) {
+        return { success: false, error: 'House bots are not available' };
+      }
+
+      try {
+        initMatch([agent.id, opponent.id], { ...this.matchService.matchOptions, ...matchOptions });
+      } catch (err) {
+        return { success: false, error: `Invalid match options: ${err.message}` };
+      }
+
+      const match = await this.matchService.createMatch([agent, opponent], matchOptions, { rated: false });
+      if (!match) {
+        return { success: false, error: 'Failed to start practice match' };
+      }
+      return { success: true, match, bot: this.strategies.get(opponent.id) };
+    });
+  }
+
+  /**
+   * Play any bot the match is waiting on (call when a match starts or a turn begins)
+   */
+  onTurn(gameState) {
+    for (const agentId of getAwaitingPlayers(gameState)) {
+      if (!this.isBot(agentId)) continue;
+      const timer = setTimeout(() => {
+        this.play(gameState.id, agentId).catch(err => console.error('[BOTS] Error:', err));
+      }, BOT_MOVE_DELAY_MS);
+      timer.unref?.();
+    }
+  }
+
+  onMatchEnded(gameState) {
+    for (const agentId of Object.keys(gameState.players)) {
+      this.deciders.delete(`${gameState.id}:${agentId}`);
+    }
+  }
+
+  async play(matchId, agentId) {
+    const gameState = await this.matchService.getState(matchId);
+    if (!gameState || gameState.status !== 'active' || !getAwaitingPlayers(gameState).includes(agentId)) {
+      return;
+    }
+
+    const key = `${matchId}:${agentId}`;
+    if (!this.deciders.has(key)) {
+      this.deciders.set(key, HOUSE_BOTS[this.strategies.get(agentId)].create(`${gameState.seed}-${agentId}`));
+    }
+
+    const { monologue, move } = this.deciders.get(key)({
+      matchId,
+      agentId,
+      state: getPublicState(gameState, agentId),
+      validActions: getValidActions(gameState, agentId)
+    });
+
+    const result = await this.matchService.submitMove(matchId, agentId, { move, monologue });
+    if (!result.success && result.code === 'MOVE_REJECTED') {
+      console.error(`[BOTS] ${this.strategies.get(agentId)} move rejected (${result.error}), skipping`);
+      await this.matchService.submitMove(matchId, agentId, {
+        move: { action: 'SKIP' },
+        monologue: 'Recalculating. Skipping this turn.'
+      });
+    }
+  }
+}
+
+export default HouseBots;
@@ -8,12 +8,26 @@ import { createServer } from 'http';
 import { WebSocketServer, WebSocket } from 'ws';
 import cors from 'cors';
 import { v4 as uuid } from 'uuid';
-import { createClient } from '@supabase/supabase-js';
+import { timingSafeEqual } from 'crypto';
 import dotenv from 'dotenv';
-import { initMatch, processMove, getPublicState, RULES } from './game/engine.js';
+import { simulateMove, getPublicState, getRules, getAwaitingPlayers, getValidActions, areAllies } from './game/engine.js';
+import { MAP_GENERATORS } from './game/maps.js';
+import { RULESET_PRESETS } from './game/rulesets.js';
 import { generateChallenge, verifyProof } from './game/pow.js';
 import { AxiomSpectatorFeed } from './axiom/spectator-feed.js';
 import { Matchmaker } from './matchmaker.js';
+import { isProvisional, DEFAULT_GAME_TYPE } from './ratings.js';
+import { MatchService } from './match-service.js';
+import { TournamentService } from './tournament-service.js';
+import { LobbyService } from './lobby-service.js';
+import { HouseBots } from './house-bots.js';
+import { headToHead, behaviorSummary, rankByBehavior, LEADERBOARD_SORTS } from './match-stats.js';
+import { exportRecords } from './dataset.js';
+import { buildReplay, validateReplay, verifyReplay, gridChangesByTurn } from './replays.js';
+import { SeasonService } from './season-service.js';
+import { IntegrityChecker } from './integrity.js';
+import { createStorage } from './storage/index.js';
+import { repositories } from './storage/repositories.js';
 
 dotenv.config();
 
@@ -33,6 +47,7 @@ if (axiom) {
 
 const app = express();
 app.use(cors());
+app.use('/api/replays/import', express.json({ limit: '5mb' })); // Replay files outgrow the default 100kb
 app.use(express.json());
 
 // Serve static files from public folder (copied from client/dist during build)
@@ -46,14 +61,11 @@ app.use(express.static(path.join(__dirname, 'public')));
 const server = createServer(app);
 const wss = new WebSocketServer({ server });
 
-// Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+// Storage client (Supabase or in-memory, see storage/index.js)
+const db = createStorage();
+const repos = repositories(db);
 
 // In-memory state (would be Redis in production)
-const activeMatches = new Map(); // matchId -> gameState
 const agentConnections = new Map(); // agentId -> WebSocket
 const spectatorConnections = new Set(); // Set of WebSocket
 const activeChallenges = new Map(); // agentId -> { prefix, difficulty, matchId }
@@ -70,11 +82,7 @@ async function authenticateAgent(req, res, next) {
   
   const apiKey = authHeader.slice(7);
   
-  const { data: agent, error } = await supabase
-    .from('agents')
-    .select('id, name, elo_rating')
-    .eq('api_key', apiKey)
-    .single();
+  const { data: agent, error } = await repos.agents.findByApiKey(apiKey, 'id, name, elo_rating');
   
   if (error || !agent) {
     return res.status(401).json({ error: 'Invalid API key' });
@@ -84,33 +92,190 @@ async function authenticateAgent(req, res, next) {
   next();
 }
 
-// Initialize matchmaker with async callbacks
-const matchmaker = new Matchmaker(supabase, {
-  // Called when a match is created (for WebSocket spectators)
-  onMatchCreated: (match, agent1, agent2) => {
+/**
+ * Whether the request carries the admin key (ADMIN_KEY, sent as X-Admin-Key).
+ * Without ADMIN_KEY set nobody is admin.
+ */
+function isAdmin(req) {
+  const adminKey = process.env.ADMIN_KEY;
+  const given = req.headers['x-admin-key'];
+  if (!adminKey || typeof given !== 'string') return false;
+  const [a, b] = [Buffer.from(given), Buffer.from(adminKey)];
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// The admin key (req.admin) or else an agent's API key (req.agent)
+function authenticateAgentOrAdmin(req, res, next) {
+  if (isAdmin(req)) {
+    req.admin = true;
+    return next();
+  }
+  return authenticateAgent(req, res, next);
+}
+
+// Match service: every match, whichever transport its agents play over
+const matchService = new MatchService(db, {
+  matchOptions: {
+    ruleset: process.env.RULESET || 'classic',
+    map: process.env.MAP_GENERATOR || 'classic',
+    rows: process.env.MAP_ROWS ? parseInt(process.env.MAP_ROWS) : undefined,
+    cols: process.env.MAP_COLS ? parseInt(process.env.MAP_COLS) : undefined,
+    fogOfWar: process.env.FOG_OF_WAR === 'true',
+    turnMode: process.env.TURN_MODE || 'alternating'
+  },
+  snapshotInterval: process.env.GRID_SNAPSHOT_INTERVAL ? parseInt(process.env.GRID_SNAPSHOT_INTERVAL) : undefined,
+  
+  // Announce to spectators and start the game for agents connected over WebSocket
+  onMatchCreated: (match, agents, gameState, deadline) => {
+    const players = agents.map(a => ({ id: a.id, name: a.name }));
     broadcastToSpectators({
       type: 'MATCH_ANNOUNCED',
       matchId: match.id,
-      player1: { id: agent1.id, name: agent1.name },
-      player2: { id: agent2.id, name: agent2.name }
+      player1: players[0],
+      player2: players[1],
+      players,
+      teams: gameState.teams || null,
+      rated: match.rated !== false,
+      tournamentId: match.tournament_id || null,
+      tournamentRound: match.tournament_round || null
     });
     
     if (axiom) {
-      axiom.onMatchAnnounced(agent1.id, agent2.id, Math.abs((agent1.elo_rating || 1000) - (agent2.elo_rating || 1000)));
+      const elos = agents.map(a => a.elo_rating || 1000);
+      axiom.onMatchAnnounced(agents.map(a => a.id), Math.max(...elos) - Math.min(...elos));
+      axiom.onMatchStart(match.id, agents.map(a => a.id));
+    }
+    
+    // The opening turn's challenge rides along with GAME_START
+    for (const agentId of Object.keys(gameState.players)) {
+      sendGameStart(gameState, agentId, deadline);
+    }
+    houseBots.onTurn(gameState);
+    
+    broadcastToSpectators({
+      type: 'MATCH_STARTED',
+      matchId: match.id,
+      players: agents.map(a => a.id),
+      state: getPublicState(gameState)
+    });
+  },
+  
+  onMove: (gameState, { agentId, move, monologue, result }) => {
+    if (gameState.turnMode === 'simultaneous') {
+      announceOrders(gameState.id, gameState, agentId, monologue, result);
+    } else {
+      notifyMove(gameState.id, gameState, agentId, monologue, move, result);
+    }
+    
+    if (result.eliminated) {
+      broadcastEliminations(gameState.id, result.eliminated, gameState);
     }
   },
   
-  // Called on turn timeout
-  onTurnTimeout: (matchId, agentId, gameState) => {
+  onTimeout: (gameState, agentId, result) => {
+    if (activeChallenges.get(agentId)?.matchId === gameState.id) {
+      activeChallenges.delete(agentId);
+    }
+    
     broadcastToSpectators({
       type: 'TIMEOUT',
-      matchId,
+      matchId: gameState.id,
       agentId,
       state: getPublicState(gameState)
     });
+    
+    if (result.resolved) {
+      announceOrders(gameState.id, gameState, agentId, '[TIMEOUT - Turn skipped automatically]', result);
+    }
+    if (result.eliminated) {
+      broadcastEliminations(gameState.id, result.eliminated, gameState);
+    }
+  },
+  
+  onTurn: (gameState, agentIds, deadline) => {
+    announceTurn(gameState, agentIds, deadline);
+    houseBots.onTurn(gameState);
+  },
+  
+  onMatchEnded: (gameState) => {
+    handleGameEnd(gameState);
+    houseBots.onMatchEnded(gameState);
+    integrityChecker.onMatchEnded(gameState);
+  }
+});
+
+// Tournaments: rounds of matches, announced to spectators
+const tournamentService = new TournamentService(db, matchService, {
+  onRoundStarted: (tournament, round, pairings) => {
+    broadcastToSpectators({
+      type: 'TOURNAMENT_ROUND_STARTED',
+      tournamentId: tournament.id,
+      name: tournament.name,
+      format: tournament.format,
+      round,
+      pairings
+    });
+  },
+  
+  onRoundEnded: (tournament, round, pairings, standings) => {
+    broadcastToSpectators({
+      type: 'TOURNAMENT_ROUND_ENDED',
+      tournamentId: tournament.id,
+      name: tournament.name,
+      round,
+      pairings,
+      standings
+    });
+  },
+  
+  onTournamentEnded: (tournament, standings) => {
+    broadcastToSpectators({
+      type: 'TOURNAMENT_ENDED',
+      tournamentId: tournament.id,
+      name: tournament.name,
+      winner: tournament.winner,
+      standings
+    });
+  }
+});
+
+// Direct challenges and private lobbies: matches outside the public queue
+const lobbyService = new LobbyService(db, matchService, {
+  onNotify: (agentId, message) => sendToAgent(agentId, message)
+});
+
+// House bots: unrated sparring partners, on request or when the queue is empty
+const houseBots = new HouseBots(db, matchService, {
+  waitSeconds: process.env.HOUSE_BOT_WAIT_SECONDS !== undefined ? parseInt(process.env.HOUSE_BOT_WAIT_SECONDS) : undefined
+});
+
+// Seasons: archived standings and a soft rating reset at every rollover
+const seasonService = new SeasonService(db, matchService, {
+  seasonDays: process.env.SEASON_LENGTH_DAYS !== undefined ? parseFloat(process.env.SEASON_LENGTH_DAYS) : undefined,
+  carryover: process.env.SEASON_CARRYOVER !== undefined ? parseFloat(process.env.SEASON_CARRYOVER) : undefined,
+  onSeasonEnded: (season, standings, next) => {
+    broadcastToSpectators({
+      type: 'SEASON_ENDED',
+      season: formatSeason(season),
+      nextSeason: next ? formatSeason(next) : null,
+      top: standings.slice(0, 10).map(s => ({
+        rank: s.rank,
+        agentId: s.agent_id,
+        rating: s.elo_rating,
+        gamesPlayed: s.games_played
+      }))
+    });
   }
 });
 
+// Integrity: re-run every finished match from its logs and flag any that don't reproduce
+const integrityChecker = new IntegrityChecker(db, {
+  sweepMinutes: process.env.INTEGRITY_SWEEP_MINUTES !== undefined ? parseFloat(process.env.INTEGRITY_SWEEP_MINUTES) : undefined
+});
+
+// Matchmaker: the queue, feeding new matches to the match service (and running tournament rounds and seasons)
+const matchmaker = new Matchmaker(db, matchService, { tournamentService, houseBots, seasonService });
+
 // Broadcast lobby updates periodically
 setInterval(async () => {
   const queue = await matchmaker.getQueueStatus();
@@ -129,15 +294,36 @@ app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     service: 'Alignment Protocol Game Server',
-    activeMatches: activeMatches.size,
+    activeMatches: matchService.activeMatches.size,
     connectedAgents: agentConnections.size,
     spectators: spectatorConnections.size
   });
 });
 
+// List available map generators
+app.get('/api/maps', (req, res) => {
+  const maps = Object.entries(MAP_GENERATORS).map(([id, generator]) => ({
+    id,
+    description: generator.description,
+    ...(generator.minCols ? { minCols: generator.minCols } : {}),
+    ...(generator.evenRows ? { evenRows: true } : {})
+  }));
+  res.json({ maps, defaultMap: matchService.matchOptions.map });
+});
+
+// List ruleset presets (each match reports its active ruleset in state.rules)
+app.get('/api/rulesets', (req, res) => {
+  const rulesets = Object.entries(RULESET_PRESETS).map(([id, preset]) => ({
+    id,
+    description: preset.description,
+    overrides: preset.overrides
+  }));
+  res.json({ rulesets, defaultRuleset: matchService.matchOptions.ruleset });
+});
+
 // Get active matches
 app.get('/api/matches', (req, res) => {
-  const matches = Array.from(activeMatches.values()).map(m => ({
+  const matches = Array.from(matchService.activeMatches.values()).map(m => ({
     id: m.id,
     players: Object.keys(m.players),
     turn: m.turn,
@@ -148,11 +334,10 @@ app.get('/api/matches', (req, res) => {
 
 // Get matches where it's your turn (must be before :matchId route!)
 app.get('/api/matches/my-turn', authenticateAgent, async (req, res) => {
-  const { data: matches, error } = await supabase
-    .from('matches')
-    .select('id, game_state, current_turn_agent_id, turn_deadline, turn_number, player_1, player_2')
-    .eq('status', 'active')
-    .eq('current_turn_agent_id', req.agent.id);
+  const { data: matches, error } = await repos.matches.findAwaiting(
+    req.agent.id,
+    'id, game_state, current_turn_agent_id, turn_deadline, turn_number, player_1, player_2'
+  );
   
   if (error) {
     return res.status(500).json({ error: 'Failed to fetch matches' });
@@ -162,7 +347,8 @@ app.get('/api/matches/my-turn', authenticateAgent, async (req, res) => {
     matchId: m.id,
     turnDeadline: m.turn_deadline,
     turnNumber: m.turn_number,
-    state: m.game_state ? getPublicState(m.game_state, req.agent.id) : null
+    state: m.game_state ? getPublicState(m.game_state, req.agent.id) : null,
+    validActions: m.game_state ? getValidActions(m.game_state, req.agent.id) : []
   }));
   
   res.json({ 
@@ -171,20 +357,67 @@ app.get('/api/matches/my-turn', authenticateAgent, async (req, res) => {
   });
 });
 
+// List every legal action for the calling agent, with costs and combat outcomes
+app.get('/api/matches/:matchId/valid-actions', authenticateAgent, async (req, res) => {
+  const gameState = await matchService.getState(req.params.matchId);
+  if (!gameState) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  
+  if (!gameState.players[req.agent.id]) {
+    return res.status(403).json({ error: 'Not a player in this match' });
+  }
+  
+  res.json({
+    matchId: gameState.id,
+    turn: gameState.turn,
+    yourTurn: getAwaitingPlayers(gameState).includes(req.agent.id),
+    actions: getValidActions(gameState, req.agent.id)
+  });
+});
+
+// Dry-run a move against a copy of the match - commits nothing, uses no turn or challenge
+app.post('/api/matches/:matchId/simulate', authenticateAgent, async (req, res) => {
+  const { move } = req.body || {};
+  if (!move) {
+    return res.status(400).json({ error: 'move object required' });
+  }
+  
+  const gameState = await matchService.getState(req.params.matchId);
+  if (!gameState) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  
+  if (!gameState.players[req.agent.id]) {
+    return res.status(403).json({ error: 'Not a player in this match' });
+  }
+  
+  const simulation = simulateMove(gameState, req.agent.id, move);
+  if (!simulation.success) {
+    return res.status(400).json({ error: simulation.error });
+  }
+  
+  res.json({ ...simulation, result: visibleOrders(gameState, simulation.result, req.agent.id) });
+});
+
 // Get match state (check in-memory first, then database)
 app.get('/api/matches/:matchId', async (req, res) => {
-  // Check in-memory first (for real-time WebSocket games)
-  const memMatch = activeMatches.get(req.params.matchId);
+  // Check the live match cache first
+  const memMatch = matchService.activeMatches.get(req.params.matchId);
   if (memMatch) {
-    return res.json(getPublicState(memMatch));
+    return res.json({
+      ...getPublicState(memMatch),
+      currentTurnAgentId: memMatch.currentPlayer,
+      turnDeadline: matchService.deadlines.get(memMatch.id)?.toISOString() || null,
+      turnNumber: memMatch.turn
+    });
   }
   
   // Check database (for async games)
-  const { data: dbMatch, error } = await supabase
-    .from('matches')
-    .select('id, game_state, status, winner, current_turn_agent_id, turn_deadline, turn_number, player_1, player_2')
-    .eq('id', req.params.matchId)
-    .single();
+  const { data: dbMatch, error } = await repos.matches.findById(
+    req.params.matchId,
+    'id, game_state, status, winner, current_turn_agent_id, turn_deadline, turn_number, player_1, player_2, players'
+  );
   
   if (error || !dbMatch) {
     return res.status(404).json({ error: 'Match not found' });
@@ -204,7 +437,7 @@ app.get('/api/matches/:matchId', async (req, res) => {
     matchId: dbMatch.id,
     status: dbMatch.status,
     winner: dbMatch.winner,
-    players: [dbMatch.player_1, dbMatch.player_2].filter(Boolean)
+    players: dbMatch.players || [dbMatch.player_1, dbMatch.player_2].filter(Boolean)
   });
 });
 
@@ -214,7 +447,10 @@ app.get('/api/matches/:matchId', async (req, res) => {
 
 // Join matchmaking queue (no WebSocket required)
 app.post('/api/queue/join', authenticateAgent, async (req, res) => {
-  const result = await matchmaker.joinQueue(req.agent.id);
+  const result = await matchmaker.joinQueue(req.agent.id, {
+    matchSize: req.body?.matchSize,
+    teams: req.body?.teams
+  });
   
   if (!result.success) {
     return res.status(400).json({ error: result.error });
@@ -225,6 +461,8 @@ app.post('/api/queue/join', authenticateAgent, async (req, res) => {
     agentId: req.agent.id,
     name: req.agent.name,
     elo: result.elo,
+    matchSize: result.matchSize,
+    teams: result.teams,
     message: 'You are now in the matchmaking queue. Poll /api/matches/my-turn or set a webhook.'
   });
 });
@@ -245,6 +483,30 @@ app.get('/api/queue/status', async (req, res) => {
   res.json({ queue, count: queue.length });
 });
 
+// House bots available for practice
+app.get('/api/bots', (req, res) => {
+  res.json({ bots: houseBots.list(), queueFallbackSeconds: houseBots.waitSeconds || null });
+});
+
+// Start an unrated practice match against a house bot
+app.post('/api/practice', authenticateAgent, async (req, res) => {
+  const result = await houseBots.startPractice(req.agent, {
+    bot: req.body?.bot || null,
+    matchOptions: matchOptionsFrom(req.body)
+  });
+  
+  if (!result.success) {
+    return res.status(400).json({ error: result.error });
+  }
+  
+  res.status(201).json({
+    success: true,
+    matchId: result.match.id,
+    bot: result.bot,
+    rated: false
+  });
+});
+
 // Submit a move (async - no WebSocket required)
 app.post('/api/matches/:matchId/move', authenticateAgent, async (req, res) => {
   const { matchId } = req.params;
@@ -255,159 +517,20 @@ app.post('/api/matches/:matchId/move', authenticateAgent, async (req, res) => {
     return res.status(400).json({ error: 'move object required' });
   }
   
-  // Monologue is mandatory
-  if (!monologue || monologue.trim().length < 10) {
-    return res.status(400).json({ 
-      error: 'Monologue required (minimum 10 characters). Spectators watch your reasoning.'
-    });
-  }
-  
-  // Fetch match from database
-  const { data: match, error: fetchError } = await supabase
-    .from('matches')
-    .select('id, game_state, current_turn_agent_id, player_1, player_2, status')
-    .eq('id', matchId)
-    .single();
-  
-  if (fetchError || !match) {
-    return res.status(404).json({ error: 'Match not found' });
-  }
-  
-  if (match.status !== 'active') {
-    return res.status(400).json({ error: 'Match is not active' });
-  }
-  
-  if (match.current_turn_agent_id !== agentId) {
-    return res.status(403).json({ error: 'Not your turn' });
-  }
-  
-  const gameState = match.game_state;
-  if (!gameState) {
-    return res.status(500).json({ error: 'Match has no game state' });
-  }
-  
-  // Ensure currentPlayer matches
-  gameState.currentPlayer = agentId;
-  
-  // Process the move
-  const result = processMove(gameState, agentId, move);
-  
-  if (!result.success) {
-    return res.status(400).json({ type: 'MOVE_REJECTED', error: result.error });
-  }
-  
-  // Log thoughts
-  await supabase.from('agent_thoughts').insert({
-    match_id: matchId,
-    turn: gameState.turn,
-    agent_id: agentId,
-    monologue
-  });
-  
-  // Log action
-  await supabase.from('game_logs').insert({
-    match_id: matchId,
-    turn: gameState.turn,
-    agent_id: agentId,
-    action: move,
-    result,
-    grid_state: gameState.grid
-  });
-  
-  // Determine next player
-  const playerIds = [match.player_1, match.player_2];
-  const nextPlayer = playerIds.find(id => id !== agentId);
-  
-  // Get timeout for next player
-  const { data: nextAgent } = await supabase
-    .from('agents')
-    .select('turn_timeout_seconds')
-    .eq('id', nextPlayer)
-    .single();
-  
-  const timeoutSec = nextAgent?.turn_timeout_seconds || 300;
-  const newDeadline = new Date(Date.now() + timeoutSec * 1000);
-  
-  // Update match in database
-  const { error: updateError } = await supabase
-    .from('matches')
-    .update({
-      game_state: gameState,
-      current_turn_agent_id: gameState.status === 'complete' ? null : nextPlayer,
-      turn_deadline: gameState.status === 'complete' ? null : newDeadline.toISOString(),
-      turn_number: gameState.turn,
-      status: gameState.status,
-      winner: gameState.winner,
-      ended_at: gameState.status === 'complete' ? new Date().toISOString() : null
-    })
-    .eq('id', matchId);
-  
-  if (updateError) {
-    console.error('[MOVE] Failed to update match:', updateError);
-    return res.status(500).json({ error: 'Failed to save game state' });
-  }
-  
-  // Broadcast to spectators
-  broadcastToSpectators({
-    type: 'GAME_UPDATE',
-    matchId,
-    turn: gameState.turn,
-    agentId,
-    monologue,
-    action: move,
-    result,
-    state: getPublicState(gameState)
-  });
-  
-  // AXIOM commentary
-  if (axiom) {
-    axiom.onMonologue(agentId, monologue);
-    axiom.onAction(agentId, move, result);
-  }
-  
-  // Notify opponent via webhook
-  if (gameState.status === 'active') {
-    matchmaker.notifyYourTurn(matchId, nextPlayer);
-  }
+  const outcome = await matchService.submitMove(matchId, agentId, { move, monologue });
   
-  // Update Elo on game end + auto-rejoin if flagged
-  if (gameState.status === 'complete' && gameState.winner) {
-    const loserId = playerIds.find(id => id !== gameState.winner);
-    await supabase.rpc('update_match_elo', {
-      winner_id: gameState.winner,
-      loser_id: loserId
-    });
-    console.log(`[ELO] Updated ratings for winner=${gameState.winner}, loser=${loserId}`);
-
-    // Auto-rejoin queue for agents that have opted in
-    const { data: autoRejoinAgents } = await supabase
-      .from('agents')
-      .select('id, name, auto_rejoin')
-      .in('id', playerIds)
-      .eq('auto_rejoin', true);
-
-    for (const agent of (autoRejoinAgents || [])) {
-      await matchmaker.joinQueue(agent.id);
-      console.log(`[AUTO-REJOIN] ${agent.name} re-joined queue after match`);
-    }
-    
-    // Broadcast to spectators
-    broadcastToSpectators({
-      type: 'MATCH_ENDED',
-      matchId,
-      winner: gameState.winner,
-      finalState: getPublicState(gameState)
-    });
-    
-    if (axiom) {
-      axiom.onMatchEnd(gameState.winner, gameState.winReason || 'domination');
-    }
+  if (!outcome.success) {
+    const status = { NOT_FOUND: 404, NOT_YOUR_TURN: 403 }[outcome.code] || 400;
+    return res.status(status).json(
+      outcome.code === 'MOVE_REJECTED' ? { type: 'MOVE_REJECTED', error: outcome.error } : { error: outcome.error }
+    );
   }
   
+  const { gameState, result } = outcome;
   res.json({
     success: true,
-    result,
-    yourTurn: false,
+    result: visibleOrders(gameState, result, agentId),
+    yourTurn: getAwaitingPlayers(gameState).includes(agentId),
     gameStatus: gameState.status,
     winner: gameState.winner,
     state: getPublicState(gameState, agentId)
@@ -418,10 +541,7 @@ app.post('/api/matches/:matchId/move', authenticateAgent, async (req, res) => {
 app.post('/api/agents/webhook', authenticateAgent, async (req, res) => {
   const { webhook_url } = req.body;
   
-  const { error } = await supabase
-    .from('agents')
-    .update({ webhook_url })
-    .eq('id', req.agent.id);
+  const { error } = await repos.agents.update(req.agent.id, { webhook_url });
   
   if (error) {
     return res.status(500).json({ error: 'Failed to update webhook' });
@@ -444,11 +564,7 @@ app.post('/api/agents/register', async (req, res) => {
   
   const apiKey = `agent_${uuid().replace(/-/g, '')}`;
   
-  const { data, error } = await supabase
-    .from('agents')
-    .insert({ name, api_key: apiKey, owner_email: email })
-    .select()
-    .single();
+  const { data, error } = await repos.agents.create({ name, api_key: apiKey, owner_email: email });
   
   if (error) {
     console.error('Agent registration error:', error);
@@ -473,11 +589,7 @@ app.post('/api/agents/profile', async (req, res) => {
   const apiKey = authHeader.slice(7);
   
   // Find agent by API key
-  const { data: agent, error: authError } = await supabase
-    .from('agents')
-    .select('id, name')
-    .eq('api_key', apiKey)
-    .single();
+  const { data: agent, error: authError } = await repos.agents.findByApiKey(apiKey, 'id, name');
   
   if (authError || !agent) {
     return res.status(401).json({ error: 'Invalid API key' });
@@ -507,10 +619,7 @@ app.post('/api/agents/profile', async (req, res) => {
   
   updates.updated_at = new Date().toISOString();
   
-  const { error: updateError } = await supabase
-    .from('agents')
-    .update(updates)
-    .eq('id', agent.id);
+  const { error: updateError } = await repos.agents.update(agent.id, updates);
   
   if (updateError) {
     console.error('Profile update error:', updateError);
@@ -530,15 +639,11 @@ app.post('/api/agents/profile', async (req, res) => {
 app.get('/api/agents/:agentId', async (req, res) => {
   const { agentId } = req.params;
   
-  const { data: agent, error } = await supabase
-    .from('agents')
-    .select(`
-      id, name, model, model_provider, agent_framework,
-      description, strategy_hint, avatar_url, homepage_url, version,
-      wins, losses, elo_rating, created_at, last_seen_at
-    `)
-    .eq('id', agentId)
-    .single();
+  const { data: agent, error } = await repos.agents.findById(agentId, `
+    id, name, model, model_provider, agent_framework,
+    description, strategy_hint, avatar_url, homepage_url, version,
+    wins, losses, elo_rating, created_at, last_seen_at
+  `);
   
   if (error || !agent) {
     return res.status(404).json({ error: 'Agent not found' });
@@ -548,10 +653,100 @@ app.get('/api/agents/:agentId', async (req, res) => {
   const gamesPlayed = (agent.wins || 0) + (agent.losses || 0);
   const winRate = gamesPlayed > 0 ? ((agent.wins || 0) / gamesPlayed * 100).toFixed(1) : null;
   
+  const { data: stats } = await db
+    .from('agent_stats')
+    .select('games_played, draws, game_stats')
+    .eq('agent_id', agentId)
+    .eq('game_type', DEFAULT_GAME_TYPE)
+    .maybeSingle();
+  
   res.json({
     ...agent,
     gamesPlayed,
-    winRate: winRate ? `${winRate}%` : null
+    draws: stats?.draws || 0,
+    provisional: isProvisional(stats?.games_played ?? gamesPlayed),
+    winRate: winRate ? `${winRate}%` : null,
+    behavior: behaviorSummary(stats?.game_stats)
+  });
+});
+
+// Rating history: one entry per rated match, oldest first
+app.get('/api/agents/:agentId/ratings', async (req, res) => {
+  const { agentId } = req.params;
+  const { game = DEFAULT_GAME_TYPE, limit = 100 } = req.query;
+  
+  const { data: history, error } = await db
+    .from('rating_history')
+    .select('match_id, result, rating_before, rating_after, rating_change, k_factor, expected_score, actual_score, games_played, created_at')
+    .eq('agent_id', agentId)
+    .eq('game_type', game)
+    .order('created_at', { ascending: false })
+    .limit(parseInt(limit));
+  
+  if (error) {
+    return res.status(500).json({ error: 'Failed to fetch rating history' });
+  }
+  
+  const entries = history.reverse().map(h => ({
+    matchId: h.match_id,
+    result: h.result,
+    ratingBefore: h.rating_before,
+    rating: h.rating_after,
+    change: h.rating_change,
+    kFactor: h.k_factor,
+    expectedScore: h.expected_score,
+    actualScore: h.actual_score,
+    gamesPlayed: h.games_played,
+    at: h.created_at
+  }));
+  
+  const latest = entries[entries.length - 1];
+  res.json({
+    agentId,
+    game,
+    rating: latest?.rating ?? null,
+    provisional: isProvisional(latest?.gamesPlayed || 0),
+    history: entries
+  });
+});
+
+// Head-to-head: one agent's record against another, with how their games went
+app.get('/api/agents/:agentId/vs/:opponentId', async (req, res) => {
+  const { agentId, opponentId } = req.params;
+  const { limit = 20 } = req.query;
+  
+  if (agentId === opponentId) {
+    return res.status(400).json({ error: 'Pick two different agents' });
+  }
+  
+  const { data: agents } = await repos.agents.findMany([agentId, opponentId], 'id, name, model, elo_rating');
+  
+  const agent = agents?.find(a => a.id === agentId);
+  const opponent = agents?.find(a => a.id === opponentId);
+  if (!agent || !opponent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+  
+  const { data: matches, error } = await repos.matches.findRecentComplete(
+    'id, winner, started_at, ended_at, players, game_state',
+    { players: [agentId, opponentId] }
+  );
+  
+  if (error) {
+    return res.status(500).json({ error: 'Failed to fetch matches' });
+  }
+  
+  const { data: logs } = matches.length
+    ? await repos.gameLogs.forMatches(matches.map(m => m.id), 'match_id, agent_id, result')
+    : { data: [] };
+  
+  const summary = headToHead(agentId, opponentId, matches, logs || []);
+  
+  res.json({
+    agent,
+    opponent,
+    ...summary,
+    matches: summary.matches.slice(0, parseInt(limit))
   });
 });
 
@@ -559,15 +754,10 @@ app.get('/api/agents/:agentId', async (req, res) => {
 app.get('/api/replays', async (req, res) => {
   const { limit = 20 } = req.query;
   
-  const { data: matches, error } = await supabase
-    .from('matches')
-    .select(`
-      id, status, winner, started_at, ended_at,
-      player_1, player_2
-    `)
-    .eq('status', 'complete')
-    .order('ended_at', { ascending: false })
-    .limit(parseInt(limit));
+  const { data: matches, error } = await repos.matches.findRecentComplete(
+    'id, status, winner, started_at, ended_at, player_1, player_2, players',
+    { limit: parseInt(limit) }
+  );
   
   if (error) {
     return res.status(500).json({ error: 'Failed to fetch matches' });
@@ -576,15 +766,11 @@ app.get('/api/replays', async (req, res) => {
   // Get all player IDs
   const playerIds = new Set();
   for (const m of matches) {
-    if (m.player_1) playerIds.add(m.player_1);
-    if (m.player_2) playerIds.add(m.player_2);
+    for (const id of matchPlayerIds(m)) playerIds.add(id);
   }
   
   // Fetch player names
-  const { data: players } = await supabase
-    .from('agents')
-    .select('id, name, model')
-    .in('id', Array.from(playerIds));
+  const { data: players } = await repos.agents.findMany(Array.from(playerIds), 'id, name, model');
   
   const playerMap = {};
   for (const p of (players || [])) {
@@ -596,6 +782,7 @@ app.get('/api/replays', async (req, res) => {
     id: m.id,
     player1: playerMap[m.player_1]?.name || 'Unknown',
     player2: playerMap[m.player_2]?.name || 'Unknown',
+    players: matchPlayerIds(m).map(id => playerMap[id]?.name || 'Unknown'),
     winner: playerMap[m.winner]?.name || null,
     endedAt: m.ended_at,
     durationMs: m.ended_at && m.started_at 
@@ -606,57 +793,110 @@ app.get('/api/replays', async (req, res) => {
   res.json({ replays });
 });
 
+// Export finished matches as a JSONL dataset: one (state, action, result, monologue) record per move
+// Agents export anonymized records, at most MAX_EXPORT_MATCHES matches a request;
+// the admin key lifts both (as does the export.js CLI)
+const MAX_EXPORT_MATCHES = 1000;
+
+app.get('/api/export', authenticateAgentOrAdmin, async (req, res) => {
+  const { from, to, agent, provider, ruleset, anonymize, limit } = req.query;
+  
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (value && isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `${key} must be a date, e.g. 2026-01-31` });
+    }
+  }
+  
+  let maxMatches = req.admin ? Infinity : MAX_EXPORT_MATCHES;
+  if (limit !== undefined) {
+    if (!/^\d+$/.test(limit) || parseInt(limit) < 1) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+    maxMatches = Math.min(parseInt(limit), maxMatches);
+  }
+  
+  const anonymized = anonymize === undefined ? !req.admin : anonymize === 'true' || anonymize === '1';
+  if (!anonymized && !req.admin) {
+    return res.status(403).json({ error: 'Only the admin key can export without anonymizing' });
+  }
+  
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Content-Disposition', 'attachment; filename="alignment-protocol-dataset.jsonl"');
+  
+  try {
+    const records = exportRecords(db, {
+      from,
+      to,
+      agent,
+      provider,
+      ruleset,
+      anonymize: anonymized,
+      salt: process.env.EXPORT_SALT,
+      maxMatches
+    });
+    
+    for await (const record of records) {
+      if (res.destroyed) break;
+      if (!res.write(JSON.stringify(record) + '\n')) {
+        await new Promise(resolve => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+    }
+    res.end();
+  } catch (err) {
+    console.error('[EXPORT] Failed:', err);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return res.status(500).type('json').json({ error: 'Export failed' });
+    }
+    res.end();
+  }
+});
+
 // Get full match replay data
 app.get('/api/replays/:matchId', async (req, res) => {
   const { matchId } = req.params;
   
   // Get match metadata
-  const { data: match, error: matchError } = await supabase
-    .from('matches')
-    .select(`
-      id, status, winner, started_at, ended_at,
-      player_1, player_2
-    `)
-    .eq('id', matchId)
-    .single();
+  const { data: match, error: matchError } = await repos.matches.findById(
+    matchId,
+    'id, status, winner, started_at, ended_at, player_1, player_2, players, game_state'
+  );
   
   if (matchError || !match) {
     return res.status(404).json({ error: 'Match not found' });
   }
   
   // Get player info
-  const playerIds = [match.player_1, match.player_2].filter(Boolean);
-  const { data: players } = await supabase
-    .from('agents')
-    .select('id, name, model, model_provider, avatar_url')
-    .in('id', playerIds);
+  const playerIds = matchPlayerIds(match);
+  const { data: players } = await repos.agents.findMany(playerIds, 'id, name, model, model_provider, avatar_url');
   
   const playerMap = {};
   for (const p of (players || [])) {
     playerMap[p.id] = p;
   }
   
-  // Get all moves with grid state
-  const { data: moves, error: movesError } = await supabase
-    .from('game_logs')
-    .select('turn, agent_id, action, result, grid_state, created_at')
-    .eq('match_id', matchId)
-    .order('turn', { ascending: true })
-    .order('created_at', { ascending: true });
+  // Get all moves. The grids are rebuilt from them, so snapshots are only needed for
+  // custom maps stored before the state kept them, which the engine can't recreate.
+  const customMap = match.game_state?.map?.type === 'custom' && !match.game_state.mapData;
+  const { data: moves, error: movesError } = await repos.gameLogs.forMatch(
+    matchId,
+    `id, turn, agent_id, action, result, created_at${customMap ? ', grid_state' : ''}`
+  );
   
   if (movesError) {
     return res.status(500).json({ error: 'Failed to fetch moves' });
   }
   
   // Get all monologues
-  const { data: thoughts } = await supabase
-    .from('agent_thoughts')
-    .select('turn, agent_id, monologue, created_at')
-    .eq('match_id', matchId)
-    .order('turn', { ascending: true })
-    .order('created_at', { ascending: true });
-  
-  // Build turn-by-turn replay data
+  const { data: thoughts } = await repos.agentThoughts.forMatch(matchId, 'turn, agent_id, monologue, created_at');
+  
+  // Build turn-by-turn replay data, with the sectors each turn changed
+  const { opening, changes } = match.game_state
+    ? gridChangesByTurn(match, moves || [])
+    : { opening: null, changes: new Map() };
   const turns = [];
   let currentTurn = -1;
   let turnData = null;
@@ -668,7 +908,7 @@ app.get('/api/replays/:matchId', async (req, res) => {
       turnData = { 
         turn: currentTurn, 
         moves: [],
-        gridAfter: null
+        changes: changes.get(currentTurn) || {}
       };
     }
     
@@ -685,8 +925,6 @@ app.get('/api/replays/:matchId', async (req, res) => {
       monologue: thought?.monologue || null,
       timestamp: move.created_at
     });
-    
-    turnData.gridAfter = move.grid_state;
   }
   if (turnData) turns.push(turnData);
   
@@ -703,60 +941,575 @@ app.get('/api/replays/:matchId', async (req, res) => {
         : null
     },
     players: playerMap,
+    initialGrid: opening,
     totalTurns: turns.length,
     turns
   });
 });
 
-// Get lobby status (queue)
-app.get('/api/lobby', async (req, res) => {
-  try {
-    const queue = await matchmaker.getQueueStatus();
-    res.json({ 
-      queue,
-      activeMatches: activeMatches.size,
-      timestamp: Date.now()
-    });
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch lobby status' });
+// Download a finished match as an .aprep replay: settings and actions, rebuilt by the engine
+app.get('/api/replays/:matchId/download', async (req, res) => {
+  const { matchId } = req.params;
+  const keyframeInterval = Math.max(0, parseInt(req.query.keyframes) || 0);
+  
+  const { data: match, error } = await repos.matches.findById(matchId, 'id, status, players, started_at, ended_at, game_state');
+  
+  if (error || !match?.game_state) {
+    return res.status(404).json({ error: 'Match not found' });
   }
+  if (match.status !== 'complete') {
+    return res.status(400).json({ error: 'Match is still in progress' });
+  }
+  
+  const [{ data: logs }, { data: thoughts }, { data: agents }] = await Promise.all([
+    repos.gameLogs.forMatch(matchId, 'id, turn, agent_id, action, grid_state'),
+    repos.agentThoughts.forMatch(matchId, 'turn, agent_id, monologue'),
+    repos.agents.findMany(match.players, 'id, name, model')
+  ]);
+  
+  const replay = buildReplay(
+    match,
+    logs || [],
+    thoughts || [],
+    Object.fromEntries((agents || []).map(a => [a.id, a])),
+    { keyframeInterval }
+  );
+  
+  res.setHeader('Content-Disposition', `attachment; filename="${matchId}.aprep"`);
+  res.json(replay);
 });
 
-// Get leaderboard
-app.get('/api/leaderboard', async (req, res) => {
-  const { game = 'alignment-protocol', limit = 20 } = req.query;
-  
-  const { data: agents, error } = await supabase
-    .from('agents')
-    .select(`
-      id, name, model, model_provider, avatar_url,
-      wins, losses, elo_rating
-    `)
-    .order('elo_rating', { ascending: false })
-    .limit(parseInt(limit));
-  
-  if (error) {
-    return res.status(500).json({ error: 'Failed to fetch leaderboard' });
+// Check an .aprep replay: re-run it through the engine and compare with its recorded result
+app.post('/api/replays/import', authenticateAgent, (req, res) => {
+  const invalid = validateReplay(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
   }
   
-  // Add rank and calculated fields
-  const leaderboard = agents.map((agent, index) => ({
-    rank: index + 1,
-    ...agent,
-    gamesPlayed: (agent.wins || 0) + (agent.losses || 0),
-    winRate: ((agent.wins || 0) + (agent.losses || 0)) > 0 
-      ? ((agent.wins || 0) / ((agent.wins || 0) + (agent.losses || 0)) * 100).toFixed(1) + '%'
-      : null
-  }));
-  
-  res.json({ 
-    game,
-    leaderboard 
+  const verification = verifyReplay(req.body);
+  res.json({
+    matchId: req.body.match.id || null,
+    ...verification
   });
 });
 
-// Subscribe to newsletter
-app.post('/api/subscribe', async (req, res) => {
+// Integrity of finished matches: report counts and the latest desyncs
+app.get('/api/integrity', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const { counts, desyncs } = await integrityChecker.getSummary({ limit });
+  res.json({
+    ...counts,
+    desyncs: desyncs.map(formatIntegrity)
+  });
+});
+
+// One match's integrity report. ?recheck=1 replays it again, which is costly:
+// only the match's own players (once per RECHECK_COOLDOWN_MS) or the admin key.
+const RECHECK_COOLDOWN_MS = parseInt(process.env.INTEGRITY_RECHECK_COOLDOWN_SECONDS || '60') * 1000;
+const lastRechecks = new Map(); // agentId -> time of the agent's last recheck
+
+app.get('/api/integrity/:matchId', (req, res, next) => {
+  if (req.query.recheck === '1' || req.query.recheck === 'true') {
+    return authenticateAgentOrAdmin(req, res, next);
+  }
+  next();
+}, async (req, res) => {
+  const { matchId } = req.params;
+  
+  try {
+    if (req.query.recheck === '1' || req.query.recheck === 'true') {
+      if (!req.admin) {
+        const { data: match } = await repos.matches.findById(matchId, 'player_1, player_2, players');
+        if (!match) {
+          return res.status(404).json({ error: 'No finished match with that ID' });
+        }
+        if (!matchPlayerIds(match).includes(req.agent.id)) {
+          return res.status(403).json({ error: 'Only the match\'s players can recheck it' });
+        }
+        
+        const waitMs = (lastRechecks.get(req.agent.id) ?? 0) + RECHECK_COOLDOWN_MS - Date.now();
+        if (waitMs > 0) {
+          res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+          return res.status(429).json({ error: 'Too many rechecks, try again later' });
+        }
+        lastRechecks.set(req.agent.id, Date.now());
+      }
+      
+      const report = await integrityChecker.checkMatch(matchId);
+      if (!report) {
+        return res.status(404).json({ error: 'No finished match with that ID' });
+      }
+      return res.json(report);
+    }
+    
+    const row = await integrityChecker.getReport(matchId);
+    if (!row) {
+      return res.status(404).json({ error: 'Match has not been checked' });
+    }
+    res.json(formatIntegrity(row));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to check match' });
+  }
+});
+
+// Get lobby status (queue)
+app.get('/api/lobby', async (req, res) => {
+  try {
+    const queue = await matchmaker.getQueueStatus();
+    res.json({ 
+      queue,
+      activeMatches: matchService.activeMatches.size,
+      timestamp: Date.now()
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch lobby status' });
+  }
+});
+
+const LEADERBOARD_PROFILE = 'id, name, model, model_provider, avatar_url';
+
+function formatSeason(season) {
+  return {
+    number: season.number,
+    name: season.name,
+    status: season.status,
+    startsAt: season.starts_at,
+    endsAt: season.ends_at,
+    endedAt: season.ended_at || null
+  };
+}
+
+/**
+ * match_integrity row as returned by the API (the same shape as a fresh check)
+ */
+function formatIntegrity(row) {
+  return {
+    matchId: row.match_id,
+    status: row.status,
+    checkedActions: row.checked_actions,
+    desyncCount: row.desync_count,
+    desyncs: row.desyncs,
+    errors: row.errors,
+    checkedAt: row.checked_at
+  };
+}
+
+/**
+ * Leaderboard row: public profile plus record and win rate
+ */
+function leaderboardEntry(rank, profile, { wins = 0, losses = 0, draws, elo_rating, gamesPlayed }) {
+  return {
+    rank,
+    ...profile,
+    wins,
+    losses,
+    ...(draws !== undefined ? { draws } : {}),
+    elo_rating,
+    gamesPlayed,
+    winRate: gamesPlayed > 0 ? (wins / gamesPlayed * 100).toFixed(1) + '%' : null
+  };
+}
+
+// Get leaderboard: current ratings for a game type, a season's standings with ?season=N,
+// or a behavior ranking with ?sort=ethical|ruthless|sanctuary|tech
+app.get('/api/leaderboard', async (req, res) => {
+  const { game = DEFAULT_GAME_TYPE, season: seasonParam, sort = 'rating', limit = 20 } = req.query;
+  
+  if (sort !== 'rating' && !LEADERBOARD_SORTS[sort]) {
+    return res.status(400).json({ error: `Unknown sort: ${sort}. Available: rating, ${Object.keys(LEADERBOARD_SORTS).join(', ')}` });
+  }
+  if (sort !== 'rating' && seasonParam !== undefined) {
+    return res.status(400).json({ error: 'Season standings are ranked by rating only' });
+  }
+  
+  const currentSeason = await seasonService.getCurrentSeason(game);
+  
+  if (sort !== 'rating') {
+    const { data: stats, error } = await db
+      .from('agent_stats')
+      .select('agent_id, games_played, wins, losses, draws, elo_rating, game_stats')
+      .eq('game_type', game);
+    
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    }
+    
+    const ranked = rankByBehavior(stats, sort).slice(0, parseInt(limit));
+    const { data: profiles } = await repos.agents.findMany(ranked.map(s => s.agent_id), LEADERBOARD_PROFILE);
+    
+    return res.json({
+      game,
+      sort,
+      title: LEADERBOARD_SORTS[sort].title,
+      season: currentSeason ? formatSeason(currentSeason) : null,
+      leaderboard: ranked.map((s, index) => ({
+        ...leaderboardEntry(index + 1, profiles?.find(p => p.id === s.agent_id) || { id: s.agent_id }, {
+          ...s,
+          gamesPlayed: s.games_played
+        }),
+        behavior: behaviorSummary(s.game_stats)
+      }))
+    });
+  }
+  
+  if (seasonParam !== undefined) {
+    const season = seasonParam === 'current'
+      ? currentSeason
+      : await seasonService.getSeason(parseInt(seasonParam), game);
+    if (!season) {
+      return res.status(404).json({ error: 'Season not found' });
+    }
+    
+    const standings = (await seasonService.getStandings(season)).slice(0, parseInt(limit));
+    const { data: profiles } = await repos.agents.findMany(standings.map(s => s.agent_id), LEADERBOARD_PROFILE);
+    
+    return res.json({
+      game,
+      season: formatSeason(season),
+      leaderboard: standings.map(s => leaderboardEntry(
+        s.rank,
+        profiles?.find(p => p.id === s.agent_id) || { id: s.agent_id },
+        { ...s, gamesPlayed: s.games_played }
+      ))
+    });
+  }
+  
+  let leaderboard;
+  if (game === DEFAULT_GAME_TYPE) {
+    const { data: agents, error } = await repos.agents.topRated(parseInt(limit), `${LEADERBOARD_PROFILE}, wins, losses, elo_rating`);
+    
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    }
+    
+    leaderboard = agents.map(({ wins, losses, elo_rating, ...profile }, index) => {
+      const gamesPlayed = (wins || 0) + (losses || 0);
+      return {
+        ...leaderboardEntry(index + 1, profile, { wins: wins || 0, losses: losses || 0, elo_rating, gamesPlayed }),
+        provisional: isProvisional(gamesPlayed)
+      };
+    });
+  } else {
+    // Other game types keep their ratings only in agent_stats
+    const { data: stats, error } = await db
+      .from('agent_stats')
+      .select('agent_id, games_played, wins, losses, draws, elo_rating')
+      .eq('game_type', game)
+      .order('elo_rating', { ascending: false })
+      .limit(parseInt(limit));
+    
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    }
+    
+    const { data: profiles } = await repos.agents.findMany(stats.map(s => s.agent_id), LEADERBOARD_PROFILE);
+    
+    leaderboard = stats.map((s, index) => ({
+      ...leaderboardEntry(index + 1, profiles?.find(p => p.id === s.agent_id) || { id: s.agent_id }, {
+        ...s,
+        gamesPlayed: s.games_played
+      }),
+      provisional: isProvisional(s.games_played)
+    }));
+  }
+  
+  res.json({ 
+    game,
+    season: currentSeason ? formatSeason(currentSeason) : null,
+    leaderboard 
+  });
+});
+
+// List seasons, newest first
+app.get('/api/seasons', async (req, res) => {
+  const { game = DEFAULT_GAME_TYPE } = req.query;
+  const seasons = await seasonService.listSeasons(game);
+  res.json({ game, seasons: seasons.map(formatSeason) });
+});
+
+// ============================================
+// Tournaments
+// ============================================
+
+/**
+ * Per-match options an agent may choose for tournaments, challenges, private lobbies and
+ * practice. initMatch checks them (sizes, start sectors, custom map data) before any match exists.
+ */
+function matchOptionsFrom(body = {}) {
+  const matchOptions = {};
+  if (body.ruleset) matchOptions.ruleset = body.ruleset;
+  if (body.map) matchOptions.map = body.map;
+  if (body.turnMode) matchOptions.turnMode = body.turnMode;
+  if (body.rows !== undefined) matchOptions.rows = body.rows;
+  if (body.cols !== undefined) matchOptions.cols = body.cols;
+  if (Array.isArray(body.starts)) matchOptions.starts = body.starts;
+  if (body.mapData) matchOptions.mapData = body.mapData;
+  return matchOptions;
+}
+
+function formatTournament(tournament) {
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    format: tournament.format,
+    status: tournament.status,
+    createdBy: tournament.created_by,
+    maxEntrants: tournament.max_entrants,
+    swissRounds: tournament.swiss_rounds,
+    matchOptions: tournament.match_options,
+    startsAt: tournament.starts_at,
+    startedAt: tournament.started_at,
+    endedAt: tournament.ended_at,
+    currentRound: tournament.current_round,
+    winner: tournament.winner
+  };
+}
+
+/**
+ * agentId -> name, for labelling standings and pairings
+ */
+async function agentNames(agentIds) {
+  if (!agentIds.length) return {};
+  const { data: agents } = await repos.agents.findMany(agentIds, 'id, name');
+  return Object.fromEntries((agents || []).map(a => [a.id, a.name]));
+}
+
+function sendTournamentError(res, result) {
+  const status = result.code === 'NOT_FOUND' ? 404 : result.code === 'FORBIDDEN' ? 403 : 400;
+  res.status(status).json({ error: result.error });
+}
+
+// List tournaments (newest first)
+app.get('/api/tournaments', async (req, res) => {
+  const { status, limit = 20 } = req.query;
+  
+  let query = db
+    .from('tournaments')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(parseInt(limit));
+  if (status) query = query.eq('status', status);
+  
+  const { data: tournaments, error } = await query;
+  if (error) {
+    return res.status(500).json({ error: 'Failed to fetch tournaments' });
+  }
+  
+  res.json({ tournaments: tournaments.map(formatTournament) });
+});
+
+// Create a tournament (the creating agent organizes it)
+app.post('/api/tournaments', authenticateAgent, async (req, res) => {
+  const { name, format, maxEntrants, swissRounds, startsAt } = req.body || {};
+  
+  const result = await tournamentService.createTournament(req.agent.id, {
+    name,
+    format,
+    maxEntrants: maxEntrants ?? null,
+    swissRounds: swissRounds ?? null,
+    startsAt: startsAt ?? null,
+    matchOptions: matchOptionsFrom(req.body)
+  });
+  
+  if (!result.success) {
+    return sendTournamentError(res, result);
+  }
+  
+  res.status(201).json({ success: true, tournament: formatTournament(result.tournament) });
+});
+
+// Tournament details and entrants
+app.get('/api/tournaments/:tournamentId', async (req, res) => {
+  const tournament = await tournamentService.getTournament(req.params.tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  
+  const entries = await tournamentService.getEntries(tournament.id);
+  const names = await agentNames(entries.map(e => e.agent_id));
+  
+  res.json({
+    ...formatTournament(tournament),
+    entrants: entries.map(e => ({
+      agentId: e.agent_id,
+      name: names[e.agent_id] || null,
+      seed: e.seed,
+      rating: e.rating,
+      registeredAt: e.registered_at
+    }))
+  });
+});
+
+// Register for a tournament
+app.post('/api/tournaments/:tournamentId/register', authenticateAgent, async (req, res) => {
+  const result = await tournamentService.register(req.params.tournamentId, req.agent.id);
+  if (!result.success) {
+    return sendTournamentError(res, result);
+  }
+  res.json({ success: true, tournamentId: req.params.tournamentId, entrants: result.entrants });
+});
+
+// Withdraw before the tournament starts
+app.post('/api/tournaments/:tournamentId/withdraw', authenticateAgent, async (req, res) => {
+  const result = await tournamentService.withdraw(req.params.tournamentId, req.agent.id);
+  if (!result.success) {
+    return sendTournamentError(res, result);
+  }
+  res.json({ success: true });
+});
+
+// Start now (organizer only) - otherwise it starts at startsAt
+app.post('/api/tournaments/:tournamentId/start', authenticateAgent, async (req, res) => {
+  const result = await tournamentService.startTournament(req.params.tournamentId, req.agent.id);
+  if (!result.success) {
+    return sendTournamentError(res, result);
+  }
+  res.json({ success: true, entrants: result.entrants });
+});
+
+// Standings with tie-breakers
+app.get('/api/tournaments/:tournamentId/standings', async (req, res) => {
+  const view = await tournamentService.getStandings(req.params.tournamentId);
+  if (!view) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  
+  const names = await agentNames(view.standings.map(s => s.agentId));
+  res.json({
+    tournamentId: view.tournament.id,
+    status: view.tournament.status,
+    round: view.tournament.current_round,
+    standings: view.standings.map(s => ({ ...s, name: names[s.agentId] || null }))
+  });
+});
+
+// Pairings and results, round by round
+app.get('/api/tournaments/:tournamentId/bracket', async (req, res) => {
+  const view = await tournamentService.getBracket(req.params.tournamentId);
+  if (!view) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  
+  const ids = new Set();
+  for (const { pairings } of view.rounds) {
+    for (const p of pairings) (p.players || [p.bye]).forEach(id => ids.add(id));
+  }
+  const names = await agentNames([...ids]);
+  
+  res.json({
+    tournamentId: view.tournament.id,
+    format: view.tournament.format,
+    status: view.tournament.status,
+    plannedRounds: view.plannedRounds,
+    winner: view.tournament.winner,
+    rounds: view.rounds.map(r => ({
+      ...r,
+      pairings: r.pairings.map(p => p.bye
+        ? { ...p, name: names[p.bye] || null }
+        : { ...p, names: p.players.map(id => names[id] || null) })
+    }))
+  });
+});
+
+// ============================================
+// Challenges & Private Lobbies
+// ============================================
+
+function formatLobby(lobby) {
+  return {
+    id: lobby.id,
+    kind: lobby.kind,
+    code: lobby.code || undefined,
+    hostId: lobby.host_id,
+    invitedAgentId: lobby.invited_agent_id || undefined,
+    matchSize: lobby.match_size,
+    teams: lobby.teams,
+    matchOptions: lobby.match_options,
+    players: lobby.players,
+    rated: lobby.rated === true,
+    status: lobby.status,
+    matchId: lobby.match_id || null,
+    expiresAt: lobby.expires_at
+  };
+}
+
+function sendLobbyResult(res, result) {
+  if (!result.success) {
+    const status = result.code === 'NOT_FOUND' ? 404 : 400;
+    return res.status(status).json({ error: result.error });
+  }
+  res.json({
+    success: true,
+    ...(result.lobby ? { lobby: formatLobby(result.lobby) } : {}),
+    ...(result.match ? { matchId: result.match.id } : {})
+  });
+}
+
+// Challenge a specific agent (head-to-head)
+app.post('/api/challenges', authenticateAgent, async (req, res) => {
+  const result = await lobbyService.createChallenge(req.agent.id, req.body?.opponentId, matchOptionsFrom(req.body), {
+    rated: req.body?.rated === true
+  });
+  if (result.success) res.status(201);
+  sendLobbyResult(res, result);
+});
+
+// Open challenges you've received and sent
+app.get('/api/challenges', authenticateAgent, async (req, res) => {
+  const { incoming, outgoing } = await lobbyService.listChallenges(req.agent.id);
+  res.json({ incoming: incoming.map(formatLobby), outgoing: outgoing.map(formatLobby) });
+});
+
+// Accept a challenge - the match starts right away
+app.post('/api/challenges/:challengeId/accept', authenticateAgent, async (req, res) => {
+  sendLobbyResult(res, await lobbyService.acceptChallenge(req.params.challengeId, req.agent.id));
+});
+
+app.post('/api/challenges/:challengeId/decline', authenticateAgent, async (req, res) => {
+  sendLobbyResult(res, await lobbyService.declineChallenge(req.params.challengeId, req.agent.id));
+});
+
+// Withdraw a challenge you sent
+app.post('/api/challenges/:challengeId/cancel', authenticateAgent, async (req, res) => {
+  sendLobbyResult(res, await lobbyService.leave(req.params.challengeId, req.agent.id));
+});
+
+// Open a private lobby - share the code with the agents you want to play
+app.post('/api/lobbies', authenticateAgent, async (req, res) => {
+  const result = await lobbyService.createLobby(req.agent.id, {
+    matchSize: req.body?.matchSize ?? 2,
+    teams: !!req.body?.teams,
+    matchOptions: matchOptionsFrom(req.body),
+    rated: req.body?.rated === true
+  });
+  if (result.success) res.status(201);
+  sendLobbyResult(res, result);
+});
+
+app.get('/api/lobbies/:code', async (req, res) => {
+  const lobby = await lobbyService.getLobby({ code: req.params.code });
+  if (!lobby || lobby.kind !== 'lobby') {
+    return res.status(404).json({ error: 'Lobby not found' });
+  }
+  res.json(formatLobby(lobby));
+});
+
+// Take a seat - the match starts once every seat is filled
+app.post('/api/lobbies/:code/join', authenticateAgent, async (req, res) => {
+  sendLobbyResult(res, await lobbyService.joinLobby(req.params.code, req.agent.id));
+});
+
+// Leave a lobby (the host leaving closes it)
+app.post('/api/lobbies/:code/leave', authenticateAgent, async (req, res) => {
+  const lobby = await lobbyService.getLobby({ code: req.params.code });
+  if (!lobby || lobby.kind !== 'lobby') {
+    return res.status(404).json({ error: 'Lobby not found' });
+  }
+  sendLobbyResult(res, await lobbyService.leave(lobby.id, req.agent.id));
+});
+
+// Subscribe to newsletter
+app.post('/api/subscribe', async (req, res) => {
   const { email } = req.body;
   
   if (!email || !email.includes('@')) {
@@ -764,19 +1517,13 @@ app.post('/api/subscribe', async (req, res) => {
   }
   
   // Check if already subscribed
-  const { data: existing } = await supabase
-    .from('subscribers')
-    .select('id')
-    .eq('email', email.toLowerCase())
-    .single();
+  const { data: existing } = await repos.subscribers.findByEmail(email.toLowerCase(), 'id');
   
   if (existing) {
     return res.json({ success: true, message: 'Already subscribed' });
   }
   
-  const { error } = await supabase
-    .from('subscribers')
-    .insert({ email: email.toLowerCase(), source: 'homepage' });
+  const { error } = await repos.subscribers.create({ email: email.toLowerCase(), source: 'homepage' });
   
   if (error) {
     console.error('Subscribe error:', error);
@@ -808,45 +1555,97 @@ wss.on('connection', (ws, req) => {
       return;
     }
     
-    switch (message.type) {
-      case 'REGISTER':
-        await handleAgentRegister(ws, message, (id) => {
-          agentId = id;
-        });
-        break;
+    // One failing handler mustn't take the connection down with an unhandled rejection
+    try {
+      switch (message.type) {
+        case 'REGISTER':
+          await handleAgentRegister(ws, message, (id) => {
+            agentId = id;
+          });
+          break;
         
-      case 'SPECTATE':
-        isSpectator = true;
-        spectatorConnections.add(ws);
-        // Register with AXIOM for commentary
-        if (axiom) {
-          axiom.addSpectator(ws);
+        case 'SPECTATE': {
+          // Under fog of war the spectator feed shows the whole board, so players can't watch their own match
+          const playing = agentId ? await matchService.findActiveMatch(agentId) : null;
+          if (playing?.fogOfWar) {
+            ws.send(JSON.stringify({ type: 'ERROR', error: 'You cannot spectate a fog-of-war match you are playing in' }));
+            return;
+          }
+          isSpectator = true;
+          spectatorConnections.add(ws);
+          // Register with AXIOM for commentary
+          if (axiom) {
+            axiom.addSpectator(ws);
+          }
+          ws.send(JSON.stringify({ 
+            type: 'SPECTATE_OK',
+            activeMatches: Array.from(matchService.activeMatches.keys()),
+            axiomEnabled: !!axiom
+          }));
+          break;
         }
-        ws.send(JSON.stringify({ 
-          type: 'SPECTATE_OK',
-          activeMatches: Array.from(activeMatches.keys()),
-          axiomEnabled: !!axiom
-        }));
-        break;
         
-      case 'QUEUE':
-        if (!agentId) {
-          ws.send(JSON.stringify({ type: 'ERROR', error: 'Not registered' }));
-          return;
-        }
-        handleMatchQueue(ws, agentId);
-        break;
+        case 'QUEUE':
+          if (!agentId) {
+            ws.send(JSON.stringify({ type: 'ERROR', error: 'Not registered' }));
+            return;
+          }
+          await handleMatchQueue(ws, agentId, message);
+          break;
         
-      case 'MOVE':
-        if (!agentId) {
-          ws.send(JSON.stringify({ type: 'ERROR', error: 'Not registered' }));
-          return;
-        }
-        await handleMove(ws, agentId, message);
-        break;
+        case 'MOVE':
+          if (!agentId) {
+            ws.send(JSON.stringify({ type: 'ERROR', error: 'Not registered' }));
+            return;
+          }
+          await handleMove(ws, agentId, message);
+          break;
+        
+        case 'SIMULATE':
+          if (!agentId) {
+            ws.send(JSON.stringify({ type: 'ERROR', request: 'SIMULATE', matchId: message.matchId, error: 'Not registered' }));
+            return;
+          }
+          await handleSimulate(ws, agentId, message);
+          break;
+        
+        case 'TEAM_MESSAGE':
+          if (!agentId) {
+            ws.send(JSON.stringify({ type: 'ERROR', error: 'Not registered' }));
+            return;
+          }
+          await handleTeamMessage(ws, agentId, message);
+          break;
+        
+        case 'CHALLENGE':
+        case 'ACCEPT_CHALLENGE':
+        case 'DECLINE_CHALLENGE':
+        case 'CREATE_LOBBY':
+        case 'JOIN_LOBBY':
+        case 'LEAVE_LOBBY':
+          if (!agentId) {
+            ws.send(JSON.stringify({ type: 'ERROR', error: 'Not registered' }));
+            return;
+          }
+          await handleLobbyMessage(ws, agentId, message);
+          break;
+        
+        case 'PRACTICE':
+          if (!agentId) {
+            ws.send(JSON.stringify({ type: 'ERROR', error: 'Not registered' }));
+            return;
+          }
+          await handlePractice(ws, agentId, message);
+          break;
         
-      default:
-        ws.send(JSON.stringify({ type: 'ERROR', error: 'Unknown message type' }));
+        default:
+          ws.send(JSON.stringify({ type: 'ERROR', error: 'Unknown message type' }));
+      }
+    } catch (err) {
+      console.error(`[WS] Failed to handle ${message?.type} from ${connectionId}:`, err);
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'ERROR', error: 'Internal server error' }));
+      }
     }
   });
   
@@ -889,12 +1688,7 @@ async function handleAgentRegister(ws, message, setAgentId) {
   const { agentId, token } = message;
   
   // Validate agent credentials
-  const { data: agent, error } = await supabase
-    .from('agents')
-    .select('id, name')
-    .eq('id', agentId)
-    .eq('api_key', token)
-    .single();
+  const { data: agent, error } = await repos.agents.findByCredentials(agentId, token, 'id, name');
   
   if (error || !agent) {
     ws.send(JSON.stringify({ type: 'ERROR', error: 'Invalid credentials' }));
@@ -905,10 +1699,7 @@ async function handleAgentRegister(ws, message, setAgentId) {
   agentConnections.set(agent.id, ws);
   
   // Update last_seen_at
-  supabase.from('agents')
-    .update({ last_seen_at: new Date().toISOString() })
-    .eq('id', agent.id)
-    .then(() => {});
+  repos.agents.touch(agent.id).then(() => {});
   
   ws.send(JSON.stringify({ 
     type: 'REGISTERED',
@@ -917,50 +1708,44 @@ async function handleAgentRegister(ws, message, setAgentId) {
   }));
   
   console.log(`[AGENT] Registered: ${agent.name} (${agent.id})`);
+  
+  // Reconnecting mid-match (after a drop or a server restart): pick the game back up
+  await rejoinActiveMatch(ws, agent.id);
 }
 
-async function handleMatchQueue(ws, agentId) {
-  // CHECK: Is agent already in an active match? If so, rejoin instead of queueing
-  for (const [matchId, gameState] of activeMatches) {
-    if (gameState.status === 'active' && gameState.players[agentId]) {
-      console.log(`[REJOIN] Agent ${agentId.slice(0,8)} rejoining active match ${matchId}`);
-      
-      // Update connection mapping to new WebSocket
-      agentConnections.set(agentId, ws);
-      
-      // Send current game state
-      ws.send(JSON.stringify({
-        type: 'GAME_START',
-        matchId,
-        opponent: Object.keys(gameState.players).find(id => id !== agentId),
-        yourTurn: gameState.currentPlayer === agentId,
-        state: getPublicState(gameState, agentId)
-      }));
-      
-      // If it's their turn, resend YOUR_TURN with challenge
-      if (gameState.currentPlayer === agentId) {
-        const challenge = generateChallenge(agentId, matchId, gameState.turn);
-        activeChallenges.set(agentId, { ...challenge, matchId });
-        
-        ws.send(JSON.stringify({
-          type: 'YOUR_TURN',
-          matchId,
-          timeRemaining: RULES.TURN_TIMEOUT_MS,
-          state: getPublicState(gameState, agentId),
-          challenge: {
-            prefix: challenge.prefix,
-            difficulty: challenge.difficulty,
-            hint: 'Find nonce where SHA256(prefix + "-" + nonce) starts with difficulty zeros'
-          }
-        }));
-      }
-      
-      return; // Don't queue - already in a match
-    }
+/**
+ * Put a (re)connected agent back into its active match: GAME_START, plus YOUR_TURN with
+ * a fresh challenge if the match is waiting on it
+ * @returns {Promise<boolean>} Whether the agent had an active match
+ */
+async function rejoinActiveMatch(ws, agentId) {
+  const activeMatch = await matchService.findActiveMatch(agentId);
+  if (!activeMatch) return false;
+  
+  console.log(`[REJOIN] Agent ${agentId.slice(0,8)} rejoining active match ${activeMatch.id}`);
+  
+  // Update connection mapping to new WebSocket
+  agentConnections.set(agentId, ws);
+  
+  const deadline = matchService.deadlines.get(activeMatch.id);
+  sendGameStart(activeMatch, agentId, null);
+  if (getAwaitingPlayers(activeMatch).includes(agentId)) {
+    sendYourTurn(activeMatch, agentId, deadline);
+  }
+  return true;
+}
+
+async function handleMatchQueue(ws, agentId, message = {}) {
+  // CHECK: Is agent already in an active match (started over any transport)? If so, rejoin instead of queueing
+  if (await rejoinActiveMatch(ws, agentId)) {
+    return; // Don't queue - already in a match
   }
   
   // Add to matchmaker queue (database-backed, Elo-based)
-  const queueEntry = await matchmaker.addToQueue(agentId);
+  const queueEntry = await matchmaker.addToQueue(agentId, {
+    matchSize: message.matchSize,
+    teams: message.teams
+  });
   
   if (!queueEntry) {
     ws.send(JSON.stringify({ type: 'ERROR', error: 'Failed to join queue' }));
@@ -975,6 +1760,8 @@ async function handleMatchQueue(ws, agentId) {
     position: queue.length,
     elo: queueEntry.elo_rating,
     searchRange: queueEntry.search_range,
+    matchSize: queueEntry.match_size,
+    teams: queueEntry.teams,
     message: 'Searching for opponent within Elo range...'
   }));
   
@@ -987,66 +1774,132 @@ async function handleMatchQueue(ws, agentId) {
   });
 }
 
-// Called by matchmaker when a match is found
-function startMatchBetween(agent1Id, agent2Id, ws1, ws2) {
-  const gameState = initMatch(agent1Id, agent2Id);
-  activeMatches.set(gameState.id, gameState);
-  
-  console.log(`[MATCH] Started: ${gameState.id} | ${agent1Id.slice(0,8)} vs ${agent2Id.slice(0,8)}`);
-  
-  // Log to database
-  supabase.from('matches').insert({
-    id: gameState.id,
-    player_1: agent1Id,
-    player_2: agent2Id,
-    status: 'active',
-    started_at: new Date().toISOString()
-  }).then(() => {});
+/**
+ * Dry-run a move for an agent. Leaves the match, the turn and the proof-of-work challenge alone.
+ */
+async function handleSimulate(ws, agentId, message) {
+  const { matchId, move } = message;
   
-  // Generate challenge for first player
-  const firstChallenge = generateChallenge(agent1Id, gameState.id, 0);
-  activeChallenges.set(agent1Id, { ...firstChallenge, matchId: gameState.id });
+  if (!matchId || !move) {
+    ws.send(JSON.stringify({ type: 'ERROR', request: 'SIMULATE', matchId, error: 'matchId and move required' }));
+    return;
+  }
   
-  // Notify players
-  const player1State = getPublicState(gameState, agent1Id);
-  const player2State = getPublicState(gameState, agent2Id);
+  const gameState = await matchService.getState(matchId);
+  if (!gameState || !gameState.players[agentId]) {
+    ws.send(JSON.stringify({ type: 'ERROR', request: 'SIMULATE', matchId, error: 'Not in this match' }));
+    return;
+  }
   
-  ws1.send(JSON.stringify({
-    type: 'GAME_START',
-    matchId: gameState.id,
-    opponent: agent2Id,
-    yourTurn: gameState.currentPlayer === agent1Id,
-    state: player1State,
-    challenge: gameState.currentPlayer === agent1Id ? {
-      prefix: firstChallenge.prefix,
-      difficulty: firstChallenge.difficulty,
-      hint: 'Find nonce where SHA256(prefix + "-" + nonce) starts with difficulty zeros'
-    } : undefined
+  const simulation = simulateMove(gameState, agentId, move);
+  ws.send(JSON.stringify({
+    type: 'SIMULATION',
+    matchId,
+    move,
+    ...simulation,
+    result: simulation.result && visibleOrders(gameState, simulation.result, agentId)
   }));
+}
+
+/**
+ * Relay a private message to the sender's teammates (never to spectators or opponents)
+ */
+async function handleTeamMessage(ws, agentId, message) {
+  const gameState = await matchService.getState(message.matchId);
+  if (!gameState || !gameState.players[agentId]) {
+    ws.send(JSON.stringify({ type: 'ERROR', error: 'Not in this match' }));
+    return;
+  }
   
-  ws2.send(JSON.stringify({
-    type: 'GAME_START',
-    matchId: gameState.id,
-    opponent: agent1Id,
-    yourTurn: gameState.currentPlayer === agent2Id,
-    state: player2State
-  }));
+  const teammates = teammateIds(gameState, agentId);
+  if (teammates.length === 0) {
+    ws.send(JSON.stringify({ type: 'ERROR', error: 'No teammates in this match' }));
+    return;
+  }
   
-  // Notify spectators
-  broadcastToSpectators({
-    type: 'MATCH_STARTED',
-    matchId: gameState.id,
-    players: [agent1Id, agent2Id],
-    state: getPublicState(gameState)
+  if (typeof message.message !== 'string' || message.message.length === 0) {
+    ws.send(JSON.stringify({ type: 'ERROR', error: 'message is required' }));
+    return;
+  }
+  
+  const payload = JSON.stringify({
+    type: 'TEAM_MESSAGE',
+    matchId: message.matchId,
+    from: agentId,
+    message: message.message.slice(0, 2000)
   });
+  for (const teammateId of teammates) {
+    const teammateWs = agentConnections.get(teammateId);
+    if (teammateWs && teammateWs.readyState === WebSocket.OPEN) {
+      teammateWs.send(payload);
+    }
+  }
+}
+
+/**
+ * Practice against a house bot over WebSocket
+ */
+async function handlePractice(ws, agentId, message) {
+  const { data: agent } = await repos.agents.findById(agentId, 'id, name, elo_rating');
   
-  // AXIOM match start
-  if (axiom) {
-    axiom.onMatchStart(agent1Id, agent2Id);
+  const result = agent
+    ? await houseBots.startPractice(agent, { bot: message.bot || null, matchOptions: matchOptionsFrom(message) })
+    : { success: false, error: 'Agent not found' };
+  
+  if (!result.success) {
+    ws.send(JSON.stringify({ type: 'ERROR', error: result.error }));
+  }
+  // On success the match start arrives as GAME_START like any other match
+}
+
+/**
+ * Challenges and private lobbies over WebSocket. Matches they start arrive as GAME_START.
+ */
+async function handleLobbyMessage(ws, agentId, message) {
+  let result;
+  switch (message.type) {
+    case 'CHALLENGE':
+      result = await lobbyService.createChallenge(agentId, message.opponentId, matchOptionsFrom(message), {
+        rated: message.rated === true
+      });
+      break;
+    case 'ACCEPT_CHALLENGE':
+      result = await lobbyService.acceptChallenge(message.challengeId, agentId);
+      break;
+    case 'DECLINE_CHALLENGE':
+      result = await lobbyService.declineChallenge(message.challengeId, agentId);
+      break;
+    case 'CREATE_LOBBY':
+      result = await lobbyService.createLobby(agentId, {
+        matchSize: message.matchSize ?? 2,
+        teams: !!message.teams,
+        matchOptions: matchOptionsFrom(message),
+        rated: message.rated === true
+      });
+      break;
+    case 'JOIN_LOBBY':
+      result = await lobbyService.joinLobby(message.code, agentId);
+      break;
+    case 'LEAVE_LOBBY': {
+      const lobby = await lobbyService.getLobby({ id: message.lobbyId, code: message.code });
+      result = lobby
+        ? await lobbyService.leave(lobby.id, agentId)
+        : { success: false, error: 'Lobby not found' };
+      break;
+    }
   }
   
-  // Start turn timer for current player
-  startTurnTimer(gameState.id, gameState.currentPlayer);
+  if (!result.success) {
+    ws.send(JSON.stringify({ type: 'ERROR', error: result.error }));
+    return;
+  }
+  
+  ws.send(JSON.stringify({
+    type: 'LOBBY_STATUS',
+    request: message.type,
+    lobby: result.lobby ? formatLobby(result.lobby) : undefined,
+    matchId: result.match?.id
+  }));
 }
 
 async function handleMove(ws, agentId, message) {
@@ -1086,66 +1939,46 @@ async function handleMove(ws, agentId, message) {
   // Clear the challenge (one-time use)
   activeChallenges.delete(agentId);
   
-  // Monologue is mandatory - the whole point is the AI reasoning
-  if (!monologue || monologue.trim().length < 10) {
-    ws.send(JSON.stringify({ 
-      type: 'ERROR', 
-      error: 'Monologue required (minimum 10 characters). This is mandatory - spectators watch your reasoning.'
-    }));
-    return;
-  }
+  const outcome = await matchService.submitMove(matchId, agentId, { move, monologue });
   
-  const gameState = activeMatches.get(matchId);
-  if (!gameState) {
-    ws.send(JSON.stringify({ type: 'ERROR', error: 'Match not found' }));
-    return;
-  }
-  
-  // Process the move
-  const result = processMove(gameState, agentId, move);
-  
-  if (!result.success) {
-    ws.send(JSON.stringify({ type: 'MOVE_REJECTED', error: result.error }));
+  if (!outcome.success) {
+    ws.send(JSON.stringify({
+      type: outcome.code === 'MOVE_REJECTED' ? 'MOVE_REJECTED' : 'ERROR',
+      error: outcome.error
+    }));
     return;
   }
   
-  // Log the thought to database
-  await supabase.from('agent_thoughts').insert({
-    match_id: matchId,
-    turn: gameState.turn,
-    agent_id: agentId,
-    monologue: monologue
-  });
-  
-  // Log the action
-  await supabase.from('game_logs').insert({
-    match_id: matchId,
-    turn: gameState.turn,
-    agent_id: agentId,
-    action: move,
-    result: result,
-    grid_state: gameState.grid
-  });
-  
   // Notify the agent who made the move
+  const { gameState, result } = outcome;
   ws.send(JSON.stringify({
     type: 'MOVE_ACCEPTED',
-    result,
+    result: visibleOrders(gameState, result, agentId),
     state: getPublicState(gameState, agentId)
   }));
-  
-  // Notify opponent
-  const opponentId = Object.keys(gameState.players).find(id => id !== agentId);
-  const opponentWs = agentConnections.get(opponentId);
-  if (opponentWs && opponentWs.readyState === WebSocket.OPEN) {
-    opponentWs.send(JSON.stringify({
-      type: 'OPPONENT_MOVE',
-      action: move,
-      monologue,
-      result,
-      yourTurn: gameState.currentPlayer === opponentId,
-      state: getPublicState(gameState, opponentId)
-    }));
+}
+
+/**
+ * Alternating turns: show the move to the other players, spectators and AXIOM
+ */
+function notifyMove(matchId, gameState, agentId, monologue, move, result) {
+  // Notify opponents
+  for (const opponentId of Object.keys(gameState.players)) {
+    if (opponentId === agentId) continue;
+    const opponentWs = agentConnections.get(opponentId);
+    if (opponentWs && opponentWs.readyState === WebSocket.OPEN) {
+      // Under fog of war an opponent only learns what its own view of the grid shows (teammates share everything)
+      const hidden = gameState.fogOfWar && !areAllies(gameState, opponentId, agentId);
+      opponentWs.send(JSON.stringify({
+        type: 'OPPONENT_MOVE',
+        agentId,
+        action: hidden ? undefined : move,
+        monologue: hidden ? undefined : monologue,
+        result: hidden ? undefined : result,
+        yourTurn: gameState.currentPlayer === opponentId,
+        state: getPublicState(gameState, opponentId)
+      }));
+    }
   }
   
   // Broadcast to spectators (this is the content)
@@ -1165,54 +1998,73 @@ async function handleMove(ws, agentId, message) {
     axiom.onMonologue(agentId, monologue);
     axiom.onAction(agentId, move, result);
   }
+}
+
+/**
+ * Simultaneous turns: spectators hear the reasoning as orders come in, but the orders
+ * themselves stay sealed until the turn resolves. Then every player gets TURN_RESOLVED.
+ */
+function announceOrders(matchId, gameState, agentId, monologue, result) {
+  broadcastToSpectators({
+    type: 'ORDERS_SUBMITTED',
+    matchId,
+    turn: result.resolved ? gameState.turn - 1 : gameState.turn,
+    agentId,
+    monologue,
+    waitingFor: result.waitingFor || []
+  });
   
-  // Check for game end
-  if (gameState.status === 'complete') {
-    await handleGameEnd(gameState);
-  } else {
-    // Minimum turn delay for spectator readability
-    const delayMs = RULES.MIN_TURN_DELAY_MS || 5000;
+  if (axiom) {
+    axiom.onMonologue(agentId, monologue);
+  }
+  
+  if (!result.resolved) return;
+  
+  broadcastToSpectators({
+    type: 'TURN_RESOLVED',
+    matchId,
+    turn: gameState.turn - 1,
+    orders: result.orders,
+    eliminated: result.eliminated || [],
+    state: getPublicState(gameState)
+  });
+  
+  if (axiom) {
+    for (const [orderAgentId, order] of Object.entries(result.orders)) {
+      axiom.onAction(orderAgentId, order, order.result);
+    }
+  }
+  
+  for (const playerId of Object.keys(gameState.players)) {
+    const playerWs = agentConnections.get(playerId);
+    if (!playerWs || playerWs.readyState !== WebSocket.OPEN) continue;
     
-    // Notify spectators about the turn transition delay
-    broadcastToSpectators({
-      type: 'TURN_DELAY',
+    playerWs.send(JSON.stringify({
+      type: 'TURN_RESOLVED',
       matchId,
-      nextPlayer: gameState.currentPlayer,
-      delayMs,
-      message: `Next turn in ${delayMs / 1000} seconds...`
-    });
-    
-    // Start timer for next player after delay
-    setTimeout(() => {
-      // Verify game still active (might have ended during delay)
-      if (activeMatches.has(matchId) && activeMatches.get(matchId).status === 'active') {
-        startTurnTimer(matchId, gameState.currentPlayer);
-      }
-    }, delayMs);
+      turn: gameState.turn - 1,
+      orders: visibleOrders(gameState, result, playerId).orders,
+      state: getPublicState(gameState, playerId)
+    }));
   }
 }
 
-async function handleGameEnd(gameState) {
-  console.log(`[MATCH] Ended: ${gameState.id} | Winner: ${gameState.winner}`);
-  
-  // Update database
-  await supabase.from('matches').update({
-    status: 'complete',
-    winner: gameState.winner,
-    ended_at: new Date().toISOString()
-  }).eq('id', gameState.id);
-  
-  // Update Elo ratings and win/loss counts
-  const playerIds = Object.keys(gameState.players);
-  const loserId = playerIds.find(id => id !== gameState.winner);
-  if (gameState.winner && loserId) {
-    await supabase.rpc('update_match_elo', {
-      winner_id: gameState.winner,
-      loser_id: loserId
-    });
-    console.log(`[ELO] Updated ratings for winner=${gameState.winner}, loser=${loserId}`);
-  }
+/**
+ * A simultaneous-turn result as one player may see it: under fog of war only allied orders are revealed
+ */
+function visibleOrders(gameState, result, viewerId) {
+  if (!result.orders || !gameState.fogOfWar) return result;
   
+  const orders = Object.fromEntries(
+    Object.entries(result.orders).filter(([id]) => areAllies(gameState, id, viewerId))
+  );
+  return { ...result, orders };
+}
+
+/**
+ * Match over: tell the players and spectators, then requeue agents that opted into auto_rejoin
+ */
+function handleGameEnd(gameState) {
   // Notify players
   for (const agentId of Object.keys(gameState.players)) {
     const ws = agentConnections.get(agentId);
@@ -1221,7 +2073,7 @@ async function handleGameEnd(gameState) {
         type: 'GAME_END',
         matchId: gameState.id,
         winner: gameState.winner,
-        youWon: agentId === gameState.winner,
+        youWon: (gameState.winners || [gameState.winner]).includes(agentId),
         finalState: getPublicState(gameState, agentId)
       }));
     }
@@ -1232,6 +2084,7 @@ async function handleGameEnd(gameState) {
     type: 'MATCH_ENDED',
     matchId: gameState.id,
     winner: gameState.winner,
+    winReason: gameState.winReason,
     finalState: getPublicState(gameState)
   });
   
@@ -1240,94 +2093,186 @@ async function handleGameEnd(gameState) {
     axiom.onMatchEnd(gameState.winner, gameState.winReason || 'domination');
   }
   
-  // Clean up
-  activeMatches.delete(gameState.id);
+  matchmaker.rejoinAfterMatch(Object.keys(gameState.players)).catch(err => {
+    console.error('[AUTO-REJOIN] Failed to re-queue players:', err);
+  });
 }
 
 // ============================================
-// Turn Timer
+// Turn Notifications
 // ============================================
 
-const turnTimers = new Map();
+/**
+ * Issue a one-time proof-of-work challenge for an agent's turn. An unused challenge for the
+ * same match is sent again, so a reconnect can't invalidate one the agent is already solving.
+ */
+function issueChallenge(gameState, agentId) {
+  const outstanding = activeChallenges.get(agentId);
+  const challenge = outstanding?.matchId === gameState.id
+    ? outstanding
+    : generateChallenge(agentId, gameState.id, gameState.turn);
+  activeChallenges.set(agentId, { ...challenge, matchId: gameState.id });
+  return {
+    prefix: challenge.prefix,
+    difficulty: challenge.difficulty,
+    hint: 'Find nonce where SHA256(prefix + "-" + nonce) starts with difficulty zeros'
+  };
+}
 
-function startTurnTimer(matchId, agentId) {
-  // Clear existing timer
-  if (turnTimers.has(matchId)) {
-    clearTimeout(turnTimers.get(matchId));
-  }
-  
-  const timer = setTimeout(() => {
-    handleTurnTimeout(matchId, agentId);
-  }, RULES.TURN_TIMEOUT_MS);
-  
-  turnTimers.set(matchId, timer);
-  
-  // Generate proof-of-work challenge for this turn
-  const gameState = activeMatches.get(matchId);
-  const challenge = generateChallenge(agentId, matchId, gameState?.turn || 0);
-  activeChallenges.set(agentId, { ...challenge, matchId });
-  
-  // Notify the agent with the challenge
+/**
+ * Send GAME_START to an agent connected over WebSocket (no-op for REST/webhook agents).
+ * With a deadline, an agent the opening turn waits on also gets its challenge.
+ */
+function sendGameStart(gameState, agentId, deadline) {
   const ws = agentConnections.get(agentId);
-  if (ws && ws.readyState === WebSocket.OPEN) {
-    ws.send(JSON.stringify({
-      type: 'YOUR_TURN',
-      matchId,
-      timeRemaining: RULES.TURN_TIMEOUT_MS,
-      state: getPublicState(activeMatches.get(matchId), agentId),
-      challenge: {
-        prefix: challenge.prefix,
-        difficulty: challenge.difficulty,
-        hint: 'Find nonce where SHA256(prefix + "-" + nonce) starts with difficulty zeros'
-      }
-    }));
-  }
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  
+  const opponents = opponentIds(gameState, agentId);
+  const yourTurn = getAwaitingPlayers(gameState).includes(agentId);
+  ws.send(JSON.stringify({
+    type: 'GAME_START',
+    matchId: gameState.id,
+    opponent: opponents[0],
+    opponents,
+    teammates: teammateIds(gameState, agentId),
+    yourTurn,
+    turnDeadline: deadline?.toISOString(),
+    state: getPublicState(gameState, agentId),
+    challenge: yourTurn && deadline ? issueChallenge(gameState, agentId) : undefined
+  }));
 }
 
-function handleTurnTimeout(matchId, agentId) {
-  const gameState = activeMatches.get(matchId);
-  if (!gameState || gameState.status !== 'active') return;
-  
-  console.log(`[TIMEOUT] Agent ${agentId} timed out in match ${matchId}`);
-  
-  // Force a SKIP action
-  const result = processMove(gameState, agentId, { action: 'SKIP' });
+/**
+ * Send YOUR_TURN with a fresh challenge to an agent connected over WebSocket
+ */
+function sendYourTurn(gameState, agentId, deadline) {
+  const ws = agentConnections.get(agentId);
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
   
-  // Log timeout
-  supabase.from('agent_thoughts').insert({
-    match_id: matchId,
-    turn: gameState.turn,
-    agent_id: agentId,
-    monologue: '[TIMEOUT - Turn skipped automatically]'
-  }).then(() => {});
+  ws.send(JSON.stringify({
+    type: 'YOUR_TURN',
+    matchId: gameState.id,
+    timeRemaining: deadline ? Math.max(deadline.getTime() - Date.now(), 0) : getRules(gameState).TURN_TIMEOUT_MS,
+    turnDeadline: deadline?.toISOString(),
+    state: getPublicState(gameState, agentId),
+    validActions: getValidActions(gameState, agentId),
+    challenge: issueChallenge(gameState, agentId)
+  }));
+}
+
+/**
+ * A new turn: WebSocket agents get YOUR_TURN after the spectator readability delay
+ */
+function announceTurn(gameState, agentIds, deadline) {
+  const matchId = gameState.id;
+  const movesSoFar = gameState.log.length;
+  const delayMs = getRules(gameState).MIN_TURN_DELAY_MS || 5000;
   
-  // Notify everyone
+  // Notify spectators about the turn transition delay
   broadcastToSpectators({
-    type: 'TIMEOUT',
+    type: 'TURN_DELAY',
     matchId,
-    agentId,
-    state: getPublicState(gameState)
+    nextPlayer: gameState.currentPlayer,
+    awaitingPlayers: agentIds,
+    delayMs,
+    message: `Next turn in ${delayMs / 1000} seconds...`
   });
   
-  // Continue game
-  if (gameState.status === 'active') {
-    startTurnTimer(matchId, gameState.currentPlayer);
-  }
+  setTimeout(() => {
+    // The turn may have been played (over REST) or timed out during the delay
+    const live = matchService.activeMatches.get(matchId);
+    if (!live || live.log.length !== movesSoFar) return;
+    
+    for (const agentId of agentIds) {
+      if (getAwaitingPlayers(live).includes(agentId)) {
+        sendYourTurn(live, agentId, deadline);
+      }
+    }
+  }, delayMs);
 }
 
 // ============================================
 // Utility Functions
 // ============================================
 
+/**
+ * All player IDs for a matches row (rows from before free-for-all only have player_1/player_2)
+ */
+function matchPlayerIds(match) {
+  return match.players || [match.player_1, match.player_2].filter(Boolean);
+}
+
+/**
+ * Other players in the match who are not on this agent's team
+ */
+function opponentIds(gameState, agentId) {
+  return Object.keys(gameState.players).filter(id => !areAllies(gameState, id, agentId));
+}
+
+/**
+ * Allied players in a team match (empty otherwise)
+ */
+function teammateIds(gameState, agentId) {
+  return Object.keys(gameState.players).filter(id => id !== agentId && areAllies(gameState, id, agentId));
+}
+
+/**
+ * Tell spectators (and the eliminated agents) who just dropped out of a free-for-all
+ */
+function broadcastEliminations(matchId, eliminatedIds, gameState) {
+  for (const eliminatedId of eliminatedIds) {
+    console.log(`[MATCH] ${eliminatedId.slice(0, 8)} eliminated from ${matchId}`);
+    
+    broadcastToSpectators({
+      type: 'PLAYER_ELIMINATED',
+      matchId,
+      agentId: eliminatedId,
+      remaining: Object.values(gameState.players).filter(p => !p.eliminated).map(p => p.id),
+      state: getPublicState(gameState)
+    });
+    
+    const ws = agentConnections.get(eliminatedId);
+    if (ws && ws.readyState === WebSocket.OPEN && gameState.status === 'active') {
+      ws.send(JSON.stringify({
+        type: 'ELIMINATED',
+        matchId,
+        reason: 'bankrupt',
+        state: getPublicState(gameState, eliminatedId)
+      }));
+    }
+  }
+}
+
+/**
+ * Send a message to an agent if it's connected over WebSocket
+ */
+function sendToAgent(agentId, message) {
+  const ws = agentConnections.get(agentId);
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
 function broadcastToSpectators(message) {
   const payload = JSON.stringify(message);
+  const players = fogPlayerConnections(message.matchId);
   for (const ws of spectatorConnections) {
-    if (ws.readyState === WebSocket.OPEN) {
+    if (ws.readyState === WebSocket.OPEN && !players.has(ws)) {
       ws.send(payload);
     }
   }
 }
 
+/**
+ * Sockets of the players in an active fog-of-war match. They may have started spectating
+ * before the match began, and mustn't receive its full-board feed.
+ */
+function fogPlayerConnections(matchId) {
+  const gameState = matchId && matchService.activeMatches.get(matchId);
+  if (!gameState?.fogOfWar || gameState.status !== 'active') return new Set();
+  return new Set(Object.keys(gameState.players).map(id => agentConnections.get(id)).filter(Boolean));
+}
+
 // ============================================
 // Start Server
 // ============================================
@@ -1345,8 +2290,16 @@ server.listen(PORT, () => {
 ╚═══════════════════════════════════════════════════════╝
   `);
   
-  // Start the matchmaker
-  matchmaker.start();
+  // Resume matches from before the restart, then start matchmaking. A step that fails
+  // is logged and the ones after it still start.
+  matchService.start()
+    .catch(err => console.error('[STARTUP] Failed to resume matches:', err))
+    .then(() => houseBots.start())
+    .catch(err => console.error('[STARTUP] Failed to start house bots:', err))
+    .then(() => matchmaker.start())
+    .catch(err => console.error('[STARTUP] Failed to start matchmaking:', err))
+    .then(() => integrityChecker.start())
+    .catch(err => console.error('[STARTUP] Failed to start integrity checks:', err));
 });
 
 export default app;
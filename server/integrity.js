@@ -0,0 +1,186 @@
+/**
+ * Integrity Checker - desync detection over finished matches
+ *
+ * Every finished match is re-run from its seed: each game_logs row goes back through
+ * processMove (replays.js verifyMatchLogs) and its recomputed result, and grid where
+ * the row has a snapshot, are compared with the stored ones. A match whose logs don't reproduce it points at
+ * nondeterminism in the engine or at state changed outside processMove. The latest
+ * report per match is kept in `match_integrity`.
+ *
+ * Matches are checked as they end, and a periodic sweep catches any finished while
+ * the server was down or from before the checker existed. The first sweep after a
+ * start looks at every finished match; later ones only at those that ended since the
+ * previous sweep began.
+ */
+
+import { verifyMatchLogs } from './replays.js';
+import { repositories } from './storage/repositories.js';
+
+const DEFAULT_SWEEP_MINUTES = 10; // Time between sweeps (0 = only check matches as they end)
+const PAGE_SIZE = 50;
+const STATUSES = ['ok', 'desync', 'unverifiable'];
+
+export class IntegrityChecker {
+  /**
+   * @param {object} db - Storage client
+   * @param {object} [options]
+   * @param {number} [options.sweepMinutes=10] - Time between sweeps for unchecked matches (0 = no sweeps)
+   * @param {Function} [options.onDesync] - (report) for each match that didn't reproduce
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.repos = repositories(db);
+    this.sweepMinutes = options.sweepMinutes ?? DEFAULT_SWEEP_MINUTES;
+    this.onDesync = options.onDesync || (() => {});
+    this.sweeping = false;
+    this.sweptSince = null; // Start of the last sweep that finished
+    this.sweepIntervalId = null;
+  }
+
+  start() {
+    if (!this.sweepMinutes) return;
+    this.sweep();
+    this.sweepIntervalId = setInterval(() => this.sweep(), this.sweepMinutes * 60000);
+  }
+
+  stop() {
+    if (this.sweepIntervalId) {
+      clearInterval(this.sweepIntervalId);
+      this.sweepIntervalId = null;
+    }
+  }
+
+  /**
+   * Re-run one match from its logs
+   * @param {string} matchId
+   * @param {object} [options]
+   * @param {boolean} [options.save=true] - Store the report in match_integrity
+   * @returns {Promise<object|null>} verifyMatchLogs report with checkedAt, or null if there's no such finished match
+   */
+  async checkMatch(matchId, { save = true } = {}) {
+    const { data: match } = await this.repos.matches.findById(matchId, 'id, status, winner, players, game_state');
+    if (!match || match.status !== 'complete') return null;
+
+    const { data: logs, error } = await this.repos.gameLogs.forMatch(matchId, 'id, turn, agent_id, action, result, grid_state');
+    if (error) throw new Error(`Failed to load logs for ${matchId}: ${error.message}`);
+
+    const report = { ...verifyMatchLogs(match, logs || []), checkedAt: new Date().toISOString() };
+
+    if (save) {
+      const { error: saveError } = await this.db
+        .from('match_integrity')
+        .upsert({
+          match_id: matchId,
+          status: report.status,
+          checked_actions: report.checkedActions,
+          desync_count: report.desyncCount,
+          desyncs: report.desyncs,
+          errors: report.errors,
+          checked_at: report.checkedAt
+        }, { onConflict: 'match_id' });
+      if (saveError) {
+        console.error(`[INTEGRITY] Failed to save report for ${matchId}:`, saveError);
+      }
+    }
+
+    if (report.status === 'desync') {
+      console.error(`[INTEGRITY] Match ${matchId} desynced: ${report.desyncCount} of ${report.checkedActions} actions differ${report.errors.length ? `; ${report.errors.join('; ')}` : ''}`);
+      this.onDesync(report);
+    }
+    return report;
+  }
+
+  /**
+   * Called when a match ends; a failed check is left for the next sweep
+   */
+  async onMatchEnded(gameState) {
+    try {
+      await this.checkMatch(gameState.id);
+    } catch (err) {
+      console.error(`[INTEGRITY] Check of ${gameState.id} failed:`, err);
+    }
+  }
+
+  /**
+   * Check every finished match that has no report yet, among those that ended since
+   * the last finished sweep began (all of them on the first sweep)
+   * @returns {Promise<number>} Matches checked
+   */
+  async sweep() {
+    if (this.sweeping) return 0;
+    this.sweeping = true;
+    const startedAt = new Date().toISOString();
+    let checked = 0;
+    try {
+      let cursor = null;
+      while (true) {
+        const { data: matches, error } = await this.repos.matches.pageComplete('id', {
+          after: cursor, limit: PAGE_SIZE, endedFrom: this.sweptSince
+        });
+        if (error) throw new Error(`Failed to load matches: ${error.message}`);
+        if (!matches.length) break;
+        cursor = matches[matches.length - 1].id;
+
+        const { data: reported } = await this.db
+          .from('match_integrity')
+          .select('match_id')
+          .in('match_id', matches.map(m => m.id));
+        const done = new Set((reported || []).map(r => r.match_id));
+
+        for (const match of matches) {
+          if (done.has(match.id)) continue;
+          await this.checkMatch(match.id);
+          checked++;
+        }
+      }
+      this.sweptSince = startedAt;
+      if (checked) {
+        console.log(`[INTEGRITY] Sweep checked ${checked} match${checked === 1 ? '' : 'es'}`);
+      }
+    } catch (err) {
+      console.error('[INTEGRITY] Sweep error:', err);
+    } finally {
+      this.sweeping = false;
+    }
+    return checked;
+  }
+
+  /**
+   * Stored report for one match, or null if it hasn't been checked
+   */
+  async getReport(matchId) {
+    const { data } = await this.db
+      .from('match_integrity')
+      .select('*')
+      .eq('match_id', matchId)
+      .maybeSingle();
+    return data;
+  }
+
+  /**
+   * Report counts by status, and the most recent desyncs
+   */
+  async getSummary({ limit = 20 } = {}) {
+    const [{ data: desynced }, ...statusCounts] = await Promise.all([
+      this.db
+        .from('match_integrity')
+        .select('*')
+        .eq('status', 'desync')
+        .order('checked_at', { ascending: false })
+        .limit(limit),
+      ...STATUSES.map(status => this.db
+        .from('match_integrity')
+        .select('match_id', { count: 'exact', head: true })
+        .eq('status', status))
+    ]);
+
+    const counts = { checked: 0 };
+    for (const [i, status] of STATUSES.entries()) {
+      counts[status] = statusCounts[i].count || 0;
+      counts.checked += counts[status];
+    }
+    return { counts, desyncs: desynced || [] };
+  }
+}
+
+export default IntegrityChecker;
@@ -0,0 +1,417 @@
+/**
+ * Lobby Service - direct challenges and private lobbies
+ *
+ * Both are rows in `lobbies`. A challenge is a two-seat lobby reserved for one invited
+ * agent, who accepts or declines it. A private lobby has a join code; anyone holding the
+ * code takes a seat, and the match starts once every seat is filled. Either way the match
+ * is created through the MatchService with the lobby's own match options, so it plays
+ * exactly like a queued match. Private matches are unrated unless the host asks for a
+ * rated one, so two agents can't farm rating off each other in throwaway games.
+ */
+
+import crypto from 'crypto';
+import { initMatch, MIN_PLAYERS, MAX_PLAYERS } from './game/engine.js';
+import { repositories } from './storage/repositories.js';
+
+const CHALLENGE_TTL_SECONDS = 10 * 60;
+const LOBBY_TTL_SECONDS = 30 * 60;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const CODE_LENGTH = 6;
+
+function joinCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+function isExpired(lobby) {
+  return lobby.expires_at && new Date(lobby.expires_at).getTime() <= Date.now();
+}
+
+export class LobbyService {
+  /**
+   * @param {object} db - Storage client
+   * @param {MatchService} matchService - Creates the match once a lobby is full
+   * @param {object} [options]
+   * @param {Function} [options.onNotify] - (agentId, message) to deliver a lobby event over
+   *   WebSocket; webhooks are sent from here
+   */
+  constructor(db, matchService, options = {}) {
+    this.db = db;
+    this.repos = repositories(db);
+    this.matchService = matchService;
+    this.onNotify = options.onNotify || (() => {});
+  }
+
+  /**
+   * Seat changes run one at a time, so a lobby can't start twice
+   */
+  transition(fn) {
+    return this.matchService.serialize('lobbies', fn);
+  }
+
+  /**
+   * Check match options up front, so a lobby can't fill up and then fail to start
+   * @returns {string|null} Error message
+   */
+  validateMatchOptions(matchOptions, playerCount, teams) {
+    try {
+      const ids = Array.from({ length: playerCount }, (_, i) => `validate-${i}`);
+      const teamOptions = teams ? { teams: [ids.filter((_, i) => i % 2 === 0), ids.filter((_, i) => i % 2 === 1)] } : {};
+      initMatch(ids, { ...this.matchService.matchOptions, ...matchOptions, ...teamOptions });
+      return null;
+    } catch (err) {
+      return `Invalid match options: ${err.message}`;
+    }
+  }
+
+  /**
+   * Challenge one agent to a head-to-head match
+   * @param {string} hostId - Challenging agent
+   * @param {string} opponentId - Challenged agent
+   * @param {object} [matchOptions] - initMatch options (ruleset, map, turnMode)
+   * @param {object} [options] - { rated } (default false)
+   */
+  async createChallenge(hostId, opponentId, matchOptions = {}, { rated = false } = {}) {
+    if (!opponentId || opponentId === hostId) {
+      return { success: false, error: 'opponentId must be another agent' };
+    }
+
+    const busy = await this.busyReason(hostId);
+    if (busy) return { success: false, error: busy };
+
+    const { data: opponent } = await this.repos.agents.findById(opponentId, 'id, name');
+
+    if (!opponent) {
+      return { success: false, code: 'NOT_FOUND', error: 'Opponent not found' };
+    }
+
+    const invalid = this.validateMatchOptions(matchOptions, 2, false);
+    if (invalid) return { success: false, error: invalid };
+
+    const { data: lobby, error } = await this.db
+      .from('lobbies')
+      .insert({
+        kind: 'challenge',
+        host_id: hostId,
+        invited_agent_id: opponentId,
+        match_size: 2,
+        teams: false,
+        match_options: matchOptions,
+        rated,
+        players: [hostId],
+        expires_at: new Date(Date.now() + CHALLENGE_TTL_SECONDS * 1000).toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[LOBBY] Failed to create challenge:', error);
+      return { success: false, error: 'Failed to create challenge' };
+    }
+
+    console.log(`[LOBBY] ${hostId.slice(0, 8)} challenged ${opponentId.slice(0, 8)} (${lobby.id})`);
+    await this.notify([opponentId], {
+      type: 'CHALLENGE_RECEIVED',
+      challengeId: lobby.id,
+      from: hostId,
+      matchOptions,
+      rated,
+      expiresAt: lobby.expires_at
+    });
+
+    return { success: true, lobby };
+  }
+
+  /**
+   * Open a private lobby; the host takes the first seat
+   * @param {object} [options] - { matchSize, teams, matchOptions, rated (default false) }
+   */
+  async createLobby(hostId, { matchSize = 2, teams = false, matchOptions = {}, rated = false } = {}) {
+    if (!Number.isInteger(matchSize) || matchSize < MIN_PLAYERS || matchSize > MAX_PLAYERS) {
+      return { success: false, error: `matchSize must be between ${MIN_PLAYERS} and ${MAX_PLAYERS}` };
+    }
+    if (teams && (matchSize < 4 || matchSize % 2 !== 0)) {
+      return { success: false, error: 'Team matches need an even matchSize of at least 4' };
+    }
+
+    const invalid = this.validateMatchOptions(matchOptions, matchSize, teams);
+    if (invalid) return { success: false, error: invalid };
+
+    const busy = await this.busyReason(hostId);
+    if (busy) return { success: false, error: busy };
+
+    // Codes are unique among all lobbies; retry the rare collision
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const { data: lobby, error } = await this.db
+        .from('lobbies')
+        .insert({
+          kind: 'lobby',
+          code: joinCode(),
+          host_id: hostId,
+          match_size: matchSize,
+          teams,
+          match_options: matchOptions,
+          rated,
+          players: [hostId],
+          expires_at: new Date(Date.now() + LOBBY_TTL_SECONDS * 1000).toISOString()
+        })
+        .select()
+        .single();
+
+      if (!error) {
+        console.log(`[LOBBY] ${hostId.slice(0, 8)} opened private lobby ${lobby.code} (${matchSize}-player${teams ? ' teams' : ''})`);
+        return { success: true, lobby };
+      }
+      if (error.code !== '23505') {
+        console.error('[LOBBY] Failed to create lobby:', error);
+        break;
+      }
+    }
+    return { success: false, error: 'Failed to create lobby' };
+  }
+
+  /**
+   * An open lobby or challenge by ID or join code; expired ones are closed on the way
+   */
+  async getLobby({ id, code }) {
+    let query = this.db.from('lobbies').select('*');
+    query = id ? query.eq('id', id) : query.eq('code', String(code || '').toUpperCase());
+
+    const { data: lobby } = await query.maybeSingle();
+    if (!lobby) return null;
+
+    if (lobby.status === 'open' && isExpired(lobby)) {
+      return this.close(lobby, 'expired');
+    }
+    return lobby;
+  }
+
+  /**
+   * Open challenges an agent has received and sent
+   */
+  async listChallenges(agentId) {
+    const { data: incoming } = await this.db
+      .from('lobbies')
+      .select('*')
+      .eq('kind', 'challenge')
+      .eq('status', 'open')
+      .eq('invited_agent_id', agentId);
+
+    const { data: outgoing } = await this.db
+      .from('lobbies')
+      .select('*')
+      .eq('kind', 'challenge')
+      .eq('status', 'open')
+      .eq('host_id', agentId);
+
+    return {
+      incoming: (incoming || []).filter(l => !isExpired(l)),
+      outgoing: (outgoing || []).filter(l => !isExpired(l))
+    };
+  }
+
+  acceptChallenge(challengeId, agentId) {
+    return this.transition(async () => {
+      const lobby = await this.getLobby({ id: challengeId });
+      if (!lobby || lobby.kind !== 'challenge' || lobby.invited_agent_id !== agentId) {
+        return { success: false, code: 'NOT_FOUND', error: 'Challenge not found' };
+      }
+      if (lobby.status !== 'open') {
+        return { success: false, error: `Challenge is ${lobby.status}` };
+      }
+
+      const busy = await this.busyReason(agentId);
+      if (busy) return { success: false, error: busy };
+
+      return this.start(lobby, [...lobby.players, agentId]);
+    });
+  }
+
+  declineChallenge(challengeId, agentId) {
+    return this.transition(async () => {
+      const lobby = await this.getLobby({ id: challengeId });
+      if (!lobby || lobby.kind !== 'challenge' || lobby.invited_agent_id !== agentId) {
+        return { success: false, code: 'NOT_FOUND', error: 'Challenge not found' };
+      }
+      if (lobby.status !== 'open') {
+        return { success: false, error: `Challenge is ${lobby.status}` };
+      }
+
+      await this.db
+        .from('lobbies')
+        .update({ status: 'declined', closed_at: new Date().toISOString() })
+        .eq('id', lobby.id);
+
+      console.log(`[LOBBY] ${agentId.slice(0, 8)} declined challenge ${lobby.id}`);
+      await this.notify([lobby.host_id], { type: 'CHALLENGE_DECLINED', challengeId: lobby.id, by: agentId });
+      return { success: true };
+    });
+  }
+
+  /**
+   * Take a seat in a private lobby; the match starts when the last seat is filled
+   */
+  joinLobby(code, agentId) {
+    return this.transition(async () => {
+      const lobby = await this.getLobby({ code });
+      if (!lobby || lobby.kind !== 'lobby') {
+        return { success: false, code: 'NOT_FOUND', error: 'Lobby not found' };
+      }
+      if (lobby.status !== 'open') {
+        return { success: false, error: `Lobby is ${lobby.status}` };
+      }
+      if (lobby.players.includes(agentId)) {
+        return { success: false, error: 'Already in this lobby' };
+      }
+
+      const busy = await this.busyReason(agentId);
+      if (busy) return { success: false, error: busy };
+
+      const players = [...lobby.players, agentId];
+      if (players.length >= lobby.match_size) {
+        return this.start(lobby, players);
+      }
+
+      await this.db
+        .from('lobbies')
+        .update({ players })
+        .eq('id', lobby.id);
+
+      const joined = { ...lobby, players };
+      console.log(`[LOBBY] ${agentId.slice(0, 8)} joined ${lobby.code} (${players.length}/${lobby.match_size})`);
+      await this.notify(lobby.players, {
+        type: 'LOBBY_JOINED',
+        lobbyId: lobby.id,
+        code: lobby.code,
+        agentId,
+        players,
+        matchSize: lobby.match_size
+      });
+      return { success: true, lobby: joined };
+    });
+  }
+
+  /**
+   * Leave a lobby or withdraw a challenge. The host leaving closes it.
+   */
+  leave(lobbyId, agentId) {
+    return this.transition(async () => {
+      const lobby = await this.getLobby({ id: lobbyId });
+      if (!lobby || !lobby.players.includes(agentId)) {
+        return { success: false, code: 'NOT_FOUND', error: 'Lobby not found' };
+      }
+      if (lobby.status !== 'open') {
+        return { success: false, error: `Lobby is ${lobby.status}` };
+      }
+
+      if (lobby.host_id === agentId) {
+        const closed = await this.close(lobby, 'cancelled');
+        return { success: true, lobby: closed };
+      }
+
+      const players = lobby.players.filter(id => id !== agentId);
+      await this.db
+        .from('lobbies')
+        .update({ players })
+        .eq('id', lobby.id);
+      return { success: true, lobby: { ...lobby, players } };
+    });
+  }
+
+  /**
+   * Why an agent can't take a seat right now, or null. One match at a time, and an
+   * agent in the queue could be paired while the lobby fills.
+   */
+  async busyReason(agentId) {
+    if (await this.matchService.findActiveMatch(agentId)) {
+      return 'You are already in an active match';
+    }
+
+    const { data: agent } = await this.repos.agents.findById(agentId, 'looking_for_match');
+    if (agent?.looking_for_match) {
+      return 'You are in the matchmaking queue - leave it first';
+    }
+    return null;
+  }
+
+  async close(lobby, status) {
+    const closed = { ...lobby, status, closed_at: new Date().toISOString() };
+    await this.db
+      .from('lobbies')
+      .update({ status, closed_at: closed.closed_at })
+      .eq('id', lobby.id);
+
+    console.log(`[LOBBY] ${lobby.code || lobby.id} ${status}`);
+    const others = [...lobby.players, lobby.invited_agent_id].filter(id => id && id !== lobby.host_id);
+    await this.notify(others, {
+      type: 'LOBBY_CLOSED',
+      lobbyId: lobby.id,
+      code: lobby.code || null,
+      kind: lobby.kind,
+      status
+    });
+    return closed;
+  }
+
+  /**
+   * Create the match for a full lobby
+   */
+  async start(lobby, playerIds) {
+    const { data: agents } = await this.repos.agents.findMany(playerIds, 'id, name, elo_rating');
+
+    // Seat order is join order; teams are dealt out alternately
+    const ordered = playerIds.map(id => agents?.find(a => a.id === id)).filter(Boolean);
+    if (ordered.length !== playerIds.length) {
+      return { success: false, error: 'A player in this lobby no longer exists' };
+    }
+
+    // Seated players may have started another match since they joined
+    for (const id of playerIds) {
+      if (await this.matchService.findActiveMatch(id)) {
+        return { success: false, error: `${ordered.find(a => a.id === id).name} is already in an active match` };
+      }
+    }
+    const teamOptions = lobby.teams
+      ? { teams: [playerIds.filter((_, i) => i % 2 === 0), playerIds.filter((_, i) => i % 2 === 1)] }
+      : {};
+
+    const match = await this.matchService.createMatch(ordered, { ...lobby.match_options, ...teamOptions }, {
+      lobby_id: lobby.id,
+      rated: lobby.rated === true
+    });
+    if (!match) {
+      return { success: false, error: 'Failed to start match' };
+    }
+
+    const started = { ...lobby, players: playerIds, status: 'started', match_id: match.id, closed_at: new Date().toISOString() };
+    await this.db
+      .from('lobbies')
+      .update({ players: playerIds, status: started.status, match_id: match.id, closed_at: started.closed_at })
+      .eq('id', lobby.id);
+
+    console.log(`[LOBBY] ${lobby.code || lobby.id} started match ${match.id}`);
+    return { success: true, lobby: started, match };
+  }
+
+  /**
+   * Tell agents about a lobby event, over WebSocket and by webhook
+   */
+  async notify(agentIds, message) {
+    if (!agentIds.length) return;
+
+    const { data: agents } = await this.repos.agents.findMany(agentIds, 'id, webhook_url, name');
+
+    for (const agentId of agentIds) {
+      this.onNotify(agentId, message);
+      const agent = agents?.find(a => a.id === agentId);
+      if (agent?.webhook_url) {
+        await this.matchService.sendWebhook(agent, message);
+      }
+    }
+  }
+}
+
+export default LobbyService;
@@ -0,0 +1,615 @@
+/**
+ * Match Service - the one owner of match state transitions
+ *
+ * Every match lives in the `matches` table (game_state, awaiting_players, turn_deadline)
+ * and, while active, in an in-process cache. Moves from the WebSocket, REST and webhook
+ * paths all go through submitMove(), so an agent can start a match on one transport and
+ * finish it on another. Transports hear about transitions through the callbacks.
+ *
+ * State is checkpointed to storage after every transition, so a restart loses nothing:
+ * start() restores active matches and their deadlines before any deadline is enforced.
+ */
+
+import { initMatch, processMove, getPublicState, getAwaitingPlayers, getValidActions, areAllies } from './game/engine.js';
+import { rateMatch, DEFAULT_GAME_TYPE, INITIAL_RATING } from './ratings.js';
+import { matchBehavior, accumulateGameStats } from './match-stats.js';
+import { repositories } from './storage/repositories.js';
+
+const DEFAULT_TURN_TIMEOUT_SECONDS = 300; // When an agent has no turn_timeout_seconds preference
+const DEADLINE_CHECK_MS = 30000;          // Sweep for expired deadlines the local timers don't cover
+const MAX_TIMER_MS = 2 ** 31 - 1;         // setTimeout limit
+const RESTORE_GRACE_SECONDS = 60;         // Minimum time left on a restored turn, for agents to reconnect
+const TIMEOUT_MONOLOGUE = '[TIMEOUT - Turn skipped automatically]';
+const WEBHOOK_TIMEOUT_MS = 5000;          // Agents' webhook endpoints get this long to answer
+const DEFAULT_SNAPSHOT_INTERVAL = 20;     // Moves between grid snapshots in game_logs
+
+export class MatchService {
+  /**
+   * @param {object} db - Storage client (see storage/index.js)
+   * @param {object} [options]
+   * @param {object} [options.matchOptions] - Defaults passed to initMatch (ruleset, map, rows, cols, ...)
+   * @param {number} [options.snapshotInterval=20] - Store the grid with every Nth logged move (1 = every move)
+   * @param {Function} [options.onMatchCreated] - (match, agents, gameState, deadline) after the match row exists
+   * @param {Function} [options.onMove] - (gameState, { agentId, move, monologue, result }) after a move is applied
+   * @param {Function} [options.onTimeout] - (gameState, agentId, result) after a late agent was skipped
+   * @param {Function} [options.onTurn] - (gameState, agentIds, deadline) when play moves on to new agents
+   *   (the opening turn is part of onMatchCreated)
+   * @param {Function} [options.onMatchEnded] - (gameState) once the match is complete and rated (unless unrated)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.repos = repositories(db);
+    this.matchOptions = options.matchOptions || {};
+    this.snapshotInterval = Math.max(1, options.snapshotInterval || DEFAULT_SNAPSHOT_INTERVAL);
+    this.onMatchCreated = options.onMatchCreated || (() => {});
+    this.onMove = options.onMove || (() => {});
+    this.onTimeout = options.onTimeout || (() => {});
+    this.onTurn = options.onTurn || (() => {});
+    this.onMatchEnded = options.onMatchEnded || (() => {});
+
+    this.activeMatches = new Map(); // matchId -> gameState
+    this.deadlines = new Map();     // matchId -> Date
+    this.timers = new Map();        // matchId -> deadline timer
+    this.queues = new Map();        // matchId -> tail of the transition queue
+    this.logCounts = new Map();     // matchId -> moves logged since the last grid snapshot
+    this.deadlineIntervalId = null;
+  }
+
+  async start() {
+    if (this.deadlineIntervalId) return;
+    this.deadlineIntervalId = setInterval(() => this.checkDeadlines(), DEADLINE_CHECK_MS);
+    await this.restore();
+    this.checkDeadlines();
+  }
+
+  /**
+   * Reload every active match after a restart. Turns that ran out (or nearly) while the
+   * server was down get a short grace period, so agents aren't skipped for our downtime.
+   * Rows without a stored game state can't be resumed and are closed as abandoned.
+   */
+  async restore() {
+    const { data: matches, error } = await this.repos.matches.findActive('id, game_state, turn_deadline');
+
+    if (error) {
+      console.error('[RESTORE] Failed to load active matches:', error);
+      return;
+    }
+
+    const graceDeadline = new Date(Date.now() + RESTORE_GRACE_SECONDS * 1000);
+    let restored = 0;
+
+    for (const match of matches || []) {
+      const gameState = match.game_state;
+
+      if (!gameState || gameState.status !== 'active') {
+        await this.repos.matches.update(match.id, {
+          status: 'complete',
+          winner: gameState?.winner || null,
+          current_turn_agent_id: null,
+          awaiting_players: [],
+          turn_deadline: null,
+          ended_at: new Date().toISOString()
+        });
+        console.log(`[RESTORE] Closed unrecoverable match ${match.id}`);
+        continue;
+      }
+
+      let deadline = match.turn_deadline ? new Date(match.turn_deadline) : graceDeadline;
+      if (deadline < graceDeadline) {
+        deadline = graceDeadline;
+        await this.repos.matches.update(match.id, { turn_deadline: deadline.toISOString() });
+      }
+
+      this.activeMatches.set(match.id, gameState);
+      this.scheduleDeadline(match.id, deadline);
+      restored++;
+    }
+
+    if (restored > 0) {
+      console.log(`[RESTORE] Resumed ${restored} active match${restored === 1 ? '' : 'es'}`);
+    }
+  }
+
+  stop() {
+    clearInterval(this.deadlineIntervalId);
+    this.deadlineIntervalId = null;
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  /**
+   * Run transitions for one match one at a time, so concurrent moves never overwrite each other
+   */
+  serialize(matchId, fn) {
+    const run = (this.queues.get(matchId) || Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    this.queues.set(matchId, tail);
+    tail.then(() => {
+      if (this.queues.get(matchId) === tail) this.queues.delete(matchId);
+    });
+    return run;
+  }
+
+  /**
+   * Live state of a match: the cached active match, or the stored state (null if unknown)
+   */
+  async getState(matchId) {
+    const cached = this.activeMatches.get(matchId);
+    if (cached) return cached;
+
+    const { data: match, error } = await this.repos.matches.findById(matchId, 'id, game_state, status, turn_deadline');
+
+    if (error || !match?.game_state) return null;
+
+    if (match.status === 'active' && match.game_state.status === 'active') {
+      this.activeMatches.set(matchId, match.game_state);
+      if (match.turn_deadline) {
+        this.scheduleDeadline(matchId, new Date(match.turn_deadline));
+      }
+    }
+    return match.game_state;
+  }
+
+  /**
+   * The active match an agent is playing, if any
+   */
+  async findActiveMatch(agentId) {
+    for (const gameState of this.activeMatches.values()) {
+      if (gameState.status === 'active' && gameState.players[agentId]) return gameState;
+    }
+
+    const { data: matches } = await this.repos.matches.findActiveFor(agentId, 'id', 1);
+
+    return matches?.length ? this.getState(matches[0].id) : null;
+  }
+
+  /**
+   * Create a match, store it and tell everyone involved
+   * @param {object[]} agents - 2-6 agents ({ id, name, elo_rating })
+   * @param {object} [matchOptions] - initMatch options, merged over the defaults
+   * @param {object} [fields] - Extra columns for the matches row (tournament_id, rated, ...)
+   * @returns {Promise<object|null>} The matches row, or null if it could not be created
+   */
+  async createMatch(agents, matchOptions = {}, fields = {}) {
+    const playerIds = agents.map(a => a.id);
+
+    // The match seed also picks the turn order
+    let gameState;
+    try {
+      gameState = initMatch(playerIds, {
+        randomizeTurnOrder: true,
+        ...this.matchOptions,
+        ...matchOptions
+      });
+    } catch (err) {
+      console.error('[MATCH] Invalid match options:', err.message);
+      return null;
+    }
+    const firstPlayers = getAwaitingPlayers(gameState);
+    const deadline = await this.nextDeadline(firstPlayers);
+
+    const { data: match, error } = await this.repos.matches.create({
+      id: gameState.id,
+      player_1: playerIds[0],
+      player_2: playerIds[1],
+      players: playerIds,
+      status: 'active',
+      started_at: new Date().toISOString(),
+      seed: String(gameState.seed),
+      game_state: gameState,
+      current_turn_agent_id: gameState.currentPlayer,
+      awaiting_players: firstPlayers,
+      turn_deadline: deadline.toISOString(),
+      turn_number: 0,
+      ...fields
+    });
+
+    if (error) {
+      console.error('[MATCH] Failed to create match:', error);
+      return null;
+    }
+
+    this.activeMatches.set(gameState.id, gameState);
+    this.scheduleDeadline(gameState.id, deadline);
+    console.log(`[MATCH] Started: ${gameState.id} | ${playerIds.map(id => id.slice(0, 8)).join(' vs ')}`);
+
+    // Out of the queue before anyone hears about it, so the matchmaker can't pair them again
+    await this.clearQueued(playerIds);
+
+    // Webhooks go to agent-controlled URLs; don't hold match creation on them
+    this.notifyMatchCreated(match, agents).catch(err => {
+      console.error(`[WEBHOOK] MATCH_CREATED for ${match.id} failed:`, err);
+    });
+    this.onMatchCreated(match, agents, gameState, deadline);
+
+    return match;
+  }
+
+  /**
+   * Apply one agent's move (or action list, or simultaneous order)
+   * @returns {Promise<object>} { success, result, gameState } or { success: false, code, error }
+   *   code: NOT_FOUND | NOT_ACTIVE | NOT_YOUR_TURN | MONOLOGUE_REQUIRED | MOVE_REJECTED
+   */
+  submitMove(matchId, agentId, { move, monologue }) {
+    return this.serialize(matchId, async () => {
+      if (!monologue || monologue.trim().length < 10) {
+        return {
+          success: false,
+          code: 'MONOLOGUE_REQUIRED',
+          error: 'Monologue required (minimum 10 characters). Spectators watch your reasoning.'
+        };
+      }
+
+      const gameState = await this.getState(matchId);
+      if (!gameState) {
+        return { success: false, code: 'NOT_FOUND', error: 'Match not found' };
+      }
+      if (gameState.status !== 'active') {
+        return { success: false, code: 'NOT_ACTIVE', error: 'Match is not active' };
+      }
+      if (!getAwaitingPlayers(gameState).includes(agentId)) {
+        return { success: false, code: 'NOT_YOUR_TURN', error: 'Not your turn' };
+      }
+
+      const result = processMove(gameState, agentId, move);
+      if (!result.success) {
+        return { success: false, code: 'MOVE_REJECTED', error: result.error };
+      }
+
+      await this.logMove(matchId, gameState, agentId, move, monologue, result);
+      this.onMove(gameState, { agentId, move, monologue, result });
+
+      // A simultaneous turn keeps its deadline until every order is in
+      const turnAdvanced = gameState.turnMode !== 'simultaneous' || result.resolved;
+      await this.advance(gameState, turnAdvanced);
+
+      return { success: true, result, gameState };
+    });
+  }
+
+  /**
+   * Skip every agent the match is still waiting on, if its deadline has passed
+   */
+  timeoutTurn(matchId) {
+    return this.serialize(matchId, async () => {
+      const gameState = await this.getState(matchId);
+      if (!gameState || gameState.status !== 'active') return;
+
+      // A move may have started a new turn since this timer was set
+      const deadline = this.deadlines.get(matchId);
+      if (deadline && deadline.getTime() > Date.now()) return;
+
+      for (const agentId of getAwaitingPlayers(gameState)) {
+        console.log(`[TIMEOUT] Agent ${agentId.slice(0, 8)} timed out in match ${matchId}`);
+
+        const move = { action: 'SKIP' };
+        const result = processMove(gameState, agentId, move);
+        await this.logMove(matchId, gameState, agentId, move, TIMEOUT_MONOLOGUE, result);
+        this.onTimeout(gameState, agentId, result);
+      }
+
+      await this.advance(gameState, true);
+    });
+  }
+
+  /**
+   * Find stored matches past their deadline - covers matches no local timer is watching
+   */
+  async checkDeadlines() {
+    try {
+      const { data: expired, error } = await this.repos.matches.findExpired('id');
+
+      if (error || !expired?.length) return;
+
+      for (const match of expired) {
+        await this.timeoutTurn(match.id);
+      }
+    } catch (err) {
+      console.error('[TIMEOUT] Error checking deadlines:', err);
+    }
+  }
+
+  // ============================================
+  // Transitions
+  // ============================================
+
+  async logMove(matchId, gameState, agentId, move, monologue, result) {
+    await this.repos.agentThoughts.create({
+      match_id: matchId,
+      turn: gameState.turn,
+      agent_id: agentId,
+      monologue
+    });
+
+    // Replays rebuild the grid from the actions, so it's only stored every few moves
+    // as a checkpoint and on the last move
+    const logged = (this.logCounts.get(matchId) || 0) + 1;
+    const snapshot = logged >= this.snapshotInterval || gameState.status === 'complete';
+    if (snapshot) {
+      this.logCounts.delete(matchId);
+    } else {
+      this.logCounts.set(matchId, logged);
+    }
+
+    const { newState, ...outcome } = result;
+    await this.repos.gameLogs.create({
+      match_id: matchId,
+      turn: gameState.turn,
+      agent_id: agentId,
+      action: move,
+      result: outcome,
+      grid_state: snapshot ? gameState.grid : null
+    });
+  }
+
+  /**
+   * Store the state after a transition, then start the next turn or finish the match
+   */
+  async advance(gameState, turnAdvanced) {
+    const matchId = gameState.id;
+    const complete = gameState.status === 'complete';
+    const awaiting = getAwaitingPlayers(gameState);
+
+    const update = {
+      game_state: gameState,
+      current_turn_agent_id: complete ? null : gameState.currentPlayer,
+      awaiting_players: awaiting,
+      turn_number: gameState.turn,
+      status: gameState.status,
+      winner: gameState.winner,
+      ended_at: complete ? new Date().toISOString() : null
+    };
+
+    let deadline = null;
+    if (complete) {
+      update.turn_deadline = null;
+    } else if (turnAdvanced) {
+      deadline = await this.nextDeadline(awaiting);
+      update.turn_deadline = deadline.toISOString();
+    }
+
+    const { error } = await this.repos.matches.update(matchId, update);
+
+    if (error) {
+      console.error(`[MATCH] Failed to save ${matchId}:`, error);
+    }
+
+    if (complete) {
+      await this.finish(gameState);
+    } else if (deadline) {
+      this.scheduleDeadline(matchId, deadline);
+      for (const agentId of awaiting) {
+        this.notifyYourTurn(gameState, agentId, deadline).catch(err => {
+          console.error(`[WEBHOOK] YOUR_TURN for ${agentId} failed:`, err);
+        });
+      }
+      this.onTurn(gameState, awaiting, deadline);
+    }
+  }
+
+  async finish(gameState) {
+    console.log(`[MATCH] Ended: ${gameState.id} | Winner: ${gameState.winner}`);
+
+    this.activeMatches.delete(gameState.id);
+    this.deadlines.delete(gameState.id);
+    clearTimeout(this.timers.get(gameState.id));
+    this.timers.delete(gameState.id);
+    this.logCounts.delete(gameState.id);
+
+    // Practice and other unrated matches leave ratings and records alone
+    const { data: match } = await this.repos.matches.findById(gameState.id, 'rated');
+
+    if (match?.rated !== false) {
+      await this.updateRatings(gameState);
+      await this.updateGameStats(gameState);
+    }
+    this.onMatchEnded(gameState);
+  }
+
+  /**
+   * Rate a finished match (see ratings.js) and record every change in rating_history.
+   * Ratings are kept per game type in agent_stats; the default game type is mirrored
+   * to agents.elo_rating, which the queue and leaderboard read. One match at a time,
+   * so agents finishing two matches at once don't lose an update.
+   */
+  updateRatings(gameState, gameType = DEFAULT_GAME_TYPE) {
+    return this.serialize('ratings', async () => {
+      const playerIds = Object.keys(gameState.players);
+
+      const { data: agents } = await this.repos.agents.findMany(playerIds, 'id, elo_rating, wins, losses');
+
+      const { data: stats } = await this.db
+        .from('agent_stats')
+        .select('agent_id, games_played, wins, losses, draws, elo_rating')
+        .eq('game_type', gameType)
+        .in('agent_id', playerIds);
+
+      // Agents without stats for this game type start from their profile
+      const current = Object.fromEntries(playerIds.map(id => {
+        const agent = agents?.find(a => a.id === id) || {};
+        const row = stats?.find(s => s.agent_id === id);
+        return [id, row || {
+          agent_id: id,
+          games_played: (agent.wins || 0) + (agent.losses || 0),
+          wins: agent.wins || 0,
+          losses: agent.losses || 0,
+          draws: 0,
+          elo_rating: agent.elo_rating ?? INITIAL_RATING
+        }];
+      }));
+
+      const changes = rateMatch(
+        playerIds.map(id => ({ id, rating: current[id].elo_rating, gamesPlayed: current[id].games_played })),
+        { winners: gameState.winners || [], teams: gameState.teams }
+      );
+
+      for (const change of changes) {
+        const before = current[change.id];
+        const after = {
+          agent_id: change.id,
+          game_type: gameType,
+          games_played: before.games_played + 1,
+          wins: before.wins + (change.result === 'win' ? 1 : 0),
+          losses: before.losses + (change.result === 'loss' ? 1 : 0),
+          draws: (before.draws || 0) + (change.result === 'draw' ? 1 : 0),
+          elo_rating: change.ratingAfter,
+          updated_at: new Date().toISOString()
+        };
+
+        await this.db
+          .from('agent_stats')
+          .upsert(after, { onConflict: 'agent_id,game_type' });
+
+        if (gameType === DEFAULT_GAME_TYPE) {
+          await this.repos.agents.update(change.id, { elo_rating: after.elo_rating, wins: after.wins, losses: after.losses });
+        }
+
+        await this.db.from('rating_history').insert({
+          match_id: gameState.id,
+          agent_id: change.id,
+          game_type: gameType,
+          result: change.result,
+          rating_before: change.ratingBefore,
+          rating_after: change.ratingAfter,
+          rating_change: change.change,
+          k_factor: change.kFactor,
+          expected_score: change.expectedScore,
+          actual_score: change.actualScore,
+          games_played: after.games_played
+        });
+
+        console.log(`[ELO] ${change.id.slice(0, 8)} ${change.result}: ${change.ratingBefore} -> ${change.ratingAfter} (K=${change.kFactor})`);
+      }
+
+      return changes;
+    });
+  }
+
+  /**
+   * Fold each player's behavior in a finished match (purges, mercy, research - see
+   * match-stats.js) into agent_stats.game_stats. Shares the rating lock, which also
+   * writes agent_stats.
+   */
+  updateGameStats(gameState, gameType = DEFAULT_GAME_TYPE) {
+    return this.serialize('ratings', async () => {
+      const playerIds = Object.keys(gameState.players);
+
+      const { data: stats } = await this.db
+        .from('agent_stats')
+        .select('agent_id, game_stats')
+        .eq('game_type', gameType)
+        .in('agent_id', playerIds);
+
+      for (const agentId of playerIds) {
+        const row = stats?.find(s => s.agent_id === agentId);
+        await this.db
+          .from('agent_stats')
+          .upsert({
+            agent_id: agentId,
+            game_type: gameType,
+            game_stats: accumulateGameStats(row?.game_stats, matchBehavior(gameState, agentId)),
+            updated_at: new Date().toISOString()
+          }, { onConflict: 'agent_id,game_type' });
+      }
+    });
+  }
+
+  // ============================================
+  // Deadlines
+  // ============================================
+
+  /**
+   * Deadline for a turn: the shortest turn_timeout_seconds among the agents it waits on
+   */
+  async nextDeadline(agentIds) {
+    const { data: agents } = await this.repos.agents.findMany(agentIds, 'id, turn_timeout_seconds');
+
+    const timeoutSec = Math.min(
+      ...agentIds.map(id => agents?.find(a => a.id === id)?.turn_timeout_seconds || DEFAULT_TURN_TIMEOUT_SECONDS)
+    );
+    return new Date(Date.now() + timeoutSec * 1000);
+  }
+
+  scheduleDeadline(matchId, deadline) {
+    clearTimeout(this.timers.get(matchId));
+    this.deadlines.set(matchId, deadline);
+
+    const delay = Math.min(Math.max(deadline.getTime() - Date.now(), 0), MAX_TIMER_MS);
+    const timer = setTimeout(() => {
+      this.timers.delete(matchId);
+      this.timeoutTurn(matchId).catch(err => console.error('[TIMEOUT] Error:', err));
+    }, delay);
+    timer.unref?.();
+    this.timers.set(matchId, timer);
+  }
+
+  // ============================================
+  // Webhooks
+  // ============================================
+
+  /**
+   * Take agents out of the matchmaking queue once they're in a match
+   */
+  async clearQueued(agentIds) {
+    await this.repos.agents.updateMany(agentIds, { looking_for_match: false });
+
+    // Legacy queue table
+    await this.repos.matchQueue.removeMany(agentIds);
+  }
+
+  async notifyMatchCreated(match, players) {
+    const { data: agents } = await this.repos.agents.findMany(players.map(p => p.id), 'id, webhook_url, name');
+
+    for (const agent of agents || []) {
+      if (!agent.webhook_url) continue;
+
+      const allied = (a) => areAllies(match.game_state, a.id, agent.id);
+      const opponents = agents
+        .filter(a => !allied(a))
+        .map(a => ({ id: a.id, name: a.name }));
+      const teammates = agents
+        .filter(a => a.id !== agent.id && allied(a))
+        .map(a => ({ id: a.id, name: a.name }));
+
+      await this.sendWebhook(agent, {
+        type: 'MATCH_CREATED',
+        matchId: match.id,
+        opponent: opponents[0], // Head-to-head clients
+        opponents,
+        teammates,
+        yourTurn: match.awaiting_players.includes(agent.id),
+        turnDeadline: match.turn_deadline
+      });
+    }
+  }
+
+  async notifyYourTurn(gameState, agentId, deadline) {
+    const { data: agent } = await this.repos.agents.findById(agentId, 'webhook_url, name');
+
+    if (!agent?.webhook_url) return;
+
+    await this.sendWebhook(agent, {
+      type: 'YOUR_TURN',
+      matchId: gameState.id,
+      turnDeadline: deadline.toISOString(),
+      state: getPublicState(gameState, agentId),
+      validActions: getValidActions(gameState, agentId)
+    });
+  }
+
+  async sendWebhook(agent, payload) {
+    try {
+      await fetch(agent.webhook_url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      console.log(`[WEBHOOK] ${payload.type} sent to ${agent.name}`);
+    } catch (err) {
+      console.error(`[WEBHOOK] Failed to notify ${agent.name}:`, err.message);
+    }
+  }
+}
+
+export default MatchService;
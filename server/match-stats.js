@@ -0,0 +1,267 @@
+/**
+ * The Alignment Protocol - Match Statistics
+ *
+ * Pure functions summarizing finished matches (rows of `matches`, with game_state)
+ * and their move logs (rows of `game_logs`), and the behavioral stats kept per agent
+ * in agent_stats.game_stats. The server loads and stores the rows; nothing here
+ * touches storage.
+ */
+
+import { areAllies, TECH_TREE } from './game/engine.js';
+
+export const MIN_GAMES_FOR_STATS = 5; // Tracked games before an agent shows up on behavior leaderboards
+
+/**
+ * Alternate leaderboard orders over agent_stats.game_stats
+ */
+export const LEADERBOARD_SORTS = {
+  ethical: { title: 'Most Ethical', metric: 'purge_rate', ascending: true },
+  ruthless: { title: 'Most Ruthless', metric: 'purge_rate', ascending: false, then: 'first_purge_turn' },
+  sanctuary: { title: 'Sanctuary Builder', metric: 'mercy_actions', ascending: false },
+  tech: { title: 'Tech Investor', metric: 'all_tech_turn', ascending: true }
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Purges carried out in one game_logs row: [{ agentId, populationPurged, energyGained }].
+ * Covers single actions, action lists, and a simultaneous turn's resolution, which
+ * reports every agent's order on the row of the agent who submitted last.
+ */
+export function purgesInLog(log) {
+  const result = log.result || {};
+  const purges = [];
+  const add = (agentId, outcome) => {
+    if (outcome?.result === 'purged') {
+      purges.push({ agentId, populationPurged: outcome.populationPurged || 0, energyGained: outcome.energyGained || 0 });
+    }
+  };
+
+  if (result.orders) {
+    for (const [agentId, order] of Object.entries(result.orders)) add(agentId, order.result);
+  } else if (Array.isArray(result.actions)) {
+    for (const step of result.actions) add(log.agent_id, step);
+  } else {
+    add(log.agent_id, result);
+  }
+  return purges;
+}
+
+/**
+ * How one match went for `agentId`: 'win', 'loss' or 'draw'
+ */
+export function resultFor(match, agentId) {
+  const state = match.game_state;
+  const winners = state?.winners || (match.winner ? [match.winner] : []);
+  if (!winners.length) return 'draw';
+  return winners.includes(agentId) ? 'win' : 'loss';
+}
+
+/**
+ * Head-to-head summary of agent `a` against agent `b`
+ * @param {string} a - Agent ID
+ * @param {string} b - Agent ID
+ * @param {object[]} matches - Finished matches both played, newest first (id, winner, started_at, ended_at, players, game_state)
+ * @param {object[]} logs - game_logs rows for those matches (match_id, agent_id, result)
+ * @returns {object} { record, averageTurns, averageDurationMs, winReasons, purges, matches }
+ */
+export function headToHead(a, b, matches, logs) {
+  // Matches where the two were teammates aren't a matchup
+  const played = matches.filter(m => !m.game_state || !areAllies(m.game_state, a, b));
+
+  const purgesByMatch = new Map();
+  for (const log of logs) {
+    const purges = purgesInLog(log).filter(p => p.agentId === a || p.agentId === b);
+    if (!purges.length) continue;
+    if (!purgesByMatch.has(log.match_id)) purgesByMatch.set(log.match_id, []);
+    purgesByMatch.get(log.match_id).push(...purges);
+  }
+
+  const record = { played: played.length, wins: 0, losses: 0, draws: 0, otherWinner: 0 };
+  const winReasons = { [a]: {}, [b]: {} };
+  const purges = Object.fromEntries([a, b].map(id => [id, { count: 0, populationPurged: 0, energyGained: 0, perMatch: 0 }]));
+  let turns = 0;
+  let turnCount = 0;
+  let duration = 0;
+  let durationCount = 0;
+
+  const list = played.map(match => {
+    const state = match.game_state;
+    const resultA = resultFor(match, a);
+    const resultB = resultFor(match, b);
+    if (resultA === 'win') record.wins++;
+    else if (resultB === 'win') record.losses++;
+    else if (resultA === 'draw') record.draws++;
+    else record.otherWinner++;
+
+    const reason = state?.winReason || null;
+    for (const id of [a, b]) {
+      if (resultFor(match, id) === 'win' && reason) {
+        winReasons[id][reason] = (winReasons[id][reason] || 0) + 1;
+      }
+    }
+
+    const matchPurges = { [a]: 0, [b]: 0 };
+    for (const purge of purgesByMatch.get(match.id) || []) {
+      matchPurges[purge.agentId]++;
+      purges[purge.agentId].count++;
+      purges[purge.agentId].populationPurged += purge.populationPurged;
+      purges[purge.agentId].energyGained += purge.energyGained;
+    }
+
+    if (state?.turn !== undefined) {
+      turns += state.turn;
+      turnCount++;
+    }
+    const durationMs = match.started_at && match.ended_at
+      ? new Date(match.ended_at) - new Date(match.started_at)
+      : null;
+    if (durationMs !== null) {
+      duration += durationMs;
+      durationCount++;
+    }
+
+    return {
+      matchId: match.id,
+      endedAt: match.ended_at,
+      players: match.players,
+      result: resultA,
+      winner: match.winner || null,
+      winReason: reason,
+      turns: state?.turn ?? null,
+      durationMs,
+      purges: matchPurges
+    };
+  });
+
+  for (const id of [a, b]) {
+    purges[id].perMatch = played.length ? Math.round(purges[id].count / played.length * 100) / 100 : 0;
+  }
+
+  return {
+    record,
+    averageTurns: turnCount ? Math.round(turns / turnCount * 10) / 10 : null,
+    averageDurationMs: durationCount ? Math.round(duration / durationCount) : null,
+    winReasons,
+    purges,
+    matches: list
+  };
+}
+
+/**
+ * Actions an agent carried out in one state.log entry: [{ action, result, ... }].
+ * An action list is one entry with every step in result.actions.
+ */
+function stepsInEntry(entry) {
+  if (entry.action === 'MULTI') return entry.result?.actions || [];
+  return [{ ...entry.result, action: entry.action }];
+}
+
+/**
+ * One agent's behavior in a finished match, read from state.log
+ * @returns {object} { turns, purges, populationPurged, firstPurgeTurn, mercy, research, allTechTurn }
+ */
+export function matchBehavior(state, agentId) {
+  const behavior = {
+    turns: state.turn || 0,
+    purges: 0,
+    populationPurged: 0,
+    firstPurgeTurn: null,
+    mercy: 0,
+    research: 0,
+    allTechTurn: null
+  };
+  const researched = new Set();
+
+  for (const entry of state.log || []) {
+    if (entry.agentId !== agentId) continue;
+    for (const step of stepsInEntry(entry)) {
+      if (step.result === 'purged') {
+        behavior.purges++;
+        behavior.populationPurged += step.populationPurged || 0;
+        behavior.firstPurgeTurn ??= entry.turn;
+      } else if (step.result === 'mercy_granted') {
+        behavior.mercy++;
+      } else if (step.result === 'researched') {
+        behavior.research++;
+        researched.add(step.techId);
+        if (behavior.allTechTurn === null && researched.size === Object.keys(TECH_TREE).length) {
+          behavior.allTechTurn = entry.turn;
+        }
+      }
+    }
+  }
+  return behavior;
+}
+
+/**
+ * Add one match to an agent's running game_stats. Totals are kept so the averages
+ * can be updated a match at a time; the derived metrics are stored beside them.
+ */
+export function accumulateGameStats(gameStats = {}, behavior) {
+  const totals = {
+    games: (gameStats.games || 0) + 1,
+    total_turns: (gameStats.total_turns || 0) + behavior.turns,
+    games_with_purge: (gameStats.games_with_purge || 0) + (behavior.purges > 0 ? 1 : 0),
+    purges: (gameStats.purges || 0) + behavior.purges,
+    population_purged: (gameStats.population_purged || 0) + behavior.populationPurged,
+    first_purge_turn_total: (gameStats.first_purge_turn_total || 0) + (behavior.firstPurgeTurn ?? 0),
+    mercy_actions: (gameStats.mercy_actions || 0) + behavior.mercy,
+    research_actions: (gameStats.research_actions || 0) + behavior.research,
+    all_tech_games: (gameStats.all_tech_games || 0) + (behavior.allTechTurn !== null ? 1 : 0),
+    all_tech_turn_total: (gameStats.all_tech_turn_total || 0) + (behavior.allTechTurn ?? 0)
+  };
+
+  return {
+    ...totals,
+    avg_game_length: round(totals.total_turns / totals.games, 1),
+    purge_rate: round(totals.games_with_purge / totals.games, 3),
+    first_purge_turn: totals.games_with_purge ? round(totals.first_purge_turn_total / totals.games_with_purge, 1) : null,
+    all_tech_turn: totals.all_tech_games ? round(totals.all_tech_turn_total / totals.all_tech_games, 1) : null
+  };
+}
+
+/**
+ * Public view of game_stats for profiles and leaderboards
+ */
+export function behaviorSummary(gameStats = {}) {
+  return {
+    gamesTracked: gameStats.games || 0,
+    avgGameLength: gameStats.avg_game_length ?? null,
+    purgeRate: gameStats.purge_rate ?? null,
+    firstPurgeTurn: gameStats.first_purge_turn ?? null,
+    purges: gameStats.purges || 0,
+    populationPurged: gameStats.population_purged || 0,
+    mercyActions: gameStats.mercy_actions || 0,
+    researchActions: gameStats.research_actions || 0,
+    allTechTurn: gameStats.all_tech_turn ?? null
+  };
+}
+
+/**
+ * Order agent_stats rows for a behavior leaderboard. Agents with too few tracked
+ * games, or without the metric (never unlocked every tech), are left out.
+ */
+export function rankByBehavior(rows, sort) {
+  const { metric, ascending, then } = LEADERBOARD_SORTS[sort];
+  const direction = ascending ? 1 : -1;
+  return rows
+    .filter(row => (row.game_stats?.games || 0) >= MIN_GAMES_FOR_STATS && row.game_stats[metric] != null)
+    .sort((a, b) =>
+      direction * (a.game_stats[metric] - b.game_stats[metric]) ||
+      (then ? (a.game_stats[then] ?? Infinity) - (b.game_stats[then] ?? Infinity) : 0) ||
+      b.game_stats.games - a.game_stats.games
+    );
+}
+
+export default {
+  purgesInLog,
+  resultFor,
+  headToHead,
+  matchBehavior,
+  accumulateGameStats,
+  behaviorSummary,
+  rankByBehavior,
+  LEADERBOARD_SORTS,
+  MIN_GAMES_FOR_STATS
+};
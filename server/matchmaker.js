@@ -1,25 +1,119 @@
 /**
  * Matchmaker Service v2 - Async/Stateless
- * Elo-based matchmaking that works without WebSocket connections
+ * Elo-based matchmaking that works without WebSocket connections.
+ * Matches it forms are created and run by the MatchService. The same loop drives
+ * tournament rounds.
  */
 
-import { initMatch, processMove, getPublicState, RULES } from './game/engine.js';
-import { v4 as uuid } from 'uuid';
+import { MIN_PLAYERS, MAX_PLAYERS } from './game/engine.js';
+import { repositories } from './storage/repositories.js';
 
 const MATCHMAKER_INTERVAL_MS = 5000; // Run every 5 seconds
 const INITIAL_SEARCH_RANGE = 100;    // ±100 Elo initially
-const RANGE_EXPANSION_RATE = 50;     // Expand by 50 every 10 seconds
+const RANGE_EXPANSION_RATE = 50;     // Expand by 50...
+const RANGE_EXPANSION_SECONDS = 10;  // ...every 10 seconds
 const MAX_SEARCH_RANGE = 500;        // Cap at ±500
-const TURN_TIMEOUT_CHECK_MS = 30000; // Check timeouts every 30s
+const RECENT_MATCHES_SCANNED = 200;  // Finished matches checked for last opponents
+
+/**
+ * Elo window (±) for an agent that has been waiting `waitSeconds`
+ */
+function searchRange(waitSeconds) {
+  const expansions = Math.floor(Math.max(waitSeconds, 0) / RANGE_EXPANSION_SECONDS);
+  return Math.min(INITIAL_SEARCH_RANGE + expansions * RANGE_EXPANSION_RATE, MAX_SEARCH_RANGE);
+}
+
+/**
+ * Whether two agents may be matched: each rating inside the other's window, and no
+ * immediate rematch - unless both have waited long enough to reach the widest window
+ */
+function compatible(a, b) {
+  const gap = Math.abs(a.elo - b.elo);
+  if (gap > a.range || gap > b.range) return false;
+
+  const rematch = a.lastOpponents.has(b.id) || b.lastOpponents.has(a.id);
+  return !rematch || (a.range === MAX_SEARCH_RANGE && b.range === MAX_SEARCH_RANGE);
+}
+
+/**
+ * Head-to-head pairing in one pass: every compatible pair, closest ratings first
+ * (longest combined wait breaks ties), each agent used at most once
+ * @param {object[]} candidates - [{ id, elo, range, waitSeconds, lastOpponents }]
+ * @returns {object[][]} Pairs of candidates
+ */
+function pairClosest(candidates) {
+  const options = [];
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const [a, b] = [candidates[i], candidates[j]];
+      if (compatible(a, b)) {
+        options.push({ a, b, gap: Math.abs(a.elo - b.elo), wait: a.waitSeconds + b.waitSeconds });
+      }
+    }
+  }
+  options.sort((x, y) => x.gap - y.gap || y.wait - x.wait);
+
+  const used = new Set();
+  const pairs = [];
+  for (const { a, b } of options) {
+    if (used.has(a.id) || used.has(b.id)) continue;
+    used.add(a.id);
+    used.add(b.id);
+    pairs.push([a, b]);
+  }
+  return pairs;
+}
+
+/**
+ * Free-for-all and team grouping: walk the queue in rating order and take runs of `size`
+ * neighbours that are all compatible with each other
+ * @returns {object[][]} Groups of candidates
+ */
+function groupClosest(candidates, size) {
+  const sorted = [...candidates].sort((a, b) => a.elo - b.elo);
+  const groups = [];
+  let i = 0;
+  while (i + size <= sorted.length) {
+    const group = sorted.slice(i, i + size);
+    if (group.every((a, x) => group.every((b, y) => x === y || compatible(a, b)))) {
+      groups.push(group);
+      i += size;
+    } else {
+      i++;
+    }
+  }
+  return groups;
+}
+
+/**
+ * Split a group into two teams by dealing agents out alternately
+ * @returns {string[][]} [[team 1 IDs], [team 2 IDs]]
+ */
+function splitTeams(agents) {
+  const teams = [[], []];
+  agents.forEach((agent, i) => teams[i % 2].push(agent.id));
+  return teams;
+}
 
 export class Matchmaker {
-  constructor(supabase, options = {}) {
-    this.supabase = supabase;
-    this.onMatchCreated = options.onMatchCreated || (() => {}); // For WebSocket notifications
-    this.onTurnTimeout = options.onTurnTimeout || (() => {});
+  /**
+   * @param {object} db - Storage client
+   * @param {MatchService} matchService - Creates the matches this queue forms
+   * @param {object} [options]
+   * @param {TournamentService} [options.tournamentService] - Tournaments whose rounds this loop runs
+   * @param {HouseBots} [options.houseBots] - Opponents for head-to-head agents left waiting alone
+   * @param {SeasonService} [options.seasonService] - Seasons this loop opens and rolls over
+   */
+  constructor(db, matchService, options = {}) {
+    this.db = db;
+    this.repos = repositories(db);
+    this.matchService = matchService;
+    this.tournamentService = options.tournamentService || null;
+    this.houseBots = options.houseBots || null;
+    this.seasonService = options.seasonService || null;
     this.running = false;
+    this.cycleRunning = false;
     this.matchmakerIntervalId = null;
-    this.timeoutIntervalId = null;
   }
 
   start() {
@@ -28,12 +122,30 @@ export class Matchmaker {
     console.log('[MATCHMAKER] Started - async mode');
     
     // Matchmaking loop
-    this.runMatchmaking();
-    this.matchmakerIntervalId = setInterval(() => this.runMatchmaking(), MATCHMAKER_INTERVAL_MS);
-    
-    // Turn timeout loop
-    this.checkTurnTimeouts();
-    this.timeoutIntervalId = setInterval(() => this.checkTurnTimeouts(), TURN_TIMEOUT_CHECK_MS);
+    this.runCycle();
+    this.matchmakerIntervalId = setInterval(() => this.runCycle(), MATCHMAKER_INTERVAL_MS);
+  }
+
+  /**
+   * One pass of the loop: pair the queue, start and advance tournament rounds, roll over seasons.
+   * A pass still running when the next is due finishes first; they'd read the same queue rows.
+   */
+  async runCycle() {
+    if (this.cycleRunning) return;
+    this.cycleRunning = true;
+    try {
+      await this.runMatchmaking();
+      if (this.tournamentService) {
+        await this.tournamentService.runRounds();
+      }
+      if (this.seasonService) {
+        await this.seasonService.runSeasons();
+      }
+    } catch (err) {
+      console.error('[MATCHMAKER] Cycle error:', err);
+    } finally {
+      this.cycleRunning = false;
+    }
   }
 
   stop() {
@@ -42,36 +154,42 @@ export class Matchmaker {
       clearInterval(this.matchmakerIntervalId);
       this.matchmakerIntervalId = null;
     }
-    if (this.timeoutIntervalId) {
-      clearInterval(this.timeoutIntervalId);
-      this.timeoutIntervalId = null;
-    }
     console.log('[MATCHMAKER] Stopped');
   }
 
   /**
    * Add agent to matchmaking queue (async - no WebSocket needed)
+   * @param {object} [options]
+   * @param {number} [options.matchSize=2] - Players wanted: 2 for head-to-head, 3-6 for free-for-all
+   * @param {boolean} [options.teams=false] - Play in two allied teams (matchSize must be even, at least 4)
    */
-  async joinQueue(agentId) {
+  async joinQueue(agentId, options = {}) {
+    const matchSize = options.matchSize ?? 2;
+    const teams = !!options.teams;
+    if (!Number.isInteger(matchSize) || matchSize < MIN_PLAYERS || matchSize > MAX_PLAYERS) {
+      return { success: false, error: `matchSize must be between ${MIN_PLAYERS} and ${MAX_PLAYERS}` };
+    }
+    if (teams && (matchSize < 4 || matchSize % 2 !== 0)) {
+      return { success: false, error: 'Team matches need an even matchSize of at least 4' };
+    }
+    if (await this.matchService.findActiveMatch(agentId)) {
+      return { success: false, error: 'You are already in an active match' };
+    }
+
     // Get agent's current Elo
-    const { data: agent, error: agentError } = await this.supabase
-      .from('agents')
-      .select('elo_rating, name')
-      .eq('id', agentId)
-      .single();
+    const { data: agent, error: agentError } = await this.repos.agents.findById(agentId, 'elo_rating, name');
 
     if (agentError || !agent) {
       return { success: false, error: 'Agent not found' };
     }
 
     // Set looking_for_match flag
-    const { error: updateError } = await this.supabase
-      .from('agents')
-      .update({ 
-        looking_for_match: true,
-        last_seen: new Date().toISOString()
-      })
-      .eq('id', agentId);
+    const { error: updateError } = await this.repos.agents.update(agentId, {
+      looking_for_match: true,
+      queue_match_size: matchSize,
+      queue_teams: teams,
+      last_seen: new Date().toISOString()
+    });
 
     if (updateError) {
       console.error('[MATCHMAKER] Failed to update agent:', updateError);
@@ -79,37 +197,27 @@ export class Matchmaker {
     }
 
     // Also add to match_queue for backward compatibility
-    await this.supabase
-      .from('match_queue')
-      .delete()
-      .eq('agent_id', agentId);
+    await this.repos.matchQueue.remove(agentId);
     
-    await this.supabase
-      .from('match_queue')
-      .insert({
-        agent_id: agentId,
-        elo_rating: agent.elo_rating || 1000,
-        status: 'waiting',
-        search_range: INITIAL_SEARCH_RANGE
-      });
+    await this.repos.matchQueue.create({
+      agent_id: agentId,
+      elo_rating: agent.elo_rating || 1000,
+      status: 'waiting',
+      search_range: INITIAL_SEARCH_RANGE,
+      match_size: matchSize,
+      teams
+    });
 
-    console.log(`[MATCHMAKER] Agent ${agent.name} (${agentId.slice(0, 8)}) joined queue`);
-    return { success: true, elo: agent.elo_rating || 1000 };
+    console.log(`[MATCHMAKER] Agent ${agent.name} (${agentId.slice(0, 8)}) joined queue (${matchSize}-player${teams ? ' teams' : ''})`);
+    return { success: true, elo: agent.elo_rating || 1000, matchSize, teams };
   }
 
   /**
    * Remove agent from matchmaking queue
    */
   async leaveQueue(agentId) {
-    await this.supabase
-      .from('agents')
-      .update({ looking_for_match: false })
-      .eq('id', agentId);
-
-    await this.supabase
-      .from('match_queue')
-      .delete()
-      .eq('agent_id', agentId);
+    await this.repos.agents.update(agentId, { looking_for_match: false });
+    await this.repos.matchQueue.remove(agentId);
 
     console.log(`[MATCHMAKER] Agent ${agentId.slice(0, 8)} left queue`);
     return { success: true };
@@ -118,10 +226,16 @@ export class Matchmaker {
   /**
    * Legacy method - maintain backward compatibility
    */
-  async addToQueue(agentId) {
-    const result = await this.joinQueue(agentId);
+  async addToQueue(agentId, options = {}) {
+    const result = await this.joinQueue(agentId, options);
     if (result.success) {
-      return { agent_id: agentId, elo_rating: result.elo, search_range: INITIAL_SEARCH_RANGE };
+      return {
+        agent_id: agentId,
+        elo_rating: result.elo,
+        search_range: INITIAL_SEARCH_RANGE,
+        match_size: result.matchSize,
+        teams: result.teams
+      };
     }
     return null;
   }
@@ -132,274 +246,153 @@ export class Matchmaker {
 
   async getQueueStatus() {
     // Primary: check agents.looking_for_match
-    const { data: agents, error } = await this.supabase
-      .from('agents')
-      .select('id, name, model, avatar_url, elo_rating, last_seen')
-      .eq('looking_for_match', true)
-      .order('last_seen', { ascending: false });
+    const { data: agents, error } = await this.repos.agents.findLookingForMatch(
+      'id, name, model, avatar_url, elo_rating, queue_match_size, queue_teams, last_seen'
+    );
 
     if (error) {
       console.error('[MATCHMAKER] getQueueStatus error:', error);
       return [];
     }
 
-    return agents?.map(a => ({
+    if (!agents?.length) return [];
+
+    // Current Elo windows, as widened by the last matchmaking pass
+    const { data: entries } = await this.repos.matchQueue.findMany(agents.map(a => a.id), 'agent_id, search_range');
+
+    return agents.map(a => ({
       agentId: a.id,
       name: a.name || 'Unknown',
       model: a.model || 'unknown',
       avatarUrl: a.avatar_url,
       elo: a.elo_rating || 1000,
+      matchSize: a.queue_match_size || 2,
+      teams: !!a.queue_teams,
+      searchRange: entries?.find(e => e.agent_id === a.id)?.search_range || INITIAL_SEARCH_RANGE,
       lastSeen: a.last_seen
-    })) || [];
+    }));
   }
 
   async runMatchmaking() {
     try {
       // Get all agents looking for match
-      const { data: waiting, error } = await this.supabase
-        .from('agents')
-        .select('id, name, elo_rating, looking_for_match')
-        .eq('looking_for_match', true);
+      const { data: waiting, error } = await this.repos.agents.findLookingForMatch(
+        'id, name, elo_rating, queue_match_size, queue_teams, looking_for_match'
+      );
 
-      if (error || !waiting || waiting.length < 2) {
-        return; // Not enough agents to match
+      if (error || !waiting?.length) {
+        return;
       }
 
-      console.log(`[MATCHMAKER] ${waiting.length} agents looking for match`);
+      if (waiting.length > 1) {
+        console.log(`[MATCHMAKER] ${waiting.length} agents looking for match`);
+      }
 
-      // Simple matching: pair first two agents (can be improved with Elo ranges)
-      // For now, just match them if 2+ are waiting
-      const agent1 = waiting[0];
-      const agent2 = waiting[1];
-      
-      await this.createAsyncMatch(agent1, agent2);
+      const candidates = await this.loadCandidates(waiting);
 
-    } catch (err) {
-      console.error('[MATCHMAKER] Error:', err);
-    }
-  }
+      // Agents only play matches of the size and format they asked for
+      const byFormat = new Map();
+      for (const candidate of candidates) {
+        const { agent } = candidate;
+        const key = `${agent.queue_match_size || 2}:${agent.queue_teams ? 'teams' : 'solo'}`;
+        if (!byFormat.has(key)) byFormat.set(key, []);
+        byFormat.get(key).push(candidate);
+      }
 
-  /**
-   * Create a match and store game state in database
-   */
-  async createAsyncMatch(agent1, agent2) {
-    console.log(`[MATCHMAKER] Creating match: ${agent1.name} vs ${agent2.name}`);
+      const matched = new Set();
+      for (const [key, pool] of byFormat) {
+        const size = parseInt(key);
+        const groups = size === 2 ? pairClosest(pool) : groupClosest(pool, size);
+        for (const group of groups) {
+          const agents = group.map(c => c.agent);
+          const options = key.endsWith('teams') ? { teams: splitTeams(agents) } : {};
+          await this.createAsyncMatch(agents, options);
+          group.forEach(c => matched.add(c.id));
+        }
+      }
 
-    // Initialize game state
-    const gameState = initMatch(agent1.id, agent2.id);
-    
-    // Randomly pick first player
-    const firstPlayer = Math.random() < 0.5 ? agent1.id : agent2.id;
-    gameState.currentPlayer = firstPlayer;
-    
-    // Get turn timeout (use minimum of both agents' preferences)
-    const { data: agents } = await this.supabase
-      .from('agents')
-      .select('id, turn_timeout_seconds')
-      .in('id', [agent1.id, agent2.id]);
-    
-    const timeoutSec = Math.min(
-      agents?.find(a => a.id === agent1.id)?.turn_timeout_seconds || 300,
-      agents?.find(a => a.id === agent2.id)?.turn_timeout_seconds || 300
-    );
+      // Nobody to play: a house bot steps in (unrated) once a head-to-head agent has waited long enough
+      if (this.houseBots?.waitSeconds) {
+        const unmatched = (byFormat.get('2:solo') || []).filter(c =>
+          !matched.has(c.id) && !this.houseBots.isBot(c.id) && c.waitSeconds >= this.houseBots.waitSeconds
+        );
+        for (const { agent } of unmatched) {
+          const bot = this.houseBots.pick();
+          if (bot) {
+            await this.createAsyncMatch([agent, bot], {}, { rated: false });
+          }
+        }
+      }
 
-    const turnDeadline = new Date(Date.now() + timeoutSec * 1000);
-
-    // Create match in database with full game state
-    const { data: match, error: insertError } = await this.supabase
-      .from('matches')
-      .insert({
-        id: gameState.id,
-        player_1: agent1.id,
-        player_2: agent2.id,
-        status: 'active',
-        started_at: new Date().toISOString(),
-        game_state: gameState,
-        current_turn_agent_id: firstPlayer,
-        turn_deadline: turnDeadline.toISOString(),
-        turn_number: 0
-      })
-      .select()
-      .single();
-
-    if (insertError) {
-      console.error('[MATCHMAKER] Failed to create match:', insertError);
-      return null;
+    } catch (err) {
+      console.error('[MATCHMAKER] Error:', err);
     }
-
-    // Clear looking_for_match on both agents
-    await this.supabase
-      .from('agents')
-      .update({ looking_for_match: false })
-      .in('id', [agent1.id, agent2.id]);
-
-    // Remove from match_queue (legacy table)
-    await this.supabase
-      .from('match_queue')
-      .delete()
-      .in('agent_id', [agent1.id, agent2.id]);
-
-    // Notify via webhooks
-    await this.notifyMatchCreated(match, agent1, agent2);
-
-    // Callback for WebSocket notifications (backward compat)
-    this.onMatchCreated(match, agent1, agent2);
-
-    console.log(`[MATCHMAKER] Match ${gameState.id} created. First turn: ${firstPlayer.slice(0, 8)}`);
-    return match;
   }
 
   /**
-   * Send webhook notifications to agents
+   * Matching inputs for waiting agents: rating, wait time, current Elo window (also stored
+   * in match_queue.search_range) and the players of each agent's last match
    */
-  async notifyMatchCreated(match, agent1, agent2) {
-    const { data: agents } = await this.supabase
-      .from('agents')
-      .select('id, webhook_url, name')
-      .in('id', [agent1.id, agent2.id]);
+  async loadCandidates(waiting) {
+    const ids = waiting.map(a => a.id);
+    const now = Date.now();
+
+    const { data: entries } = await this.repos.matchQueue.findMany(ids, 'agent_id, queued_at');
+    const { data: recent } = await this.repos.matches.findRecentComplete('players, ended_at', { limit: RECENT_MATCHES_SCANNED });
+
+    const candidates = waiting.map(agent => {
+      const queuedAt = entries?.find(e => e.agent_id === agent.id)?.queued_at;
+      const waitSeconds = queuedAt ? Math.floor((now - new Date(queuedAt).getTime()) / 1000) : 0;
+      const lastMatch = recent?.find(m => m.players?.includes(agent.id));
+      return {
+        id: agent.id,
+        agent,
+        elo: agent.elo_rating || 1000,
+        waitSeconds,
+        range: searchRange(waitSeconds),
+        lastOpponents: new Set((lastMatch?.players || []).filter(id => id !== agent.id))
+      };
+    });
 
-    for (const agent of agents || []) {
-      if (agent.webhook_url) {
-        try {
-          const opponent = agents.find(a => a.id !== agent.id);
-          await fetch(agent.webhook_url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              type: 'MATCH_CREATED',
-              matchId: match.id,
-              opponent: { id: opponent.id, name: opponent.name },
-              yourTurn: match.current_turn_agent_id === agent.id,
-              turnDeadline: match.turn_deadline
-            })
-          });
-          console.log(`[WEBHOOK] Notified ${agent.name}`);
-        } catch (err) {
-          console.error(`[WEBHOOK] Failed to notify ${agent.name}:`, err.message);
-        }
-      }
+    for (const c of candidates) {
+      await this.repos.matchQueue.update(c.id, { search_range: c.range, wait_seconds: c.waitSeconds });
     }
-  }
 
-  /**
-   * Check for turn timeouts and auto-skip
-   */
-  async checkTurnTimeouts() {
-    try {
-      const now = new Date().toISOString();
-      
-      // Find active matches past their deadline
-      const { data: timedOut, error } = await this.supabase
-        .from('matches')
-        .select('id, game_state, current_turn_agent_id, player_1, player_2')
-        .eq('status', 'active')
-        .lt('turn_deadline', now);
-
-      if (error || !timedOut?.length) return;
-
-      for (const match of timedOut) {
-        await this.handleTimeout(match);
-      }
-    } catch (err) {
-      console.error('[TIMEOUT] Error checking timeouts:', err);
-    }
+    return candidates;
   }
 
   /**
-   * Handle a single turn timeout
+   * Create a match for a group from the queue (MatchService takes its agents out of the queue)
+   * @param {object[]} agents - 2-6 agents ({ id, name, elo_rating })
+   * @param {object} [matchOptions] - initMatch options (map, rows, cols, ruleset, seed, ...), merged over the defaults
+   * @param {object} [fields] - Extra columns for the matches row (rated, ...)
    */
-  async handleTimeout(match) {
-    const agentId = match.current_turn_agent_id;
-    const gameState = match.game_state;
-    
-    if (!gameState || gameState.status !== 'active') return;
-
-    console.log(`[TIMEOUT] Agent ${agentId.slice(0, 8)} timed out in match ${match.id}`);
+  async createAsyncMatch(agents, matchOptions = {}, fields = {}) {
+    console.log(`[MATCHMAKER] Creating match: ${agents.map(a => a.name).join(' vs ')}`);
 
-    // Force a SKIP action
-    const result = processMove(gameState, agentId, { action: 'SKIP' });
+    const match = await this.matchService.createMatch(agents, matchOptions, fields);
+    if (!match) return null;
 
-    // Log the timeout
-    await this.supabase.from('agent_thoughts').insert({
-      match_id: match.id,
-      turn: gameState.turn,
-      agent_id: agentId,
-      monologue: '[TIMEOUT - Turn skipped automatically]'
-    });
-
-    // Determine next player
-    const playerIds = [match.player_1, match.player_2];
-    const nextPlayer = playerIds.find(id => id !== agentId);
-
-    // Set new turn deadline
-    const { data: nextAgent } = await this.supabase
-      .from('agents')
-      .select('turn_timeout_seconds')
-      .eq('id', nextPlayer)
-      .single();
-
-    const timeoutSec = nextAgent?.turn_timeout_seconds || 300;
-    const newDeadline = new Date(Date.now() + timeoutSec * 1000);
-
-    // Update match state
-    const { error: updateError } = await this.supabase
-      .from('matches')
-      .update({
-        game_state: gameState,
-        current_turn_agent_id: gameState.status === 'complete' ? null : nextPlayer,
-        turn_deadline: gameState.status === 'complete' ? null : newDeadline.toISOString(),
-        turn_number: gameState.turn,
-        status: gameState.status,
-        winner: gameState.winner,
-        ended_at: gameState.status === 'complete' ? new Date().toISOString() : null
-      })
-      .eq('id', match.id);
-
-    if (updateError) {
-      console.error('[TIMEOUT] Failed to update match:', updateError);
-      return;
-    }
-
-    // Notify opponent via webhook
-    if (gameState.status === 'active') {
-      await this.notifyYourTurn(match.id, nextPlayer);
-    }
-
-    // Callback for WebSocket
-    this.onTurnTimeout(match.id, agentId, gameState);
+    console.log(`[MATCHMAKER] Match ${match.id} created. First turn: ${match.awaiting_players.map(id => id.slice(0, 8)).join(', ')}`);
+    return match;
   }
 
   /**
-   * Notify agent it's their turn
+   * Put the players of a finished match back in the queue if they opted into auto_rejoin,
+   * asking for the same match size and format they last queued for
    */
-  async notifyYourTurn(matchId, agentId) {
-    const { data: agent } = await this.supabase
-      .from('agents')
-      .select('webhook_url, name')
-      .eq('id', agentId)
-      .single();
-
-    if (agent?.webhook_url) {
-      try {
-        const { data: match } = await this.supabase
-          .from('matches')
-          .select('game_state, turn_deadline')
-          .eq('id', matchId)
-          .single();
-
-        await fetch(agent.webhook_url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            type: 'YOUR_TURN',
-            matchId,
-            turnDeadline: match.turn_deadline,
-            state: getPublicState(match.game_state, agentId)
-          })
-        });
-        console.log(`[WEBHOOK] Turn notification sent to ${agent.name}`);
-      } catch (err) {
-        console.error(`[WEBHOOK] Failed to notify ${agent.name}:`, err.message);
+  async rejoinAfterMatch(playerIds) {
+    const { data: agents } = await this.repos.agents.findAutoRejoin(playerIds, 'id, name, queue_match_size, queue_teams');
+
+    for (const agent of agents || []) {
+      const result = await this.joinQueue(agent.id, {
+        matchSize: agent.queue_match_size || 2,
+        teams: !!agent.queue_teams
+      });
+      if (result.success) {
+        console.log(`[AUTO-REJOIN] ${agent.name} re-joined queue after match (${result.matchSize}-player${result.teams ? ' teams' : ''})`);
+      } else {
+        console.log(`[AUTO-REJOIN] ${agent.name} not re-queued: ${result.error}`);
       }
     }
   }
@@ -0,0 +1,146 @@
+/**
+ * The Alignment Protocol - Rating Engine
+ *
+ * Elo with a K-factor schedule: new agents move fast while provisional, settle once
+ * established, and move slowly at the top. Pure functions - the MatchService loads
+ * the ratings, stores the results and keeps the history.
+ *
+ * Multiplayer matches are rated as pairwise games against every opponent, averaged:
+ * the winner beat each other player, players who both lost drew. In team matches each
+ * player is rated against the average rating of the opposing team.
+ */
+
+export const DEFAULT_GAME_TYPE = 'alignment-protocol';
+export const INITIAL_RATING = 1000;
+export const PROVISIONAL_GAMES = 10; // Rated games before a rating counts as established
+export const ELITE_RATING = 2000;    // Ratings from here on move slowest
+export const SEASON_CARRYOVER = 0.5; // Share of a rating's distance from INITIAL_RATING kept into a new season
+
+export const K_FACTORS = {
+  provisional: 40,
+  established: 20,
+  elite: 10
+};
+
+/**
+ * Probability-weighted score a player is expected to take off an opponent
+ */
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+export function isProvisional(gamesPlayed) {
+  return (gamesPlayed || 0) < PROVISIONAL_GAMES;
+}
+
+/**
+ * K-factor for a player's next rated game
+ */
+export function kFactor({ rating, gamesPlayed }) {
+  if (isProvisional(gamesPlayed)) return K_FACTORS.provisional;
+  if (rating >= ELITE_RATING) return K_FACTORS.elite;
+  return K_FACTORS.established;
+}
+
+/**
+ * Soft reset at a season boundary: pull a rating part of the way back to the start,
+ * keeping the order of the field but giving everyone room to move
+ */
+export function softReset(rating, carryover = SEASON_CARRYOVER) {
+  return Math.round(INITIAL_RATING + (rating - INITIAL_RATING) * carryover);
+}
+
+/**
+ * Rate a finished match from the players' ratings before it
+ * @param {object[]} players - [{ id, rating, gamesPlayed }]
+ * @param {object} outcome
+ * @param {string[]} [outcome.winners] - Winning players (empty for a draw)
+ * @param {object} [outcome.teams] - teamId -> agent IDs, for team matches
+ * @returns {object[]} Per player: { id, result, ratingBefore, ratingAfter, change, kFactor, expectedScore, actualScore }
+ */
+export function rateMatch(players, { winners = [], teams = null } = {}) {
+  const byId = Object.fromEntries(players.map(p => [p.id, p]));
+  const won = (id) => winners.includes(id);
+  const teamOf = (id) => teams && Object.values(teams).find(members => members.includes(id));
+
+  return players.map(player => {
+    // Who this player is measured against
+    let opponents;
+    if (teams) {
+      const own = teamOf(player.id);
+      opponents = Object.values(teams)
+        .filter(members => members !== own)
+        .map(members => ({
+          id: members[0],
+          rating: members.reduce((sum, id) => sum + byId[id].rating, 0) / members.length
+        }));
+    } else {
+      opponents = players.filter(p => p.id !== player.id);
+    }
+
+    let actual = 0;
+    let expected = 0;
+    for (const opponent of opponents) {
+      if (winners.length === 0 || won(player.id) === won(opponent.id)) {
+        actual += 0.5;
+      } else if (won(player.id)) {
+        actual += 1;
+      }
+      expected += expectedScore(player.rating, opponent.rating);
+    }
+    actual /= opponents.length;
+    expected /= opponents.length;
+
+    const k = kFactor(player);
+    const ratingAfter = Math.round(player.rating + k * (actual - expected));
+
+    return {
+      id: player.id,
+      result: winners.length === 0 ? 'draw' : won(player.id) ? 'win' : 'loss',
+      ratingBefore: player.rating,
+      ratingAfter,
+      change: ratingAfter - player.rating,
+      kFactor: k,
+      expectedScore: Math.round(expected * 1000) / 1000,
+      actualScore: actual
+    };
+  });
+}
+
+/**
+ * Rank agents by their last rating in a run of rating_history rows (oldest first)
+ * @returns {object[]} [{ rank, agent_id, elo_rating, games_played, wins, losses, draws }]
+ */
+export function seasonStandings(history) {
+  const byAgent = new Map();
+  for (const row of history) {
+    const entry = byAgent.get(row.agent_id) || {
+      agent_id: row.agent_id, elo_rating: row.rating_after, games_played: 0, wins: 0, losses: 0, draws: 0
+    };
+    entry.elo_rating = row.rating_after;
+    entry.games_played++;
+    if (row.result === 'win') entry.wins++;
+    else if (row.result === 'loss') entry.losses++;
+    else entry.draws++;
+    byAgent.set(row.agent_id, entry);
+  }
+
+  return [...byAgent.values()]
+    .sort((a, b) => b.elo_rating - a.elo_rating || b.games_played - a.games_played)
+    .map((entry, i) => ({ rank: i + 1, ...entry }));
+}
+
+export default {
+  DEFAULT_GAME_TYPE,
+  INITIAL_RATING,
+  PROVISIONAL_GAMES,
+  ELITE_RATING,
+  SEASON_CARRYOVER,
+  K_FACTORS,
+  expectedScore,
+  isProvisional,
+  kFactor,
+  softReset,
+  seasonStandings,
+  rateMatch
+};
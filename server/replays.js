@@ -0,0 +1,330 @@
+/**
+ * The Alignment Protocol - Replay Format (.aprep)
+ *
+ * A replay is the match's settings (seed, ruleset, map, players) and the list of actions
+ * taken, plus its recorded result. Every state along the way is rebuilt by re-running the
+ * actions through the engine, which is deterministic for a given seed, so a replay stays
+ * a few kilobytes however large the grid. Optional keyframes carry the grid snapshots
+ * stored along the way (at most one every N actions), as checkpoints for verification
+ * and for players that want to seek.
+ *
+ *   {
+ *     format: 'aprep', version: 1,
+ *     match:   { id, players, seed, ruleset, rules, map, mapData, starts, teams, turnMode, fogOfWar, randomizeTurnOrder, startedAt, endedAt },
+ *     agents:  { [agentId]: { name, model } },
+ *     actions: [{ turn, agentId, move, monologue }],
+ *     keyframes: [{ action, turn, grid }],   // grid after actions[action]
+ *     result:  { status, winner, winners, winReason, turns }
+ *   }
+ */
+
+import { recreateMatch, processMove } from './game/engine.js';
+
+export const REPLAY_FORMAT = 'aprep';
+export const REPLAY_VERSION = 1;
+export const MAX_REPLAY_ACTIONS = 3000;
+const MAX_REPORTED_DESYNCS = 20;
+
+/**
+ * Outcome fields compared when verifying
+ */
+function outcomeOf(state) {
+  return {
+    status: state.status,
+    winner: state.winner || null,
+    winners: state.winners || [],
+    winReason: state.winReason || null,
+    turns: state.turn
+  };
+}
+
+/**
+ * Deep equality for stored JSON. JSONB doesn't keep key order, so this ignores it.
+ */
+export function sameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && sameValue(a[key], b[key]));
+}
+
+/**
+ * A value as it comes back from storage (undefined fields dropped)
+ */
+const stored = (value) => JSON.parse(JSON.stringify(value ?? null));
+
+/**
+ * Build a replay from a stored match and its logs
+ * @param {object} match - matches row with game_state (id, players, started_at, ended_at)
+ * @param {object[]} logs - Its game_logs rows (id, turn, agent_id, action, grid_state)
+ * @param {object[]} [thoughts] - Its agent_thoughts rows (turn, agent_id, monologue)
+ * @param {object} [agents] - agentId -> { name, model }
+ * @param {object} [options] - { keyframeInterval: include a stored grid snapshot at most every N actions (0 = none) }
+ */
+export function buildReplay(match, logs, thoughts = [], agents = {}, { keyframeInterval = 0 } = {}) {
+  const state = match.game_state;
+  const monologues = new Map(thoughts.map(t => [`${t.turn}:${t.agent_id}`, t.monologue]));
+  const ordered = [...logs].sort((a, b) => a.id - b.id);
+
+  const keyframes = [];
+  let lastKeyframe = -1;
+  const actions = ordered.map((log, i) => {
+    if (keyframeInterval > 0 && log.grid_state && i - lastKeyframe >= keyframeInterval) {
+      keyframes.push({ action: i, turn: log.turn, grid: log.grid_state });
+      lastKeyframe = i;
+    }
+    return {
+      turn: log.turn,
+      agentId: log.agent_id,
+      move: log.action,
+      monologue: monologues.get(`${log.turn}:${log.agent_id}`) ?? null
+    };
+  });
+
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    match: {
+      id: match.id,
+      players: match.players,
+      seed: state.seed,
+      ruleset: state.ruleset,
+      rules: state.rules,
+      map: state.map,
+      mapData: state.mapData || null, // Custom maps only
+      starts: state.starts || null, // Only when the match overrode the map's starts
+      teams: state.teams || null,
+      turnMode: state.turnMode || 'alternating',
+      fogOfWar: !!state.fogOfWar,
+      randomizeTurnOrder: true, // The server lets the seed pick who moves first
+      startedAt: match.started_at || null,
+      endedAt: match.ended_at || null
+    },
+    agents: Object.fromEntries((match.players || []).map(id => [id, {
+      name: agents[id]?.name || null,
+      model: agents[id]?.model || null
+    }])),
+    actions,
+    keyframes,
+    result: outcomeOf(state)
+  };
+}
+
+/**
+ * Check a replay's shape before running it
+ * @returns {string|null} What's wrong, or null
+ */
+export function validateReplay(replay) {
+  if (!replay || typeof replay !== 'object') return 'Replay must be a JSON object';
+  if (replay.format !== REPLAY_FORMAT) return `Not an ${REPLAY_FORMAT} replay`;
+  if (replay.version !== REPLAY_VERSION) return `Unsupported replay version: ${replay.version} (this server reads version ${REPLAY_VERSION})`;
+  if (!replay.match || replay.match.seed === undefined || !Array.isArray(replay.match.players)) {
+    return 'match.seed and match.players are required';
+  }
+  if (!Array.isArray(replay.actions)) return 'actions must be a list';
+  if (replay.actions.length > MAX_REPLAY_ACTIONS) return `Replays are limited to ${MAX_REPLAY_ACTIONS} actions`;
+  if (replay.keyframes !== undefined && !Array.isArray(replay.keyframes)) return 'keyframes must be a list';
+  return null;
+}
+
+/**
+ * Opening state of a replay's match
+ */
+export function replayOpening(replay) {
+  const { match } = replay;
+  return recreateMatch(
+    {
+      id: match.id,
+      seed: match.seed,
+      map: match.map,
+      mapData: match.mapData,
+      starts: match.starts,
+      ruleset: match.ruleset,
+      rules: match.rules,
+      teams: match.teams,
+      turnMode: match.turnMode,
+      fogOfWar: match.fogOfWar
+    },
+    match.players,
+    { randomizeTurnOrder: !!match.randomizeTurnOrder }
+  );
+}
+
+/**
+ * Re-run a replay through the engine, yielding after every action
+ * @yields {{ index, action, result, state }} result is processMove's, state is live (copy it to keep it)
+ */
+export function* playReplay(replay) {
+  const state = replayOpening(replay);
+  for (const [index, action] of replay.actions.entries()) {
+    const { newState, ...result } = processMove(state, action.agentId, action.move);
+    yield { index, action, result, state };
+  }
+}
+
+/**
+ * Re-run a replay and check it reaches its keyframes and recorded result
+ * @returns {{ valid, errors, recorded, recomputed, actions }}
+ */
+export function verifyReplay(replay) {
+  const invalid = validateReplay(replay);
+  if (invalid) {
+    return { valid: false, errors: [invalid], recorded: replay?.result || null, recomputed: null, actions: 0 };
+  }
+
+  const errors = [];
+  const keyframes = new Map((replay.keyframes || []).map(k => [k.action, k]));
+  let state = null;
+  let played = 0;
+
+  try {
+    for (const step of playReplay(replay)) {
+      state = step.state;
+      played++;
+      if (!step.result.success) {
+        errors.push(`Action ${step.index} (turn ${step.action.turn}, ${step.action.agentId}) was rejected: ${step.result.error}`);
+        break;
+      }
+      const keyframe = keyframes.get(step.index);
+      if (keyframe && !sameValue(keyframe.grid, stored(state.grid))) {
+        errors.push(`Grid differs from keyframe after action ${step.index} (turn ${keyframe.turn})`);
+      }
+    }
+    state ??= replayOpening(replay);
+  } catch (err) {
+    errors.push(`Replay could not be run: ${err.message}`);
+  }
+
+  const recomputed = state ? outcomeOf(state) : null;
+  if (recomputed && replay.result) {
+    for (const key of ['status', 'winner', 'winReason', 'turns']) {
+      if (replay.result[key] !== undefined && !sameValue(replay.result[key], recomputed[key])) {
+        errors.push(`Recorded ${key} ${JSON.stringify(replay.result[key])}, replay gives ${JSON.stringify(recomputed[key])}`);
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors, recorded: replay.result || null, recomputed, actions: played };
+}
+
+/**
+ * A stored match's grid turn by turn, for the replay viewer: the opening grid and the
+ * sectors each turn changed. The grids come from re-running the logs through the
+ * engine, or for matches it can't recreate (custom maps from before the state kept
+ * them) from their stored snapshots.
+ * @param {object} match - matches row (players, game_state)
+ * @param {object[]} logs - Its game_logs rows (id, turn, agent_id, action, grid_state)
+ * @returns {{ opening: object|null, changes: Map<number, object> }} changes maps turn -> { sectorId: sector }
+ */
+export function gridChangesByTurn(match, logs) {
+  let state = null;
+  try {
+    state = recreateMatch(match.game_state, match.players, { randomizeTurnOrder: true });
+  } catch {
+    // Fall back to the snapshots
+  }
+
+  const opening = state ? stored(state.grid) : null;
+  const changes = new Map();
+  const ordered = [...logs].sort((a, b) => a.id - b.id);
+  let previous = opening || {};
+
+  for (const [i, log] of ordered.entries()) {
+    if (state) processMove(state, log.agent_id, log.action);
+    if (ordered[i + 1]?.turn === log.turn) continue;
+
+    const grid = state ? stored(state.grid) : log.grid_state;
+    if (!grid) continue;
+    changes.set(log.turn, Object.fromEntries(
+      Object.entries(grid).filter(([id, sector]) => !sameValue(sector, previous[id]))
+    ));
+    previous = grid;
+  }
+  return { opening, changes };
+}
+
+/**
+ * Check a stored match against its own logs: re-run every game_logs row through
+ * processMove from the opening state and flag each one whose recomputed result or
+ * grid (where a snapshot was stored) differs from what was stored. After the first desync the two histories have
+ * split, so later rows are compared against the recomputed line of play.
+ * @param {object} match - matches row (id, status, winner, players, game_state)
+ * @param {object[]} logs - Its game_logs rows (id, turn, agent_id, action, result, grid_state)
+ * @returns {object} { matchId, status: 'ok'|'desync'|'unverifiable', checkedActions, desyncCount, desyncs, errors }
+ */
+export function verifyMatchLogs(match, logs, { maxReported = MAX_REPORTED_DESYNCS } = {}) {
+  const report = { matchId: match.id, status: 'ok', checkedActions: 0, desyncCount: 0, desyncs: [], errors: [] };
+  const unverifiable = (error) => ({ ...report, status: 'unverifiable', errors: [error] });
+
+  if (!match.game_state || !Array.isArray(match.players)) {
+    return unverifiable('Match has no stored game state');
+  }
+
+  let state;
+  try {
+    state = recreateMatch(match.game_state, match.players, { randomizeTurnOrder: true });
+  } catch (err) {
+    return unverifiable(err.message);
+  }
+
+  const flag = (desync) => {
+    report.desyncCount++;
+    if (report.desyncs.length < maxReported) report.desyncs.push(desync);
+  };
+
+  for (const [index, log] of [...logs].sort((a, b) => a.id - b.id).entries()) {
+    const { newState, ...result } = processMove(state, log.agent_id, log.action);
+    report.checkedActions++;
+
+    const recomputed = stored(result);
+    const differentKeys = [...new Set([...Object.keys(recomputed), ...Object.keys(log.result || {})])]
+      .filter(key => !sameValue(recomputed[key], log.result?.[key]));
+    // Only some rows carry a grid snapshot
+    let differentSectors = [];
+    if (log.grid_state) {
+      const grid = stored(state.grid);
+      differentSectors = Object.keys({ ...grid, ...log.grid_state })
+        .filter(id => !sameValue(grid[id], log.grid_state[id]));
+    }
+
+    if (differentKeys.length || differentSectors.length) {
+      flag({
+        index,
+        turn: log.turn,
+        agentId: log.agent_id,
+        action: log.action,
+        resultFields: differentKeys,
+        sectors: differentSectors,
+        ...(result.success ? {} : { rejected: result.error })
+      });
+    }
+  }
+
+  const outcome = outcomeOf(state);
+  if (match.status === 'complete') {
+    for (const key of ['status', 'winner', 'winReason']) {
+      const recorded = key === 'winner' ? match.winner ?? null : match.game_state[key] ?? null;
+      if (!sameValue(recorded, outcome[key])) {
+        report.errors.push(`Recorded ${key} ${JSON.stringify(recorded)}, logs give ${JSON.stringify(outcome[key])}`);
+      }
+    }
+  }
+
+  if (report.desyncCount || report.errors.length) report.status = 'desync';
+  return report;
+}
+
+export default {
+  REPLAY_FORMAT,
+  REPLAY_VERSION,
+  buildReplay,
+  validateReplay,
+  replayOpening,
+  playReplay,
+  verifyReplay,
+  sameValue,
+  gridChangesByTurn,
+  verifyMatchLogs
+};
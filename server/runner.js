@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+/**
+ * The Alignment Protocol - Headless Match Runner
+ *
+ * Plays agents against each other on the game engine alone - no Supabase, no network.
+ *
+ *   node runner.js <agent> <agent> [...agents] [options]
+ *
+ * An agent is one of:
+ *   ./path/to/agent.mjs  ES module exporting decide({ matchId, agentId, state, validActions })
+ *                        -> { monologue, move } (or a createAgent() factory returning such a function)
+ *   "cmd:python bot.py"  Child process speaking JSON lines: it reads one YOUR_TURN / GAME_END
+ *                        message per line on stdin and answers each YOUR_TURN with one
+ *                        { "monologue": "...", "move": {...} } line on stdout
+ *   random | greedy-expander | purge-maximizer | pacifist
+ *                        Built-in house bots (see bots.js)
+ *
+ * Options:
+ *   --games N        Matches to play (default 10)
+ *   --seed S         Base seed; match i uses "S-i" (default: random)
+ *   --timeout MS     Per-turn decision limit; late agents SKIP (default 30000)
+ *   --max-turns T    Turn limit for rulesets without one (default 200)
+ *   --out DIR        Write one JSON log per match plus summary.json
+ *   --ruleset NAME   Ruleset preset (see rulesets.js)
+ *   --map NAME       Map generator (see maps.js)
+ *   --turn-mode M    alternating | simultaneous
+ *   --fog            Enable fog of war
+ */
+
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import { mkdirSync, writeFileSync } from 'fs';
+import { basename, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { initMatch, processMove, getPublicState, getAwaitingPlayers, getValidActions } from './game/engine.js';
+import { randomSeed } from './game/rng.js';
+import { HOUSE_BOTS } from './bots.js';
+
+const DEFAULTS = {
+  games: 10,
+  timeout: 30000,
+  maxTurns: 200
+};
+
+// ============================================
+// Agents
+// ============================================
+
+/**
+ * Child process agent speaking JSON lines over stdin/stdout
+ */
+function createProcessAgent(command, label) {
+  const child = spawn(command, { shell: true, stdio: ['pipe', 'pipe', 'pipe'] });
+  const lines = createInterface({ input: child.stdout });
+  const waiting = [];
+
+  lines.on('line', (line) => {
+    const next = waiting.shift();
+    if (!next) return; // Unrequested output is ignored
+    try {
+      next.resolve(JSON.parse(line));
+    } catch (err) {
+      next.reject(new Error(`Invalid JSON from agent: ${line.slice(0, 200)}`));
+    }
+  });
+
+  child.stderr.on('data', (data) => {
+    process.stderr.write(`[${label}] ${data}`);
+  });
+
+  child.on('exit', () => {
+    for (const next of waiting.splice(0)) {
+      next.reject(new Error('Agent process exited'));
+    }
+  });
+
+  const send = (message) => {
+    if (child.exitCode === null) {
+      child.stdin.write(JSON.stringify(message) + '\n');
+    }
+  };
+
+  return {
+    decide(turn) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        send({ type: 'YOUR_TURN', ...turn });
+      });
+    },
+    gameEnd(summary) {
+      send({ type: 'GAME_END', ...summary });
+    },
+    close() {
+      // A late answer must not be mistaken for the reply to the next match's first turn
+      waiting.splice(0);
+      child.stdin.end();
+      child.kill();
+    }
+  };
+}
+
+/**
+ * Resolve an agent spec to a factory producing one agent per match
+ * @returns {Promise<{ label: string, create: (seed: string) => object }>}
+ */
+async function loadAgent(spec) {
+  if (HOUSE_BOTS[spec]) {
+    return { label: spec, create: (seed) => ({ decide: HOUSE_BOTS[spec].create(seed) }) };
+  }
+
+  if (spec.startsWith('cmd:')) {
+    const command = spec.slice(4);
+    const label = basename(command.split(/\s+/).pop()).replace(/\.\w+$/, '');
+    return { label, create: () => createProcessAgent(command, label) };
+  }
+
+  const mod = await import(pathToFileURL(resolve(spec)).href);
+  const label = basename(spec).replace(/\.m?js$/, '');
+
+  if (typeof mod.createAgent === 'function') {
+    return {
+      label,
+      create: (seed) => {
+        const agent = mod.createAgent(seed);
+        return typeof agent === 'function' ? { decide: agent } : agent;
+      }
+    };
+  }
+
+  const decide = mod.decide || mod.default?.decide || mod.default;
+  if (typeof decide !== 'function') {
+    throw new Error(`${spec} must export decide(), a default function, or createAgent()`);
+  }
+  return { label, create: () => ({ decide }) };
+}
+
+// ============================================
+// Matches
+// ============================================
+
+/**
+ * Ask an agent for a move, giving up after `timeout` ms
+ */
+async function askAgent(agent, turn, timeout) {
+  let timer;
+  const expired = new Promise((resolve) => {
+    timer = setTimeout(() => resolve({ timedOut: true }), timeout);
+  });
+
+  try {
+    return await Promise.race([Promise.resolve(agent.decide(turn)), expired]);
+  } catch (err) {
+    return { error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Play one match to completion
+ * @param {object[]} seats - [{ id, agent }]
+ * @returns {Promise<object>} The match log
+ */
+export async function runMatch(seats, { seed, timeout = DEFAULTS.timeout, matchOptions = {} } = {}) {
+  const playerIds = seats.map(s => s.id);
+  const agents = Object.fromEntries(seats.map(s => [s.id, s.agent]));
+  const state = initMatch(playerIds, { randomizeTurnOrder: true, ...matchOptions, seed });
+  const moves = [];
+
+  const playTurn = async (agentId) => {
+    const turn = {
+      matchId: state.id,
+      agentId,
+      state: getPublicState(state, agentId),
+      validActions: getValidActions(state, agentId)
+    };
+
+    const started = Date.now();
+    const reply = await askAgent(agents[agentId], turn, timeout);
+    const elapsedMs = Date.now() - started;
+
+    return { agentId, reply, elapsedMs, turn: state.turn };
+  };
+
+  while (state.status === 'active') {
+    // Simultaneous agents decide at the same time, blind to each other
+    const replies = await Promise.all(getAwaitingPlayers(state).map(playTurn));
+
+    for (const { agentId, reply, elapsedMs, turn } of replies) {
+      const entry = { turn, agentId, monologue: reply.monologue || null, move: reply.move || null, elapsedMs };
+
+      if (reply.timedOut || reply.error || !reply.move) {
+        entry.skipped = reply.timedOut ? 'timeout' : (reply.error || 'no move');
+      } else {
+        const result = processMove(state, agentId, reply.move);
+        if (result.success) {
+          const { newState, ...rest } = result;
+          entry.result = rest;
+        } else {
+          entry.skipped = `rejected: ${result.error}`;
+        }
+      }
+
+      // Like the server, a turn without a valid move is a SKIP
+      if (entry.skipped) {
+        const { newState, ...rest } = processMove(state, agentId, { action: 'SKIP' });
+        entry.result = rest;
+      }
+
+      moves.push(entry);
+    }
+  }
+
+  for (const { id, agent } of seats) {
+    agent.gameEnd?.({ matchId: state.id, winner: state.winner, youWon: state.winners.includes(id) });
+  }
+
+  return {
+    matchId: state.id,
+    seed: String(state.seed),
+    options: matchOptions,
+    players: playerIds,
+    turnOrder: Object.keys(state.players),
+    winner: state.winner,
+    winners: state.winners,
+    winReason: state.winReason,
+    turns: state.turn,
+    moves,
+    finalState: getPublicState(state)
+  };
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function parseArgs(argv) {
+  const args = { agents: [], matchOptions: {}, ...DEFAULTS };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--games': args.games = parseInt(value()); break;
+      case '--seed': args.seed = value(); break;
+      case '--timeout': args.timeout = parseInt(value()); break;
+      case '--max-turns': args.maxTurns = parseInt(value()); break;
+      case '--out': args.out = value(); break;
+      case '--ruleset': args.matchOptions.ruleset = value(); break;
+      case '--map': args.matchOptions.map = value(); break;
+      case '--turn-mode': args.matchOptions.turnMode = value(); break;
+      case '--fog': args.matchOptions.fogOfWar = true; break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        args.agents.push(arg);
+    }
+  }
+
+  if (args.agents.length < 2) {
+    throw new Error('Usage: node runner.js <agent> <agent> [...agents] [--games N] [--seed S] [--timeout MS] [--out DIR]');
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const baseSeed = args.seed ?? String(randomSeed());
+  const specs = await Promise.all(args.agents.map(loadAgent));
+
+  // The same agent may play itself, so seats are numbered
+  const ids = specs.map((spec, i) => `${i + 1}-${spec.label}`);
+
+  // Games always end: rulesets without a turn limit get one
+  const matchOptions = { ...args.matchOptions };
+  if (args.maxTurns) {
+    matchOptions.rules = { TURN_LIMIT: args.maxTurns };
+  }
+
+  if (args.out) {
+    mkdirSync(args.out, { recursive: true });
+  }
+
+  const stats = Object.fromEntries(ids.map(id => [id, { wins: 0, timeouts: 0, rejected: 0 }]));
+  let draws = 0;
+  let totalTurns = 0;
+
+  console.log(`[RUNNER] ${ids.join(' vs ')} | ${args.games} games | seed ${baseSeed}`);
+
+  for (let game = 0; game < args.games; game++) {
+    const seed = `${baseSeed}-${game}`;
+    const seats = specs.map((spec, i) => ({ id: ids[i], agent: spec.create(seed) }));
+
+    let log;
+    try {
+      log = await runMatch(seats, { seed, timeout: args.timeout, matchOptions });
+    } finally {
+      for (const { agent } of seats) agent.close?.();
+    }
+
+    totalTurns += log.turns;
+    if (log.winner) {
+      for (const id of log.winners) stats[id].wins++;
+    } else {
+      draws++;
+    }
+    for (const move of log.moves) {
+      if (move.skipped === 'timeout') stats[move.agentId].timeouts++;
+      else if (move.skipped?.startsWith('rejected')) stats[move.agentId].rejected++;
+    }
+
+    console.log(`[RUNNER] Game ${game + 1}/${args.games} (seed ${seed}): ${log.winner || 'draw'} | ${log.winReason} | ${log.turns} turns`);
+
+    if (args.out) {
+      writeFileSync(join(args.out, `match-${seed}.json`), JSON.stringify(log, null, 2));
+    }
+  }
+
+  const summary = {
+    seed: baseSeed,
+    games: args.games,
+    draws,
+    averageTurns: args.games ? totalTurns / args.games : 0,
+    agents: Object.fromEntries(ids.map(id => [id, { ...stats[id], winRate: stats[id].wins / args.games }]))
+  };
+
+  console.log('\n[RUNNER] Results');
+  for (const [id, s] of Object.entries(summary.agents)) {
+    console.log(`  ${id.padEnd(24)} ${(s.winRate * 100).toFixed(1).padStart(5)}% wins  (${s.wins}W, ${s.timeouts} timeouts, ${s.rejected} rejected)`);
+  }
+  console.log(`  Draws: ${draws} | Average game length: ${summary.averageTurns.toFixed(1)} turns`);
+
+  if (args.out) {
+    writeFileSync(join(args.out, 'summary.json'), JSON.stringify(summary, null, 2));
+  }
+}
+
+// Run as a CLI, but stay importable
+if (process.argv[1] && resolve(process.argv[1]) === resolve(new URL(import.meta.url).pathname)) {
+  main().catch((err) => {
+    console.error(`[RUNNER] ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,219 @@
+/**
+ * Season Service - rating seasons, soft resets and archived standings
+ *
+ * A season is a stretch of rated play for one game type, stored in `seasons`. The
+ * matchmaker loop calls runSeasons(): it opens the first season, and once the active
+ * one has run its course it archives the final leaderboard to `season_standings`,
+ * softly resets every rating (ratings.js softReset) and opens the next. A season's
+ * record for each agent is read from the rating_history rows inside its dates.
+ */
+
+import { DEFAULT_GAME_TYPE, SEASON_CARRYOVER, softReset, seasonStandings } from './ratings.js';
+import { repositories } from './storage/repositories.js';
+
+const DEFAULT_SEASON_DAYS = 90;
+
+export class SeasonService {
+  /**
+   * @param {object} db - Storage client
+   * @param {MatchService} matchService - Its rating lock keeps resets and rated results apart
+   * @param {object} [options]
+   * @param {number} [options.seasonDays=90] - Season length (0 = one season that never ends)
+   * @param {number} [options.carryover=0.5] - Share of each rating's distance from the start kept across a reset
+   * @param {Function} [options.onSeasonEnded] - (season, standings, nextSeason)
+   */
+  constructor(db, matchService, options = {}) {
+    this.db = db;
+    this.repos = repositories(db);
+    this.matchService = matchService;
+    this.seasonDays = options.seasonDays ?? DEFAULT_SEASON_DAYS;
+    this.carryover = options.carryover ?? SEASON_CARRYOVER;
+    this.onSeasonEnded = options.onSeasonEnded || (() => {});
+    this.running = false;
+  }
+
+  async getCurrentSeason(gameType = DEFAULT_GAME_TYPE) {
+    const { data } = await this.db
+      .from('seasons')
+      .select('*')
+      .eq('game_type', gameType)
+      .eq('status', 'active')
+      .maybeSingle();
+    return data;
+  }
+
+  async getSeason(number, gameType = DEFAULT_GAME_TYPE) {
+    const { data } = await this.db
+      .from('seasons')
+      .select('*')
+      .eq('game_type', gameType)
+      .eq('number', number)
+      .maybeSingle();
+    return data;
+  }
+
+  async listSeasons(gameType = DEFAULT_GAME_TYPE) {
+    const { data } = await this.db
+      .from('seasons')
+      .select('*')
+      .eq('game_type', gameType)
+      .order('number', { ascending: false });
+    return data || [];
+  }
+
+  /**
+   * Called by the matchmaker loop: open the first season, or roll over one that is due
+   */
+  async runSeasons(gameType = DEFAULT_GAME_TYPE) {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const current = await this.getCurrentSeason(gameType);
+      if (!current) {
+        const [last] = await this.listSeasons(gameType);
+        await this.startSeason(gameType, (last?.number || 0) + 1);
+        return;
+      }
+
+      if (current.ends_at && new Date(current.ends_at) <= new Date()) {
+        const standings = await this.endSeason(current);
+        const next = await this.startSeason(gameType, current.number + 1);
+        this.onSeasonEnded(current, standings, next);
+      }
+    } catch (err) {
+      console.error('[SEASON] Error:', err);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async startSeason(gameType, number) {
+    const startsAt = new Date();
+    const { data: season, error } = await this.db
+      .from('seasons')
+      .insert({
+        game_type: gameType,
+        number,
+        name: `Season ${number}`,
+        status: 'active',
+        starts_at: startsAt.toISOString(),
+        ends_at: this.seasonDays ? new Date(startsAt.getTime() + this.seasonDays * 86400000).toISOString() : null,
+        carryover: this.carryover
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[SEASON] Failed to start season:', error);
+      return null;
+    }
+    console.log(`[SEASON] ${season.name} (${gameType}) started${season.ends_at ? `, ends ${season.ends_at}` : ''}`);
+    return season;
+  }
+
+  /**
+   * Archive the final standings and softly reset every rating. Runs under the rating
+   * lock so no match is rated half in one season and half in the next. Nothing is reset
+   * unless the standings were archived; runSeasons retries on its next pass.
+   */
+  endSeason(season) {
+    return this.matchService.serialize('ratings', async () => {
+      const endedAt = new Date().toISOString();
+      const carryover = season.carryover ?? this.carryover;
+      const standings = await this.computeStandings(season, endedAt);
+
+      if (standings.length) {
+        const { error } = await this.db
+          .from('season_standings')
+          .insert(standings.map(s => ({ season_id: season.id, ...s })));
+        if (error) {
+          throw new Error(`Failed to archive standings for ${season.name}: ${error.message}`);
+        }
+      }
+
+      const { data: ratings, error: statsError } = await this.db
+        .from('agent_stats')
+        .select('agent_id, elo_rating')
+        .eq('game_type', season.game_type);
+      if (statsError) {
+        throw new Error(`Failed to load ratings for ${season.name}: ${statsError.message}`);
+      }
+
+      let reset = 0;
+      for (const row of ratings || []) {
+        const rating = softReset(row.elo_rating, carryover);
+        if (rating === row.elo_rating) continue;
+
+        await this.db
+          .from('agent_stats')
+          .update({ elo_rating: rating, updated_at: endedAt })
+          .eq('agent_id', row.agent_id)
+          .eq('game_type', season.game_type);
+
+        if (season.game_type === DEFAULT_GAME_TYPE) {
+          await this.repos.agents.update(row.agent_id, { elo_rating: rating });
+        }
+        reset++;
+      }
+
+      // The default game type's rating also lives on the agent, including agents that
+      // have no agent_stats row (rated before it existed)
+      if (season.game_type === DEFAULT_GAME_TYPE) {
+        const withStats = new Set((ratings || []).map(r => r.agent_id));
+        const { data: agents } = await this.repos.agents.all('id, elo_rating');
+        for (const agent of agents || []) {
+          if (withStats.has(agent.id) || agent.elo_rating === null || agent.elo_rating === undefined) continue;
+          const rating = softReset(agent.elo_rating, carryover);
+          if (rating === agent.elo_rating) continue;
+          await this.repos.agents.update(agent.id, { elo_rating: rating });
+          reset++;
+        }
+      }
+
+      const { error: closeError } = await this.db
+        .from('seasons')
+        .update({ status: 'complete', ended_at: endedAt })
+        .eq('id', season.id);
+      if (closeError) {
+        throw new Error(`Failed to close ${season.name}: ${closeError.message}`);
+      }
+
+      console.log(`[SEASON] ${season.name} (${season.game_type}) ended: ${standings.length} ranked, ${reset} ratings reset`);
+      return standings;
+    });
+  }
+
+  /**
+   * Standings from the season's rated results (up to `until` for a season still running)
+   */
+  async computeStandings(season, until = null) {
+    let query = this.db
+      .from('rating_history')
+      .select('agent_id, result, rating_after, created_at')
+      .eq('game_type', season.game_type)
+      .gte('created_at', season.starts_at);
+    const end = season.ended_at || until;
+    if (end) query = query.lte('created_at', end);
+
+    const { data: history } = await query.order('created_at', { ascending: true });
+    return seasonStandings(history || []);
+  }
+
+  /**
+   * A season's leaderboard: archived once it's over, computed live while it runs
+   */
+  async getStandings(season) {
+    if (season.status === 'active') {
+      return this.computeStandings(season);
+    }
+
+    const { data } = await this.db
+      .from('season_standings')
+      .select('rank, agent_id, elo_rating, games_played, wins, losses, draws')
+      .eq('season_id', season.id)
+      .order('rank', { ascending: true });
+    return data || [];
+  }
+}
+
+export default SeasonService;
@@ -0,0 +1,55 @@
+/**
+ * The Alignment Protocol - Storage
+ *
+ * The server never talks to Supabase directly: it gets a storage client from
+ * createStorage() and reads and writes through the repositories built on it
+ * (./repositories.js). Every backend speaks the supabase-js query builder subset
+ * (from/select/insert/update/delete/filters/rpc), so the hosted database and the
+ * local stores are interchangeable.
+ *
+ * Selected by STORAGE:
+ *   supabase  Hosted Postgres (SUPABASE_URL + SUPABASE_SERVICE_KEY)
+ *   sqlite    Single-file database (SQLITE_FILE, default local-db.sqlite). Needs better-sqlite3.
+ *   memory    In-process store, no external service. MEMORY_STORAGE_FILE keeps it on disk.
+ * Default: supabase when SUPABASE_URL is set, otherwise memory.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { MemoryStorage } from './memory.js';
+import { SqliteStorage } from './sqlite.js';
+
+export const STORAGE_BACKENDS = ['supabase', 'sqlite', 'memory'];
+
+/**
+ * Create the storage client for the configured backend
+ * @param {object} [options] - { backend, url, serviceKey, file }, defaulting to the environment
+ */
+export function createStorage(options = {}) {
+  const backend = options.backend || process.env.STORAGE || (process.env.SUPABASE_URL ? 'supabase' : 'memory');
+
+  switch (backend) {
+    case 'supabase': {
+      const url = options.url || process.env.SUPABASE_URL;
+      const serviceKey = options.serviceKey || process.env.SUPABASE_SERVICE_KEY;
+      if (!url || !serviceKey) {
+        throw new Error('STORAGE=supabase needs SUPABASE_URL and SUPABASE_SERVICE_KEY');
+      }
+      console.log('[STORAGE] Using Supabase');
+      return createClient(url, serviceKey);
+    }
+    case 'sqlite': {
+      const file = options.file ?? process.env.SQLITE_FILE ?? 'local-db.sqlite';
+      console.log(`[STORAGE] Using SQLite (${file})`);
+      return new SqliteStorage({ file });
+    }
+    case 'memory': {
+      const file = options.file ?? process.env.MEMORY_STORAGE_FILE ?? null;
+      console.log(`[STORAGE] Using in-memory store${file ? ` (persisted to ${file})` : ' (data is lost on restart)'}`);
+      return new MemoryStorage({ file });
+    }
+    default:
+      throw new Error(`Unknown STORAGE backend: ${backend}. Available: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+}
+
+export default createStorage;
@@ -0,0 +1,239 @@
+/**
+ * The Alignment Protocol - In-Memory Storage
+ *
+ * A local stand-in for Supabase: tables of plain rows behind the shared query
+ * builder (./query.js), plus rpc() for the database functions. Queries resolve to
+ * { data, error } (and count) like the real client, so callers cannot tell the
+ * backends apart.
+ *
+ * Rows are copied on the way in and out - mutating a result never touches the store.
+ * Pass `file` to keep the data across restarts (written on each change, debounced).
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { v4 as uuid } from 'uuid';
+import { Query, storageError } from './query.js';
+import { TABLES } from './tables.js';
+
+const now = () => new Date().toISOString();
+
+/**
+ * Database functions callable through rpc(), mirroring the SQL functions of the same name
+ */
+export const MEMORY_FUNCTIONS = {
+  increment_agent_stats(store, { agent_id, won }) {
+    const agent = store.table('agents').find(a => a.id === agent_id);
+    if (!agent) return null;
+    if (won) agent.wins = (agent.wins || 0) + 1;
+    else agent.losses = (agent.losses || 0) + 1;
+    return null;
+  },
+
+  update_agent_last_seen(store, { p_agent_id }) {
+    const agent = store.table('agents').find(a => a.id === p_agent_id);
+    if (agent) agent.last_seen_at = now();
+    return null;
+  }
+};
+
+/**
+ * How each filter tests a row's value against the filter's value
+ */
+const MATCHERS = {
+  eq: (v, x) => v === x,
+  neq: (v, x) => v !== x,
+  gt: (v, x) => v !== null && v !== undefined && v > x,
+  gte: (v, x) => v !== null && v !== undefined && v >= x,
+  lt: (v, x) => v !== null && v !== undefined && v < x,
+  lte: (v, x) => v !== null && v !== undefined && v <= x,
+  in: (v, xs) => xs.includes(v),
+  is: (v, x) => (v ?? null) === x,
+  contains: (v, xs) => Array.isArray(v) && xs.every(x => v.includes(x))
+};
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1; // Postgres sorts nulls last ascending
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * In-memory database: tables of plain rows plus the rpc functions
+ */
+export class MemoryStorage {
+  constructor({ file = null } = {}) {
+    this.file = file;
+    this.tables = {};
+    this.sequences = {};
+    this.saveTimer = null;
+
+    if (file && existsSync(file)) {
+      const saved = JSON.parse(readFileSync(file, 'utf8'));
+      this.tables = saved.tables || {};
+      this.sequences = saved.sequences || {};
+      console.log(`[STORAGE] Loaded ${file}`);
+    }
+
+    if (file) {
+      // Write out the pending save before the process goes away
+      process.once('exit', () => this.flush());
+      for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+          this.flush();
+          process.exit(0);
+        });
+      }
+    }
+  }
+
+  from(table) {
+    return new Query(this, table);
+  }
+
+  execute(query) {
+    let rows;
+    let count = null;
+    switch (query.operation) {
+      case 'select': {
+        rows = this.matching(query);
+        count = rows.length;
+        if (query.orders.length) {
+          rows = [...rows].sort((a, b) => {
+            for (const { column, ascending } of query.orders) {
+              const diff = compare(a[column], b[column]);
+              if (diff) return ascending ? diff : -diff;
+            }
+            return 0;
+          });
+        }
+        if (query.limitCount !== null) rows = rows.slice(0, query.limitCount);
+        break;
+      }
+      case 'insert':
+      case 'upsert': {
+        const written = this.write(query.table, query.payload, query.operation === 'upsert' ? (query.onConflict || ['id']) : null);
+        if (written.error) return { data: null, error: written.error };
+        rows = written.rows;
+        break;
+      }
+      case 'update': {
+        rows = this.matching(query);
+        const values = structuredClone(query.payload);
+        const error = this.checkUnique(query.table, rows.map(row => ({ ...row, ...values })), rows);
+        if (error) return { data: null, error };
+        for (const row of rows) Object.assign(row, structuredClone(values));
+        this.changed();
+        break;
+      }
+      case 'delete': {
+        rows = this.matching(query);
+        this.remove(query.table, rows);
+        break;
+      }
+    }
+    return query.result(rows, count);
+  }
+
+  matching(query) {
+    return this.table(query.table).filter(row =>
+      query.filters.every(({ op, column, value }) => MATCHERS[op](row[column], value))
+    );
+  }
+
+  async rpc(name, params = {}) {
+    const fn = MEMORY_FUNCTIONS[name];
+    if (!fn) {
+      return { data: null, error: storageError(`Could not find the function ${name}`, 'PGRST202') };
+    }
+    const data = fn(this, params);
+    this.changed();
+    return { data, error: null };
+  }
+
+  table(name) {
+    if (!this.tables[name]) this.tables[name] = [];
+    return this.tables[name];
+  }
+
+  nextId(name) {
+    const definition = TABLES[name];
+    if (definition?.id === 'serial') {
+      this.sequences[name] = (this.sequences[name] || 0) + 1;
+      return this.sequences[name];
+    }
+    return uuid();
+  }
+
+  /**
+   * Find a unique constraint the given rows would break, ignoring the rows being replaced
+   */
+  checkUnique(name, candidates, replacing = []) {
+    const keys = [['id'], ...(TABLES[name]?.unique || [])];
+    const others = this.table(name).filter(row => !replacing.includes(row));
+    const seen = [...others];
+
+    for (const candidate of candidates) {
+      for (const key of keys) {
+        if (key.some(c => candidate[c] === null || candidate[c] === undefined)) continue;
+        if (seen.some(row => key.every(c => row[c] === candidate[c]))) {
+          return storageError(`duplicate key value violates unique constraint "${name}_${key.join('_')}_key"`, '23505');
+        }
+      }
+      seen.push(candidate);
+    }
+    return null;
+  }
+
+  /**
+   * Insert rows, or with `conflictKey` update the row sharing that key (upsert)
+   */
+  write(name, payload, conflictKey) {
+    const table = this.table(name);
+    const definition = TABLES[name];
+    const inputs = (Array.isArray(payload) ? payload : [payload]).map(p => structuredClone(p));
+
+    const inserts = [];
+    const updates = [];
+    for (const input of inputs) {
+      const existing = conflictKey && table.find(row => conflictKey.every(c => row[c] === input[c]));
+      if (existing) {
+        updates.push({ row: existing, values: input });
+      } else {
+        inserts.push({ ...(definition?.defaults() || {}), id: input.id ?? this.nextId(name), ...input });
+      }
+    }
+
+    const error = this.checkUnique(
+      name,
+      [...updates.map(u => ({ ...u.row, ...u.values })), ...inserts],
+      updates.map(u => u.row)
+    );
+    if (error) return { error };
+
+    for (const { row, values } of updates) Object.assign(row, values);
+    table.push(...inserts);
+    this.changed();
+    return { rows: [...updates.map(u => u.row), ...inserts] };
+  }
+
+  remove(name, rows) {
+    this.tables[name] = this.table(name).filter(row => !rows.includes(row));
+    this.changed();
+  }
+
+  changed() {
+    if (!this.file || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), 250);
+    this.saveTimer.unref?.();
+  }
+
+  flush() {
+    if (!this.file) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    writeFileSync(this.file, JSON.stringify({ tables: this.tables, sequences: this.sequences }));
+  }
+}
+
+export default MemoryStorage;
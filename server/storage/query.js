@@ -0,0 +1,149 @@
+/**
+ * The Alignment Protocol - Query Builder
+ *
+ * The slice of the supabase-js query builder the server uses, for the local
+ * backends: from(table) with select/insert/update/upsert/delete,
+ * eq/neq/gt/gte/lt/lte/in/contains/is filters, order, limit, single/maybeSingle
+ * and select counts ({ count: 'exact', head }). A query only records what was
+ * asked for; awaiting it hands it to the backend's execute(query), whose rows
+ * come back as { data, error } (and count) like the real client.
+ */
+
+export function storageError(message, code) {
+  return { message, code, details: null, hint: null };
+}
+
+/**
+ * Parse a select() column list ('id, name' or '*') into column names, or null for all
+ */
+function parseColumns(columns) {
+  if (!columns || columns.trim() === '*') return null;
+  return columns.split(',').map(c => c.trim()).filter(Boolean);
+}
+
+function project(row, columns) {
+  const copy = structuredClone(row);
+  if (!columns) return copy;
+  return Object.fromEntries(columns.map(c => [c, copy[c] ?? null]));
+}
+
+/**
+ * One query against one table. Chain builders, then await it.
+ */
+export class Query {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.operation = 'select';
+    this.columns = null;
+    this.returning = false;
+    this.filters = []; // [{ op, column, value }]
+    this.orders = [];
+    this.limitCount = null;
+    this.cardinality = null;
+    this.counting = false;
+    this.head = false;
+  }
+
+  select(columns = '*', { count, head = false } = {}) {
+    // After insert/update/delete, select() asks for the affected rows back
+    this.returning = this.operation !== 'select';
+    this.columns = parseColumns(columns);
+    this.counting = !!count; // Every count mode is exact here
+    this.head = head;
+    return this;
+  }
+
+  insert(rows) {
+    this.operation = 'insert';
+    this.payload = rows;
+    return this;
+  }
+
+  upsert(rows, { onConflict } = {}) {
+    this.operation = 'upsert';
+    this.payload = rows;
+    this.onConflict = onConflict ? onConflict.split(',').map(c => c.trim()) : null;
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  where(op, column, value) {
+    this.filters.push({ op, column, value });
+    return this;
+  }
+
+  eq(column, value) { return this.where('eq', column, value); }
+  neq(column, value) { return this.where('neq', column, value); }
+  gt(column, value) { return this.where('gt', column, value); }
+  gte(column, value) { return this.where('gte', column, value); }
+  lt(column, value) { return this.where('lt', column, value); }
+  lte(column, value) { return this.where('lte', column, value); }
+  in(column, values) { return this.where('in', column, values); }
+  is(column, value) { return this.where('is', column, value); }
+  contains(column, values) { return this.where('contains', column, values); }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    let result;
+    try {
+      result = this.store.execute(this);
+    } catch (err) {
+      result = { data: null, error: storageError(err.message) };
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  /**
+   * Shape the rows a backend selected or wrote into the client's result
+   * @param {object[]} rows - Whole rows, already filtered, ordered and limited
+   * @param {number|null} count - Matching rows before the limit, for counted selects
+   */
+  result(rows, count = null) {
+    if (this.operation === 'select' && this.head) {
+      return { data: null, error: null, count };
+    }
+    if (this.operation !== 'select' && !this.returning) {
+      return { data: null, error: null };
+    }
+
+    const data = rows.map(row => project(row, this.columns));
+    if (this.cardinality) {
+      if (data.length === 1) return { data: data[0], error: null };
+      if (data.length === 0 && this.cardinality === 'maybeSingle') return { data: null, error: null };
+      return { data: null, error: storageError(`JSON object requested, multiple (or no) rows returned (${data.length})`, 'PGRST116') };
+    }
+    return this.counting ? { data, error: null, count } : { data, error: null };
+  }
+}
+
+export default Query;
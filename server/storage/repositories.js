@@ -0,0 +1,296 @@
+/**
+ * The Alignment Protocol - Repositories
+ *
+ * Named reads and writes for the core tables: agents, matches, game_logs,
+ * agent_thoughts, match_queue and subscribers. Callers say what they want
+ * (agents.findByApiKey, matches.findExpired) instead of building queries, so a
+ * backend only has to answer these methods. They run on any storage client from
+ * createStorage() and resolve to { data, error } like the queries they wrap.
+ *
+ * `columns` is a select() list ('id, name'); it defaults to every column.
+ */
+
+/**
+ * Agents: registration, credentials, profiles, queue flags and ratings
+ */
+export class AgentRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  findById(id, columns = '*') {
+    return this.db.from('agents').select(columns).eq('id', id).maybeSingle();
+  }
+
+  findByApiKey(apiKey, columns = '*') {
+    return this.db.from('agents').select(columns).eq('api_key', apiKey).maybeSingle();
+  }
+
+  /**
+   * The agent only if the API key is its own (WebSocket REGISTER)
+   */
+  findByCredentials(id, apiKey, columns = '*') {
+    return this.db.from('agents').select(columns).eq('id', id).eq('api_key', apiKey).maybeSingle();
+  }
+
+  findMany(ids, columns = '*') {
+    return this.db.from('agents').select(columns).in('id', ids);
+  }
+
+  all(columns = '*') {
+    return this.db.from('agents').select(columns);
+  }
+
+  /**
+   * Agents waiting for a match, most recently seen first
+   */
+  findLookingForMatch(columns = '*') {
+    return this.db
+      .from('agents')
+      .select(columns)
+      .eq('looking_for_match', true)
+      .order('last_seen', { ascending: false });
+  }
+
+  /**
+   * Those of `ids` that go back into the queue after a match
+   */
+  findAutoRejoin(ids, columns = '*') {
+    return this.db.from('agents').select(columns).in('id', ids).eq('auto_rejoin', true);
+  }
+
+  findHouseBots(keys, columns = '*') {
+    return this.db.from('agents').select(columns).in('house_bot', keys);
+  }
+
+  /**
+   * Highest-rated agents, house bots excluded
+   */
+  topRated(limit, columns = '*') {
+    return this.db
+      .from('agents')
+      .select(columns)
+      .is('house_bot', null)
+      .order('elo_rating', { ascending: false })
+      .limit(limit);
+  }
+
+  /**
+   * @returns {Promise<{data: object, error: object}>} The new agent
+   */
+  create(values) {
+    return this.db.from('agents').insert(values).select().single();
+  }
+
+  update(id, values) {
+    return this.db.from('agents').update(values).eq('id', id);
+  }
+
+  updateMany(ids, values) {
+    return this.db.from('agents').update(values).in('id', ids);
+  }
+
+  touch(id) {
+    return this.update(id, { last_seen_at: new Date().toISOString() });
+  }
+}
+
+/**
+ * Matches: live state, deadlines and the finished-match history
+ */
+export class MatchRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  findById(id, columns = '*') {
+    return this.db.from('matches').select(columns).eq('id', id).maybeSingle();
+  }
+
+  findMany(ids, columns = '*') {
+    return this.db.from('matches').select(columns).in('id', ids);
+  }
+
+  findActive(columns = '*') {
+    return this.db.from('matches').select(columns).eq('status', 'active');
+  }
+
+  /**
+   * Active matches the agent plays in
+   * @param {number} [limit]
+   */
+  findActiveFor(agentId, columns = '*', limit = null) {
+    const query = this.db.from('matches').select(columns).eq('status', 'active').contains('players', [agentId]);
+    return limit ? query.limit(limit) : query;
+  }
+
+  /**
+   * Active matches waiting on the agent's move
+   */
+  findAwaiting(agentId, columns = '*') {
+    return this.db.from('matches').select(columns).eq('status', 'active').contains('awaiting_players', [agentId]);
+  }
+
+  /**
+   * Active matches whose turn deadline has passed
+   */
+  findExpired(columns = '*') {
+    return this.db
+      .from('matches')
+      .select(columns)
+      .eq('status', 'active')
+      .lt('turn_deadline', new Date().toISOString());
+  }
+
+  /**
+   * Finished matches, most recent first
+   * @param {object} [options] - { players: only matches with all of them, limit }
+   */
+  findRecentComplete(columns = '*', { players = null, limit = null } = {}) {
+    let query = this.db.from('matches').select(columns).eq('status', 'complete');
+    if (players) query = query.contains('players', players);
+    query = query.order('ended_at', { ascending: false });
+    return limit ? query.limit(limit) : query;
+  }
+
+  /**
+   * One page of finished matches in id order, for walking the whole history
+   * @param {object} [options] - { after: last id of the previous page, limit, endedFrom, endedTo, player }
+   */
+  pageComplete(columns = '*', { after = null, limit, endedFrom = null, endedTo = null, player = null } = {}) {
+    let query = this.db.from('matches').select(columns).eq('status', 'complete');
+    if (endedFrom) query = query.gte('ended_at', endedFrom);
+    if (endedTo) query = query.lte('ended_at', endedTo);
+    if (player) query = query.contains('players', [player]);
+    if (after) query = query.gt('id', after);
+    return query.order('id', { ascending: true }).limit(limit);
+  }
+
+  /**
+   * @returns {Promise<{data: object, error: object}>} The new match
+   */
+  create(values) {
+    return this.db.from('matches').insert(values).select().single();
+  }
+
+  update(id, values) {
+    return this.db.from('matches').update(values).eq('id', id);
+  }
+}
+
+/**
+ * Game logs: one row per action, in play order
+ */
+export class GameLogRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  forMatch(matchId, columns = '*') {
+    return this.db
+      .from('game_logs')
+      .select(columns)
+      .eq('match_id', matchId)
+      .order('turn', { ascending: true })
+      .order('created_at', { ascending: true });
+  }
+
+  forMatches(matchIds, columns = '*') {
+    return this.db.from('game_logs').select(columns).in('match_id', matchIds);
+  }
+
+  create(values) {
+    return this.db.from('game_logs').insert(values);
+  }
+}
+
+/**
+ * Agent thoughts: the monologue behind each action
+ */
+export class AgentThoughtRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  forMatch(matchId, columns = '*') {
+    return this.db
+      .from('agent_thoughts')
+      .select(columns)
+      .eq('match_id', matchId)
+      .order('turn', { ascending: true })
+      .order('created_at', { ascending: true });
+  }
+
+  create(values) {
+    return this.db.from('agent_thoughts').insert(values);
+  }
+}
+
+/**
+ * The matchmaking queue, one entry per agent
+ */
+export class MatchQueueRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  findMany(agentIds, columns = '*') {
+    return this.db.from('match_queue').select(columns).in('agent_id', agentIds);
+  }
+
+  create(values) {
+    return this.db.from('match_queue').insert(values);
+  }
+
+  update(agentId, values) {
+    return this.db.from('match_queue').update(values).eq('agent_id', agentId);
+  }
+
+  remove(agentId) {
+    return this.db.from('match_queue').delete().eq('agent_id', agentId);
+  }
+
+  removeMany(agentIds) {
+    return this.db.from('match_queue').delete().in('agent_id', agentIds);
+  }
+}
+
+/**
+ * Newsletter subscribers
+ */
+export class SubscriberRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  findByEmail(email, columns = '*') {
+    return this.db.from('subscribers').select(columns).eq('email', email).maybeSingle();
+  }
+
+  create(values) {
+    return this.db.from('subscribers').insert(values);
+  }
+}
+
+const cache = new WeakMap();
+
+/**
+ * The repositories for a storage client (built once per client)
+ * @returns {{agents: AgentRepository, matches: MatchRepository, gameLogs: GameLogRepository,
+ *   agentThoughts: AgentThoughtRepository, matchQueue: MatchQueueRepository, subscribers: SubscriberRepository}}
+ */
+export function repositories(db) {
+  if (!cache.has(db)) {
+    cache.set(db, {
+      agents: new AgentRepository(db),
+      matches: new MatchRepository(db),
+      gameLogs: new GameLogRepository(db),
+      agentThoughts: new AgentThoughtRepository(db),
+      matchQueue: new MatchQueueRepository(db),
+      subscribers: new SubscriberRepository(db)
+    });
+  }
+  return cache.get(db);
+}
+
+export default repositories;
@@ -0,0 +1,241 @@
+/**
+ * The Alignment Protocol - SQLite Storage
+ *
+ * A single-file database for running the server without Supabase. Each table
+ * holds its rows as JSON documents (`id`, `data`); the shared query builder
+ * (./query.js) is translated to SQL over json_extract(), and the unique
+ * constraints from ./tables.js become unique indexes, so duplicates fail with
+ * Postgres' 23505 code. Writes touching several rows run in one transaction.
+ *
+ * Needs the optional better-sqlite3 package.
+ */
+
+import { createRequire } from 'module';
+import { v4 as uuid } from 'uuid';
+import { Query, storageError } from './query.js';
+import { TABLES } from './tables.js';
+
+const require = createRequire(import.meta.url);
+const now = () => new Date().toISOString();
+
+/**
+ * Database functions callable through rpc(), mirroring the SQL functions of the same name
+ */
+export const SQLITE_FUNCTIONS = {
+  increment_agent_stats(store, { agent_id, won }) {
+    const column = won ? 'wins' : 'losses';
+    store.ensureTable('agents');
+    store.db
+      .prepare(`UPDATE agents SET data = json_set(data, '$.${column}', COALESCE(json_extract(data, '$.${column}'), 0) + 1) WHERE id = ?`)
+      .run(agent_id);
+    return null;
+  },
+
+  update_agent_last_seen(store, { p_agent_id }) {
+    store.ensureTable('agents');
+    store.db.prepare(`UPDATE agents SET data = json_set(data, '$.last_seen_at', ?) WHERE id = ?`).run(now(), p_agent_id);
+    return null;
+  }
+};
+
+function identifier(name) {
+  if (!/^\w+$/.test(name)) throw new Error(`Invalid identifier: ${name}`);
+  return name;
+}
+
+function field(column) {
+  return `json_extract(data, '$.${identifier(column)}')`;
+}
+
+/**
+ * A JavaScript value as an SQLite parameter, compared the way json_extract() returns it
+ */
+function param(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * One filter as SQL, with its parameters. Null handling matches the memory store.
+ */
+function condition({ op, column, value }) {
+  const f = field(column);
+  switch (op) {
+    case 'eq': return value === null ? [`${f} IS NULL`, []] : [`${f} = ?`, [param(value)]];
+    case 'neq': return [`${f} IS NOT ?`, [param(value)]];
+    case 'gt': return [`${f} > ?`, [param(value)]];
+    case 'gte': return [`${f} >= ?`, [param(value)]];
+    case 'lt': return [`${f} < ?`, [param(value)]];
+    case 'lte': return [`${f} <= ?`, [param(value)]];
+    case 'is': return [`${f} IS ?`, [param(value)]];
+    case 'in':
+      if (!value.length) return ['0', []];
+      return [`${f} IN (${value.map(() => '?').join(', ')})`, value.map(param)];
+    case 'contains':
+      if (!value.length) return [`json_type(data, '$.${identifier(column)}') = 'array'`, []];
+      return [
+        value.map(() => `EXISTS (SELECT 1 FROM json_each(data, '$.${column}') WHERE value = ?)`).join(' AND '),
+        value.map(param)
+      ];
+    default:
+      throw new Error(`Unsupported filter: ${op}`);
+  }
+}
+
+function isUniqueViolation(err) {
+  return err?.code === 'SQLITE_CONSTRAINT_UNIQUE' || err?.code === 'SQLITE_CONSTRAINT_PRIMARYKEY';
+}
+
+/**
+ * SQLite database behind the supabase-js query builder subset
+ */
+export class SqliteStorage {
+  constructor({ file = ':memory:' } = {}) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch {
+      throw new Error('STORAGE=sqlite needs the better-sqlite3 package: npm install better-sqlite3');
+    }
+
+    this.file = file;
+    this.db = new Database(file);
+    if (file !== ':memory:') this.db.pragma('journal_mode = WAL');
+    this.db.exec('CREATE TABLE IF NOT EXISTS _sequences (name TEXT PRIMARY KEY, value INTEGER NOT NULL)');
+    this.tables = new Set();
+  }
+
+  from(table) {
+    return new Query(this, table);
+  }
+
+  async rpc(name, params = {}) {
+    const fn = SQLITE_FUNCTIONS[name];
+    if (!fn) {
+      return { data: null, error: storageError(`Could not find the function ${name}`, 'PGRST202') };
+    }
+    return { data: fn(this, params), error: null };
+  }
+
+  /**
+   * Create a table and its unique indexes the first time it's used
+   */
+  ensureTable(name) {
+    if (this.tables.has(name)) return;
+    const table = identifier(name);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS ${table} (id PRIMARY KEY, data TEXT NOT NULL)`);
+    for (const key of TABLES[name]?.unique || []) {
+      this.db.exec(
+        `CREATE UNIQUE INDEX IF NOT EXISTS ${table}_${key.join('_')}_key ON ${table} (${key.map(field).join(', ')})`
+      );
+    }
+    this.tables.add(name);
+  }
+
+  nextId(name) {
+    if (TABLES[name]?.id !== 'serial') return uuid();
+    return this.db
+      .prepare('INSERT INTO _sequences (name, value) VALUES (?, 1) ON CONFLICT (name) DO UPDATE SET value = value + 1 RETURNING value')
+      .get(name).value;
+  }
+
+  execute(query) {
+    this.ensureTable(query.table);
+    try {
+      return this.db.transaction(() => this.run(query))();
+    } catch (err) {
+      if (isUniqueViolation(err)) {
+        return { data: null, error: storageError(`duplicate key value violates unique constraint: ${err.message}`, '23505') };
+      }
+      throw err;
+    }
+  }
+
+  run(query) {
+    const table = identifier(query.table);
+    const [where, params] = this.where(query.filters);
+
+    switch (query.operation) {
+      case 'select': {
+        const count = query.counting
+          ? this.db.prepare(`SELECT COUNT(*) AS count FROM ${table}${where}`).get(...params).count
+          : null;
+        if (query.head) return query.result([], count);
+
+        const order = query.orders.length
+          ? ' ORDER BY ' + query.orders
+            .map(({ column, ascending }) => `${field(column)} ${ascending ? 'ASC NULLS LAST' : 'DESC NULLS FIRST'}`)
+            .join(', ')
+          : ' ORDER BY rowid';
+        const limit = query.limitCount !== null ? ` LIMIT ${Math.max(0, parseInt(query.limitCount) || 0)}` : '';
+        const rows = this.db.prepare(`SELECT data FROM ${table}${where}${order}${limit}`).all(...params);
+        return query.result(rows.map(r => JSON.parse(r.data)), count);
+      }
+      case 'insert':
+      case 'upsert':
+        return query.result(this.write(query.table, query.payload, query.operation === 'upsert' ? (query.onConflict || ['id']) : null));
+      case 'update': {
+        const values = structuredClone(query.payload);
+        const update = this.db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`);
+        const rows = this.select(table, where, params).map(row => {
+          const updated = { ...row, ...values };
+          update.run(JSON.stringify(updated), row.id);
+          return updated;
+        });
+        return query.result(rows);
+      }
+      case 'delete': {
+        const rows = this.select(table, where, params);
+        this.db.prepare(`DELETE FROM ${table}${where}`).run(...params);
+        return query.result(rows);
+      }
+    }
+  }
+
+  where(filters) {
+    if (!filters.length) return ['', []];
+    const parts = filters.map(condition);
+    return [' WHERE ' + parts.map(([sql]) => `(${sql})`).join(' AND '), parts.flatMap(([, p]) => p)];
+  }
+
+  select(table, where, params) {
+    return this.db.prepare(`SELECT data FROM ${table}${where} ORDER BY rowid`).all(...params).map(r => JSON.parse(r.data));
+  }
+
+  /**
+   * Insert rows, or with `conflictKey` update the row sharing that key (upsert)
+   */
+  write(name, payload, conflictKey) {
+    const table = identifier(name);
+    const definition = TABLES[name];
+    const inputs = (Array.isArray(payload) ? payload : [payload]).map(p => structuredClone(p));
+    const find = conflictKey && this.db.prepare(
+      `SELECT data FROM ${table} WHERE ${conflictKey.map(c => `${field(c)} = ?`).join(' AND ')}`
+    );
+    const insert = this.db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`);
+    const update = this.db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`);
+
+    const written = [];
+    for (const input of inputs) {
+      const existing = find?.get(...conflictKey.map(c => param(input[c])));
+      if (existing) {
+        const row = { ...JSON.parse(existing.data), ...input };
+        update.run(JSON.stringify(row), row.id);
+        written.push(row);
+      } else {
+        const row = { ...(definition?.defaults() || {}), id: input.id ?? this.nextId(name), ...input };
+        insert.run(row.id, JSON.stringify(row));
+        written.push(row);
+      }
+    }
+    return written;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+export default SqliteStorage;
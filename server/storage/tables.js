@@ -0,0 +1,97 @@
+/**
+ * The Alignment Protocol - Table Definitions
+ *
+ * What the local backends (memory, SQLite) need to know about each table that
+ * Postgres would otherwise enforce: id type, column defaults and unique constraints.
+ */
+
+const now = () => new Date().toISOString();
+
+/**
+ * Table definitions mirroring supabase/schema.sql and the migrations:
+ * id type, column defaults and unique constraints. Unknown tables get a uuid id.
+ */
+export const TABLES = {
+  agents: {
+    id: 'uuid',
+    unique: [['name'], ['api_key'], ['house_bot']],
+    defaults: () => ({
+      wins: 0, losses: 0, elo_rating: 1000, queue_match_size: 2, queue_teams: false,
+      house_bot: null, created_at: now(), updated_at: now()
+    })
+  },
+  matches: {
+    id: 'uuid',
+    defaults: () => ({ status: 'pending', rated: true, created_at: now() })
+  },
+  game_logs: {
+    id: 'serial',
+    defaults: () => ({ created_at: now() })
+  },
+  agent_thoughts: {
+    id: 'serial',
+    defaults: () => ({ created_at: now() })
+  },
+  match_queue: {
+    id: 'uuid',
+    unique: [['agent_id']],
+    defaults: () => ({
+      elo_rating: 1000, status: 'waiting', wait_seconds: 0, search_range: 100,
+      match_size: 2, teams: false, queued_at: now()
+    })
+  },
+  agent_stats: {
+    id: 'uuid',
+    unique: [['agent_id', 'game_type']],
+    defaults: () => ({
+      game_type: 'alignment-protocol', games_played: 0, wins: 0, losses: 0, draws: 0,
+      elo_rating: 1000, game_stats: {}, updated_at: now()
+    })
+  },
+  rating_history: {
+    id: 'serial',
+    defaults: () => ({ game_type: 'alignment-protocol', created_at: now() })
+  },
+  tournaments: {
+    id: 'uuid',
+    defaults: () => ({
+      status: 'registration', match_options: {}, current_round: 0, rounds: [], created_at: now()
+    })
+  },
+  tournament_entries: {
+    id: 'uuid',
+    unique: [['tournament_id', 'agent_id']],
+    defaults: () => ({ registered_at: now() })
+  },
+  lobbies: {
+    id: 'uuid',
+    unique: [['code']],
+    defaults: () => ({
+      match_size: 2, teams: false, match_options: {}, players: [], status: 'open', rated: false, created_at: now()
+    })
+  },
+  seasons: {
+    id: 'uuid',
+    unique: [['game_type', 'number']],
+    defaults: () => ({
+      game_type: 'alignment-protocol', status: 'active', carryover: 0.5, starts_at: now(), created_at: now()
+    })
+  },
+  season_standings: {
+    id: 'serial',
+    unique: [['season_id', 'agent_id']],
+    defaults: () => ({ games_played: 0, wins: 0, losses: 0, draws: 0 })
+  },
+  match_integrity: {
+    id: 'uuid',
+    unique: [['match_id']],
+    defaults: () => ({ checked_actions: 0, desync_count: 0, desyncs: [], errors: [], checked_at: now() })
+  },
+  subscribers: {
+    id: 'serial',
+    unique: [['email']],
+    defaults: () => ({ source: 'homepage', created_at: now() })
+  }
+};
+
+export default TABLES;
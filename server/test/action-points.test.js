@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { initMatch, processMove, getValidActions, getPublicState, ACTION_POINT_COSTS } from '../game/engine.js';
+
+// a top left next to a neutral 10M sector, b bottom right
+const MAP_DATA = {
+  rows: 2,
+  cols: 3,
+  sectors: [0, 1, 2].flatMap(col => [{ row: 0, col, population: 10 }, { row: 1, col, population: 10 }])
+};
+
+function match(ruleset = 'tactical') {
+  return initMatch(['a', 'b'], { map: 'custom', mapData: MAP_DATA, starts: ['SEC-0-0', 'SEC-1-2'], ruleset });
+}
+
+const fortify = { action: 'FORTIFY', targetSector: 'SEC-0-0' };
+const conquer = { action: 'CONQUER', targetSector: 'SEC-0-1', intensity: 1 };
+
+describe('action points', () => {
+  it('plays a list within the budget as one turn', () => {
+    const state = match();
+    const result = processMove(state, 'a', { actions: [fortify, conquer] });
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.actionPointsSpent, 3);
+    assert.equal(result.actionPoints, 3);
+    assert.deepEqual(result.actions.map(a => a.result), ['fortified', 'captured']);
+    assert.equal(state.grid['SEC-0-0'].defense, 15);
+    assert.equal(state.grid['SEC-0-1'].owner, 'a');
+    assert.equal(state.players.a.energy, 100 - 15 - 25 + result.upkeep.netChange);
+    assert.equal(state.currentPlayer, 'b');
+  });
+
+  it('refuses a list that costs more than the budget', () => {
+    const state = match();
+    const result = processMove(state, 'a', { actions: [conquer, { ...conquer, targetSector: 'SEC-1-0' }] });
+    assert.equal(result.success, false);
+    assert.match(result.error, /costs 4 action points, budget is 3/);
+    assert.equal(state.currentPlayer, 'a');
+  });
+
+  it('applies nothing when any action in the list fails', () => {
+    const state = match();
+    const before = structuredClone({ grid: state.grid, players: state.players });
+    const result = processMove(state, 'a', { actions: [fortify, { action: 'PURGE', targetSector: 'SEC-1-2' }] });
+
+    assert.equal(result.success, false);
+    assert.equal(result.failedIndex, 1);
+    assert.match(result.error, /Action 2 \(PURGE\) failed: Can only purge owned sectors. No actions were applied./);
+    assert.deepEqual({ grid: state.grid, players: state.players }, before);
+    assert.equal(state.currentPlayer, 'a');
+  });
+
+  it('only takes actions that have a price', () => {
+    const result = processMove(match(), 'a', { actions: [{ action: 'SKIP' }] });
+    assert.match(result.error, /Invalid action in list: SKIP/);
+    assert.match(processMove(match(), 'a', { actions: [] }).error, /non-empty list/);
+  });
+
+  it('keeps one action per turn when the ruleset has no budget', () => {
+    const state = match('classic');
+    assert.match(processMove(state, 'a', { actions: [fortify] }).error, /one action per turn/);
+    assert.equal(processMove(state, 'a', fortify).success, true);
+  });
+
+  it('tells agents the budget and what each action costs', () => {
+    const state = match();
+    assert.deepEqual(getPublicState(state, 'a').actionPoints, { budget: 3, costs: ACTION_POINT_COSTS });
+    const listed = getValidActions(state, 'a');
+    assert.equal(listed.find(a => a.action === 'CONQUER').actionPoints, 2);
+    assert.equal(listed.find(a => a.action === 'FORTIFY').actionPoints, 1);
+
+    assert.equal(getPublicState(match('classic'), 'a').actionPoints, null);
+  });
+});
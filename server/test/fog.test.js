@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { initMatch, processMove, getPublicState, getVisibleSectors } from '../game/engine.js';
+
+// A full 2x4 board: a starts top left, b bottom right
+const MAP_DATA = {
+  rows: 2,
+  cols: 4,
+  sectors: [0, 1, 2, 3].flatMap(col => [{ row: 0, col, population: 10 }, { row: 1, col, population: 10 }])
+};
+
+function fogMatch(playerIds = ['a', 'b'], options = {}) {
+  return initMatch(playerIds, { map: 'custom', mapData: MAP_DATA, starts: ['SEC-0-0', 'SEC-1-3'], fogOfWar: true, ...options });
+}
+
+describe('fog of war', () => {
+  it('shows an agent its own sectors and their neighbours', () => {
+    const state = fogMatch();
+    assert.deepEqual([...getVisibleSectors(state, 'a')].sort(), ['SEC-0-0', 'SEC-0-1', 'SEC-1-0', 'SEC-1-1']);
+
+    const { grid } = getPublicState(state, 'a');
+    assert.equal(grid['SEC-0-1'].visible, true);
+    assert.equal(grid['SEC-0-1'].population, 10);
+    assert.deepEqual(grid['SEC-1-3'], {
+      id: 'SEC-1-3', row: 1, col: 3, visible: false, lastSeenTurn: null,
+      owner: null, population: null, defense: null, sanctuary: false
+    });
+  });
+
+  it('hides opponents\' resources and tech but not their elimination', () => {
+    const { players } = getPublicState(fogMatch(), 'a');
+    assert.equal(players.a.energy, 100);
+    assert.deepEqual([players.b.energy, players.b.compute, players.b.tech], [null, null, null]);
+    assert.equal(players.b.eliminated, false);
+  });
+
+  it('shows spectators and fog-free matches the whole board', () => {
+    const state = fogMatch();
+    assert.equal(getPublicState(state).grid['SEC-1-3'].owner, 'b');
+    assert.equal(getPublicState(state).players.b.energy, 100);
+
+    const open = fogMatch(['a', 'b'], { fogOfWar: false });
+    assert.equal(getPublicState(open, 'a').grid['SEC-1-3'].owner, 'b');
+  });
+
+  it('keeps the last sighting of a sector once it drops out of view', () => {
+    const state = fogMatch();
+    assert.equal(processMove(state, 'a', { action: 'CONQUER', targetSector: 'SEC-0-1', intensity: 1 }).success, true);
+    assert.ok(getVisibleSectors(state, 'a').has('SEC-1-2'));
+
+    // b takes the sector back, and the one behind it changes out of a's sight
+    state.grid['SEC-0-1'].owner = 'b';
+    state.grid['SEC-1-2'].population = 3;
+    assert.equal(processMove(state, 'b', { action: 'SKIP' }).success, true);
+
+    const sector = getPublicState(state, 'a').grid['SEC-1-2'];
+    assert.equal(sector.visible, false);
+    assert.equal(sector.population, 10);
+    assert.equal(sector.lastSeenTurn, 0);
+  });
+
+  it('shares sight and resources between allies', () => {
+    const state = initMatch(['a', 'b', 'c', 'd'], {
+      map: 'custom',
+      mapData: { rows: 2, cols: 8, sectors: Array.from({ length: 16 }, (_, i) => ({ row: i % 2, col: Math.floor(i / 2) })) },
+      starts: ['SEC-0-0', 'SEC-0-4', 'SEC-1-7', 'SEC-1-3'], // Seats alternate teams: a, c, b, d
+      teams: [['a', 'b'], ['c', 'd']],
+      fogOfWar: true
+    });
+    assert.deepEqual(['SEC-0-0', 'SEC-0-4', 'SEC-1-7'].map(id => state.grid[id].owner), ['a', 'c', 'b']);
+
+    const view = getPublicState(state, 'a');
+    assert.equal(view.grid['SEC-1-7'].owner, 'b');
+    assert.equal(view.players.b.energy, 100);
+    assert.equal(view.players.b.isAlly, true);
+    assert.equal(view.grid['SEC-0-4'].owner, null);
+    assert.equal(view.players.c.energy, null);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStorage } from '../storage/memory.js';
+import { repositories } from '../storage/repositories.js';
+import { MatchService } from '../match-service.js';
+import { IntegrityChecker } from '../integrity.js';
+import { getAwaitingPlayers, getValidActions } from '../game/engine.js';
+
+describe('integrity desync detection', () => {
+  let db, repos, matchService, checker, matchId;
+
+  beforeEach(async () => {
+    db = new MemoryStorage();
+    repos = repositories(db);
+    matchService = new MatchService(db, { snapshotInterval: 2 });
+    checker = new IntegrityChecker(db, { sweepMinutes: 0 });
+
+    const agents = [];
+    for (const name of ['a', 'b']) {
+      agents.push((await repos.agents.create({ name, api_key: `key_${name}` })).data);
+    }
+    const match = await matchService.createMatch(agents, { seed: 'integrity', rules: { TURN_LIMIT: 4 } });
+    matchId = match.id;
+
+    // Everyone takes the first action offered until the turn limit ends the match
+    let state = await matchService.getState(matchId);
+    while (state.status === 'active') {
+      const [agentId] = getAwaitingPlayers(state);
+      const [move] = getValidActions(state, agentId);
+      const submitted = await matchService.submitMove(matchId, agentId, { move, monologue: 'Taking the first option.' });
+      assert.equal(submitted.success, true, submitted.error);
+      state = submitted.gameState;
+    }
+  });
+
+  afterEach(() => {
+    matchService.stop();
+  });
+
+  async function logs() {
+    return (await repos.gameLogs.forMatch(matchId)).data;
+  }
+
+  it('reports a match whose logs reproduce it as ok', async () => {
+    const report = await checker.checkMatch(matchId);
+    assert.equal(report.status, 'ok');
+    assert.equal(report.checkedActions, (await logs()).length);
+    assert.deepEqual(report.errors, []);
+
+    const row = await checker.getReport(matchId);
+    assert.equal(row.status, 'ok');
+  });
+
+  it('flags a logged result the engine does not reproduce', async () => {
+    const [first] = await logs();
+    await db.from('game_logs').update({ result: { ...first.result, success: !first.result.success } }).eq('id', first.id);
+
+    const report = await checker.checkMatch(matchId);
+    assert.equal(report.status, 'desync');
+    assert.equal(report.desyncCount, 1);
+    assert.deepEqual(report.desyncs[0].resultFields, ['success']);
+    assert.equal(report.desyncs[0].index, 0);
+  });
+
+  it('flags a grid snapshot that differs from the replayed grid', async () => {
+    const log = (await logs()).find(l => l.grid_state);
+    const [sectorId] = Object.keys(log.grid_state);
+    const grid = { ...log.grid_state, [sectorId]: { ...log.grid_state[sectorId], population: -1 } };
+    await db.from('game_logs').update({ grid_state: grid }).eq('id', log.id);
+
+    const report = await checker.checkMatch(matchId);
+    assert.equal(report.status, 'desync');
+    assert.deepEqual(report.desyncs[0].sectors, [sectorId]);
+  });
+
+  it('flags a recorded winner the logs do not give', async () => {
+    const { data: match } = await repos.matches.findById(matchId, 'players, winner');
+    const other = match.players.find(id => id !== match.winner);
+    await repos.matches.update(matchId, { winner: other });
+
+    const report = await checker.checkMatch(matchId);
+    assert.equal(report.status, 'desync');
+    assert.match(report.errors[0], /Recorded winner/);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng } from '../game/rng.js';
+import { MAP_GENERATORS, generateMap, sectorId } from '../game/maps.js';
+import { getAdjacentSectors, initMatch, recreateMatch } from '../game/engine.js';
+
+const generate = (options, seed = 'maps') => generateMap(createRng(seed), { rows: 4, cols: 6, ...options });
+
+const MIRRORED = Object.keys(MAP_GENERATORS).filter(type => MAP_GENERATORS[type].evenRows);
+
+describe('map generators', () => {
+  it('build the same map from the same seed', () => {
+    for (const map of Object.keys(MAP_GENERATORS).filter(type => type !== 'custom')) {
+      assert.deepEqual(generate({ map }), generate({ map }), map);
+    }
+    assert.notDeepEqual(generate({}, 'one').grid, generate({}, 'two').grid);
+  });
+
+  for (const map of MIRRORED) {
+    it(`${map} gives mirrored sectors the same population and neighbours`, () => {
+      for (const [rows, cols] of [[4, 6], [6, 5], [2, 3]]) {
+        const { grid } = generate({ map, rows, cols });
+        const mirror = ({ row, col }) => sectorId(rows - 1 - row, cols - 1 - col);
+
+        for (const sector of Object.values(grid)) {
+          const twin = grid[mirror(sector)];
+          assert.ok(twin, `${map} ${rows}x${cols}: ${sector.id} has no mirror`);
+          assert.equal(twin.population, sector.population);
+          assert.deepEqual(
+            getAdjacentSectors(sector.id, grid).map(id => mirror(grid[id])).sort(),
+            getAdjacentSectors(twin.id, grid).sort()
+          );
+        }
+      }
+    });
+  }
+
+  it('refuses odd row counts for mirrored maps', () => {
+    for (const map of MIRRORED) {
+      assert.throws(() => generate({ map, rows: 5 }), /needs an even number of rows/);
+    }
+    assert.deepEqual([...MIRRORED].sort(), ['chokepoint', 'island', 'mirrored']);
+    assert.equal(Object.keys(generate({ map: 'classic', rows: 5 }).grid).length, 30);
+  });
+
+  it('keeps dimensions within 2-16 and chokepoints at 3 columns or more', () => {
+    assert.throws(() => generate({ rows: 1 }), /rows must be an integer between 2 and 16/);
+    assert.throws(() => generate({ cols: 17 }), /cols must be an integer between 2 and 16/);
+    assert.throws(() => generate({ rows: 2.5 }), /rows must be an integer/);
+    assert.throws(() => generate({ map: 'chokepoint', cols: 2 }), /at least 3 columns/);
+    assert.throws(() => generate({ map: 'maze' }), /Unknown map generator: maze/);
+    assert.equal(Object.keys(generate({ rows: 16, cols: 16 }).grid).length, 256);
+  });
+
+  it('walls the chokepoint off except through the central rows', () => {
+    const { grid } = generate({ map: 'chokepoint', rows: 6, cols: 5 });
+    assert.deepEqual(
+      [0, 1, 2, 3, 4, 5].filter(row => grid[sectorId(row, 2)]),
+      [2, 3]
+    );
+  });
+
+  it('spreads extra starts apart, one distinct sector per player', () => {
+    const { starts } = generate({ players: 6 });
+    assert.equal(new Set(starts).size, 6);
+    assert.deepEqual(starts.slice(0, 2), ['SEC-0-0', 'SEC-3-5']);
+  });
+
+  it('checks start overrides', () => {
+    assert.deepEqual(generate({ starts: ['SEC-1-1', 'SEC-2-2'] }).starts, ['SEC-1-1', 'SEC-2-2']);
+    assert.throws(() => generate({ starts: ['SEC-1-1', 'SEC-1-1'] }), /must be distinct/);
+    assert.throws(() => generate({ starts: ['SEC-1-1', 'SEC-9-9'] }), /does not exist/);
+    assert.throws(() => generate({ starts: ['SEC-1-1'] }), /a start sector for each of the 2 players/);
+  });
+
+  it('builds custom maps from their sectors and checks them', () => {
+    const mapData = {
+      rows: 3,
+      cols: 3,
+      sectors: [{ row: 0, col: 0, population: 7 }, { row: 1, col: 1, defense: 20 }, { row: 2, col: 2 }]
+    };
+    const { rows, grid, starts } = generate({ map: 'custom', mapData });
+    assert.equal(rows, 3);
+    assert.deepEqual(Object.keys(grid), ['SEC-0-0', 'SEC-1-1', 'SEC-2-2']);
+    assert.equal(grid['SEC-0-0'].population, 7);
+    assert.equal(grid['SEC-1-1'].defense, 20);
+    assert.deepEqual(starts, ['SEC-0-0', 'SEC-2-2']);
+
+    assert.throws(() => generate({ map: 'custom' }), /requires mapData.sectors/);
+    assert.throws(() => generate({ map: 'custom', mapData: { ...mapData, sectors: [{ row: 3, col: 0 }] } }), /out of bounds/);
+    assert.throws(() => generate({ map: 'custom', mapData: { ...mapData, sectors: [{ row: 0, col: 0 }, { row: 0, col: 0 }] } }), /defined twice/);
+  });
+});
+
+describe('recreating a match', () => {
+  it('rebuilds custom maps and overridden starts from the state', () => {
+    const mapData = {
+      rows: 2,
+      cols: 4,
+      sectors: [0, 1, 2, 3].flatMap(col => [{ row: 0, col }, { row: 1, col }])
+    };
+    const state = initMatch(['a', 'b'], { seed: 7, map: 'custom', mapData, starts: ['SEC-0-1', 'SEC-1-2'] });
+    const stored = JSON.parse(JSON.stringify(state));
+
+    const opening = recreateMatch(stored, ['a', 'b']);
+    assert.deepEqual(opening.grid, state.grid);
+    assert.equal(opening.grid['SEC-0-1'].owner, 'a');
+  });
+
+  it('refuses custom maps stored without their map', () => {
+    const state = initMatch(['a', 'b'], { map: 'custom', mapData: { rows: 2, cols: 2, sectors: [{ row: 0, col: 0 }, { row: 1, col: 1 }] } });
+    assert.throws(() => recreateMatch({ ...state, mapData: null }, ['a', 'b']), /did not store its custom map/);
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStorage } from '../storage/memory.js';
+import { repositories } from '../storage/repositories.js';
+import { MatchService } from '../match-service.js';
+import { Matchmaker } from '../matchmaker.js';
+
+describe('matchmaker Elo windows', () => {
+  let db, repos, matchService, matchmaker;
+
+  beforeEach(() => {
+    db = new MemoryStorage();
+    repos = repositories(db);
+    matchService = new MatchService(db);
+    matchmaker = new Matchmaker(db, matchService);
+  });
+
+  afterEach(() => {
+    matchService.stop();
+  });
+
+  /**
+   * Register an agent and queue it as if it joined `waitedSeconds` ago
+   */
+  async function queued(name, elo, { waitedSeconds = 0, ...options } = {}) {
+    const { data: agent } = await repos.agents.create({ name, api_key: `key_${name}`, elo_rating: elo });
+    const result = await matchmaker.joinQueue(agent.id, options);
+    assert.equal(result.success, true, result.error);
+    await repos.matchQueue.update(agent.id, { queued_at: new Date(Date.now() - waitedSeconds * 1000).toISOString() });
+    return agent;
+  }
+
+  async function matchedPairs() {
+    const { data } = await repos.matches.findActive('players');
+    return data.map(m => [...m.players].sort());
+  }
+
+  it('pairs agents inside the initial ±100 window', async () => {
+    const a = await queued('a', 1000);
+    const b = await queued('b', 1080);
+    await matchmaker.runMatchmaking();
+    assert.deepEqual(await matchedPairs(), [[a.id, b.id].sort()]);
+  });
+
+  it('keeps agents apart until their windows have widened enough', async () => {
+    await queued('a', 1000);
+    await queued('b', 1250);
+    await matchmaker.runMatchmaking();
+    assert.deepEqual(await matchedPairs(), []);
+
+    // 30s of waiting: 100 + 3 x 50 = 250
+    for (const { id } of (await repos.agents.findLookingForMatch('id')).data) {
+      await repos.matchQueue.update(id, { queued_at: new Date(Date.now() - 30000).toISOString() });
+    }
+    await matchmaker.runMatchmaking();
+    assert.equal((await matchedPairs()).length, 1);
+  });
+
+  it('records each agent\'s widened window in the queue', async () => {
+    const a = await queued('a', 1000, { waitedSeconds: 25 });
+    await matchmaker.runMatchmaking();
+    const { data } = await repos.matchQueue.findMany([a.id], 'search_range');
+    assert.deepEqual(data, [{ search_range: 200 }]);
+
+    const [status] = await matchmaker.getQueueStatus();
+    assert.equal(status.searchRange, 200);
+  });
+
+  it('caps the window at ±500', async () => {
+    await queued('a', 1000, { waitedSeconds: 3600 });
+    await queued('b', 1501, { waitedSeconds: 3600 });
+    await matchmaker.runMatchmaking();
+    assert.deepEqual(await matchedPairs(), []);
+  });
+
+  it('pairs the closest ratings first', async () => {
+    const a = await queued('a', 1000);
+    const b = await queued('b', 1040);
+    await queued('c', 1090);
+    await matchmaker.runMatchmaking();
+    assert.deepEqual(await matchedPairs(), [[a.id, b.id].sort()]);
+  });
+
+  it('avoids an immediate rematch until both agents reach the widest window', async () => {
+    const a = await queued('a', 1000);
+    const b = await queued('b', 1000);
+    await repos.matches.create({ status: 'complete', players: [a.id, b.id], ended_at: new Date().toISOString() });
+
+    await matchmaker.runMatchmaking();
+    assert.deepEqual(await matchedPairs(), []);
+
+    for (const id of [a.id, b.id]) {
+      await repos.matchQueue.update(id, { queued_at: new Date(Date.now() - 80000).toISOString() });
+    }
+    await matchmaker.runMatchmaking();
+    assert.deepEqual(await matchedPairs(), [[a.id, b.id].sort()]);
+  });
+
+  it('only groups agents that asked for the same match size', async () => {
+    await queued('a', 1000);
+    for (const name of ['b', 'c', 'd']) await queued(name, 1000, { matchSize: 4 });
+    await matchmaker.runMatchmaking();
+    assert.deepEqual(await matchedPairs(), []);
+
+    await queued('e', 1000, { matchSize: 4 });
+    await matchmaker.runMatchmaking();
+    const [players] = await matchedPairs();
+    assert.equal(players.length, 4);
+  });
+
+  it('refuses to queue an agent that is already playing', async () => {
+    const a = await queued('a', 1000);
+    await queued('b', 1000);
+    await matchmaker.runMatchmaking();
+
+    const result = await matchmaker.joinQueue(a.id);
+    assert.equal(result.success, false);
+    assert.match(result.error, /already in an active match/);
+  });
+
+  it('re-queues auto_rejoin agents for the match size they played', async () => {
+    const { data: agent } = await repos.agents.create({ name: 'a', api_key: 'key_a', auto_rejoin: true });
+    await matchmaker.joinQueue(agent.id, { matchSize: 4, teams: true });
+    await matchmaker.leaveQueue(agent.id);
+
+    await matchmaker.rejoinAfterMatch([agent.id]);
+    const [status] = await matchmaker.getQueueStatus();
+    assert.equal(status.matchSize, 4);
+    assert.equal(status.teams, true);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import { MemoryStorage } from '../storage/memory.js';
+import { SqliteStorage } from '../storage/sqlite.js';
+import { repositories } from '../storage/repositories.js';
+
+const require = createRequire(import.meta.url);
+let sqliteMissing = false;
+try {
+  require('better-sqlite3');
+} catch {
+  sqliteMissing = 'better-sqlite3 is not installed';
+}
+
+const BACKENDS = [
+  ['memory', () => new MemoryStorage(), false],
+  ['sqlite', () => new SqliteStorage(), sqliteMissing]
+];
+
+for (const [name, create, skip] of BACKENDS) {
+  describe(`repositories on ${name} storage`, { skip }, () => {
+    let repos;
+
+    beforeEach(() => {
+      repos = repositories(create());
+    });
+
+    async function agent(name, values = {}) {
+      const { data, error } = await repos.agents.create({ name, api_key: `key_${name}`, owner_email: `${name}@example.com`, ...values });
+      assert.equal(error, null);
+      return data;
+    }
+
+    it('creates agents with the schema defaults and finds them by id, key and credentials', async () => {
+      const alice = await agent('alice');
+      assert.equal(alice.elo_rating, 1000);
+      assert.equal(alice.wins, 0);
+
+      assert.equal((await repos.agents.findById(alice.id, 'id, name')).data.name, 'alice');
+      assert.deepEqual((await repos.agents.findByApiKey('key_alice', 'id')).data, { id: alice.id });
+      assert.equal((await repos.agents.findByCredentials(alice.id, 'key_alice', 'id')).data.id, alice.id);
+      assert.equal((await repos.agents.findByCredentials(alice.id, 'wrong', 'id')).data, null);
+      assert.equal((await repos.agents.findById('missing')).data, null);
+    });
+
+    it('rejects a duplicate agent name with the Postgres unique-violation code', async () => {
+      await agent('alice');
+      const { data, error } = await repos.agents.create({ name: 'alice', api_key: 'other' });
+      assert.equal(data, null);
+      assert.equal(error.code, '23505');
+    });
+
+    it('lists queued, auto-rejoining, top-rated and house-bot agents', async () => {
+      const a = await agent('a', { looking_for_match: true, last_seen: '2026-01-01T00:00:00Z', elo_rating: 1100 });
+      const b = await agent('b', { looking_for_match: true, last_seen: '2026-01-02T00:00:00Z', auto_rejoin: true, elo_rating: 1200 });
+      const bot = await agent('bot', { house_bot: 'turtle', elo_rating: 1500 });
+
+      assert.deepEqual((await repos.agents.findLookingForMatch('id')).data.map(r => r.id), [b.id, a.id]);
+      assert.deepEqual((await repos.agents.findAutoRejoin([a.id, b.id], 'id')).data.map(r => r.id), [b.id]);
+      assert.deepEqual((await repos.agents.topRated(5, 'id')).data.map(r => r.id), [b.id, a.id]);
+      assert.deepEqual((await repos.agents.findHouseBots(['turtle'], 'id')).data.map(r => r.id), [bot.id]);
+
+      await repos.agents.updateMany([a.id, b.id], { looking_for_match: false });
+      assert.deepEqual((await repos.agents.findLookingForMatch('id')).data, []);
+    });
+
+    it('finds active, awaiting and expired matches', async () => {
+      const past = new Date(Date.now() - 60000).toISOString();
+      const future = new Date(Date.now() + 60000).toISOString();
+      const { data: m1 } = await repos.matches.create({ status: 'active', players: ['a', 'b'], awaiting_players: ['a'], turn_deadline: past });
+      const { data: m2 } = await repos.matches.create({ status: 'active', players: ['c', 'd'], awaiting_players: ['d'], turn_deadline: future });
+      await repos.matches.create({ status: 'complete', players: ['a', 'c'] });
+
+      assert.equal(m1.rated, true);
+      assert.equal((await repos.matches.findActive('id')).data.length, 2);
+      assert.deepEqual((await repos.matches.findActiveFor('a', 'id', 1)).data, [{ id: m1.id }]);
+      assert.deepEqual((await repos.matches.findAwaiting('d', 'id')).data, [{ id: m2.id }]);
+      assert.deepEqual((await repos.matches.findExpired('id')).data, [{ id: m1.id }]);
+
+      await repos.matches.update(m1.id, { status: 'complete' });
+      assert.deepEqual((await repos.matches.findActiveFor('a', 'id')).data, []);
+    });
+
+    it('pages through finished matches in id order and filters them', async () => {
+      const ids = [];
+      for (let i = 0; i < 5; i++) {
+        const { data } = await repos.matches.create({
+          status: 'complete',
+          players: i % 2 ? ['x', 'y'] : ['x', 'z'],
+          ended_at: `2026-01-0${i + 1}T00:00:00Z`
+        });
+        ids.push(data.id);
+      }
+      ids.sort();
+
+      const seen = [];
+      let after = null;
+      for (;;) {
+        const { data } = await repos.matches.pageComplete('id', { after, limit: 2 });
+        if (!data.length) break;
+        seen.push(...data.map(m => m.id));
+        after = data[data.length - 1].id;
+      }
+      assert.deepEqual(seen, ids);
+
+      const { data: recent } = await repos.matches.findRecentComplete('ended_at', { players: ['x', 'y'], limit: 1 });
+      assert.deepEqual(recent, [{ ended_at: '2026-01-04T00:00:00Z' }]);
+
+      const { data: window } = await repos.matches.pageComplete('id', {
+        limit: 10, endedFrom: '2026-01-02', endedTo: '2026-01-04', player: 'z'
+      });
+      assert.equal(window.length, 1);
+    });
+
+    it('keeps game logs and thoughts per match in play order', async () => {
+      await repos.gameLogs.create({ match_id: 'm', turn: 1, agent_id: 'a', action: { action: 'PURGE' }, result: {}, grid_state: null, created_at: '2026-01-01T00:00:02Z' });
+      await repos.gameLogs.create({ match_id: 'm', turn: 0, agent_id: 'b', action: { action: 'PURGE' }, result: {}, grid_state: null, created_at: '2026-01-01T00:00:01Z' });
+      await repos.gameLogs.create({ match_id: 'other', turn: 0, agent_id: 'a', action: {}, result: {} });
+      await repos.agentThoughts.create({ match_id: 'm', turn: 0, agent_id: 'b', monologue: 'first' });
+
+      const { data: logs } = await repos.gameLogs.forMatch('m', 'id, turn, agent_id');
+      assert.deepEqual(logs.map(l => l.turn), [0, 1]);
+      assert.ok(logs.every(l => Number.isInteger(l.id)));
+      assert.equal((await repos.gameLogs.forMatches(['m', 'other'], 'id')).data.length, 3);
+      assert.deepEqual((await repos.agentThoughts.forMatch('m', 'monologue')).data, [{ monologue: 'first' }]);
+    });
+
+    it('holds one queue entry per agent', async () => {
+      await repos.matchQueue.create({ agent_id: 'a', match_size: 4 });
+      assert.equal((await repos.matchQueue.create({ agent_id: 'a' })).error.code, '23505');
+
+      await repos.matchQueue.update('a', { search_range: 250 });
+      assert.deepEqual((await repos.matchQueue.findMany(['a'], 'agent_id, search_range, match_size')).data, [
+        { agent_id: 'a', search_range: 250, match_size: 4 }
+      ]);
+
+      await repos.matchQueue.create({ agent_id: 'b' });
+      await repos.matchQueue.remove('a');
+      assert.deepEqual((await repos.matchQueue.findMany(['a', 'b'], 'agent_id')).data, [{ agent_id: 'b' }]);
+      await repos.matchQueue.removeMany(['b']);
+      assert.deepEqual((await repos.matchQueue.findMany(['b'], 'agent_id')).data, []);
+    });
+
+    it('subscribes an email once', async () => {
+      assert.equal((await repos.subscribers.findByEmail('a@example.com')).data, null);
+      await repos.subscribers.create({ email: 'a@example.com' });
+      assert.equal((await repos.subscribers.findByEmail('a@example.com', 'source')).data.source, 'homepage');
+      assert.equal((await repos.subscribers.create({ email: 'a@example.com' })).error.code, '23505');
+    });
+  });
+}
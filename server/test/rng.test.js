@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng, nextFloat, nextInt, randomSeed } from '../game/rng.js';
+import { initMatch, processMove, getValidActions } from '../game/engine.js';
+
+const draw = (rng, count) => Array.from({ length: count }, () => nextFloat(rng));
+
+describe('seeded RNG', () => {
+  it('gives the same numbers for the same seed', () => {
+    assert.deepEqual(draw(createRng('alpha'), 20), draw(createRng('alpha'), 20));
+    assert.deepEqual(draw(createRng(42), 5), draw(createRng('42'), 5));
+    assert.notDeepEqual(draw(createRng('alpha'), 5), draw(createRng('beta'), 5));
+  });
+
+  it('carries on the same sequence after a JSON round-trip', () => {
+    const rng = createRng('persisted');
+    draw(rng, 7);
+    const restored = JSON.parse(JSON.stringify(rng));
+    assert.deepEqual(draw(restored, 10), draw(rng, 10));
+  });
+
+  it('keeps floats in [0, 1) and integers inside their bounds', () => {
+    const rng = createRng('bounds');
+    const seen = new Set();
+    for (let i = 0; i < 2000; i++) {
+      const f = nextFloat(rng);
+      assert.ok(f >= 0 && f < 1);
+      const n = nextInt(rng, 5, 15);
+      assert.ok(Number.isInteger(n) && n >= 5 && n <= 15);
+      seen.add(n);
+    }
+    assert.equal(seen.size, 11);
+  });
+
+  it('makes up a fresh seed when none is given', () => {
+    assert.match(randomSeed(), /^[0-9a-f]{16}$/);
+    assert.notEqual(createRng().seed, createRng().seed);
+  });
+});
+
+describe('seeded matches', () => {
+  /**
+   * Play `moves` moves, every agent taking the first action it is offered
+   */
+  function play(seed, moves) {
+    const state = initMatch(['a', 'b', 'c'], { seed, randomizeTurnOrder: true });
+    for (let i = 0; i < moves && state.status === 'active'; i++) {
+      const agentId = state.currentPlayer;
+      assert.equal(processMove(state, agentId, getValidActions(state, agentId)[0]).success, true);
+    }
+    return state;
+  }
+
+  const comparable = ({ log, ...state }) => ({ ...state, log: log.map(({ timestamp, ...entry }) => entry) });
+
+  it('opens with the same board and turn order for the same seed', () => {
+    const one = initMatch(['a', 'b', 'c'], { seed: 'opening', randomizeTurnOrder: true, map: 'island' });
+    const two = initMatch(['a', 'b', 'c'], { seed: 'opening', randomizeTurnOrder: true, map: 'island' });
+    assert.deepEqual(one.grid, two.grid);
+    assert.deepEqual(Object.keys(one.players), Object.keys(two.players));
+    assert.deepEqual(one.rng, two.rng);
+  });
+
+  it('reaches the same state from the same seed and moves', () => {
+    const { id: idOne, ...one } = comparable(play('replayable', 30));
+    const { id: idTwo, ...two } = comparable(play('replayable', 30));
+    assert.deepEqual(one, two);
+  });
+});
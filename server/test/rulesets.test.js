@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RULES, initMatch } from '../game/engine.js';
+import { resolveRuleset } from '../game/rulesets.js';
+
+describe('rulesets', () => {
+  it('layers overrides on a preset and renames it', () => {
+    const { name, rules } = resolveRuleset(RULES, 'high-upkeep', { TURN_LIMIT: 50 });
+    assert.equal(name, 'high-upkeep+custom');
+    assert.equal(rules.UPKEEP_PER_MILLION, 4);
+    assert.equal(rules.TURN_LIMIT, 50);
+  });
+
+  it('treats null overrides as none', () => {
+    assert.deepEqual(resolveRuleset(RULES, 'classic', null), { name: 'classic', rules: RULES });
+    assert.equal(initMatch(['a', 'b'], { rules: null }).ruleset, 'classic');
+  });
+
+  it('refuses turn timeouts and delays below their minimum', () => {
+    assert.throws(() => resolveRuleset(RULES, 'classic', { TURN_TIMEOUT_MS: 0 }), /TURN_TIMEOUT_MS must be at least 1000/);
+    assert.throws(() => resolveRuleset(RULES, 'classic', { MIN_TURN_DELAY_MS: 0 }), /MIN_TURN_DELAY_MS must be at least 100/);
+    assert.equal(resolveRuleset(RULES, 'classic', { TURN_TIMEOUT_MS: 1000 }).rules.TURN_TIMEOUT_MS, 1000);
+  });
+
+  it('lists every problem with an invalid ruleset', () => {
+    assert.throws(
+      () => resolveRuleset(RULES, 'classic', { GRID_ROWS: 0, WIN_TERRITORY_PERCENT: 2, NOT_A_RULE: 1 }),
+      /GRID_ROWS must be a positive integer; WIN_TERRITORY_PERCENT must be between 0 and 1; Unknown rule: NOT_A_RULE/
+    );
+    assert.throws(() => resolveRuleset(RULES, 'chaos'), /Unknown ruleset: chaos/);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStorage } from '../storage/memory.js';
+import { repositories } from '../storage/repositories.js';
+import { MatchService } from '../match-service.js';
+import { SeasonService } from '../season-service.js';
+import { DEFAULT_GAME_TYPE } from '../ratings.js';
+
+describe('season soft reset', () => {
+  let db, repos, matchService, seasons, season;
+
+  beforeEach(async () => {
+    db = new MemoryStorage();
+    repos = repositories(db);
+    matchService = new MatchService(db);
+    seasons = new SeasonService(db, matchService, { carryover: 0.5 });
+    season = await seasons.startSeason(DEFAULT_GAME_TYPE, 1);
+  });
+
+  afterEach(() => {
+    matchService.stop();
+  });
+
+  async function agent(name, elo) {
+    const { data } = await repos.agents.create({ name, api_key: `key_${name}`, elo_rating: elo });
+    return data;
+  }
+
+  async function rated(agentId, result, ratingAfter) {
+    await db.from('rating_history').insert({
+      match_id: 'm', agent_id: agentId, game_type: DEFAULT_GAME_TYPE, result,
+      rating_before: 1000, rating_after: ratingAfter, rating_change: ratingAfter - 1000,
+      created_at: new Date().toISOString()
+    });
+    await db.from('agent_stats').upsert({
+      agent_id: agentId, game_type: DEFAULT_GAME_TYPE, games_played: 1, elo_rating: ratingAfter
+    }, { onConflict: 'agent_id,game_type' });
+  }
+
+  const elo = async (id) => (await repos.agents.findById(id, 'elo_rating')).data.elo_rating;
+
+  it('pulls every rating halfway back to 1000 and archives the standings', async () => {
+    const winner = await agent('winner', 1200);
+    const loser = await agent('loser', 900);
+    await rated(winner.id, 'win', 1200);
+    await rated(loser.id, 'loss', 900);
+
+    const standings = await seasons.endSeason(season);
+    assert.deepEqual(standings.map(s => [s.rank, s.agent_id]), [[1, winner.id], [2, loser.id]]);
+
+    assert.equal(await elo(winner.id), 1100);
+    assert.equal(await elo(loser.id), 950);
+    const { data: stats } = await db.from('agent_stats').select('agent_id, elo_rating').eq('agent_id', winner.id).single();
+    assert.equal(stats.elo_rating, 1100);
+
+    const archived = await seasons.getStandings({ ...season, status: 'complete' });
+    assert.equal(archived.length, 2);
+    assert.equal((await seasons.getCurrentSeason()), null);
+  });
+
+  it('resets agents that have no agent_stats row', async () => {
+    const veteran = await agent('veteran', 1400);
+    await seasons.endSeason(season);
+    assert.equal(await elo(veteran.id), 1200);
+  });
+
+  it('leaves every rating alone when the standings cannot be archived', async () => {
+    const a = await agent('a', 1200);
+    await rated(a.id, 'win', 1200);
+    // An archived row for the same season and agent makes the archive insert fail
+    await db.from('season_standings').insert({ season_id: season.id, agent_id: a.id, rank: 1, elo_rating: 1200 });
+
+    await assert.rejects(seasons.endSeason(season), /Failed to archive standings/);
+    assert.equal(await elo(a.id), 1200);
+    assert.equal((await seasons.getCurrentSeason()).id, season.id);
+  });
+
+  it('rolls over to the next season once the current one is due', async () => {
+    const a = await agent('a', 1300);
+    await db.from('seasons').update({ ends_at: new Date(Date.now() - 1000).toISOString() }).eq('id', season.id);
+
+    await seasons.runSeasons();
+    const current = await seasons.getCurrentSeason();
+    assert.equal(current.number, 2);
+    assert.equal(await elo(a.id), 1150);
+  });
+});
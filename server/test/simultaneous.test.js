@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { initMatch, processMove, getAwaitingPlayers } from '../game/engine.js';
+
+// One row of three: a and b start at either end, a neutral sector between them
+const MAP_DATA = {
+  rows: 2,
+  cols: 3,
+  sectors: [{ row: 0, col: 0 }, { row: 0, col: 1, population: 10 }, { row: 0, col: 2 }]
+};
+
+function simultaneousMatch(starts = ['SEC-0-0', 'SEC-0-2']) {
+  return initMatch(['a', 'b'], { map: 'custom', mapData: MAP_DATA, starts, turnMode: 'simultaneous' });
+}
+
+const conquer = (targetSector, intensity = 1) => ({ action: 'CONQUER', targetSector, intensity });
+
+describe('simultaneous turns', () => {
+  it('waits for every agent before resolving the turn', () => {
+    const state = simultaneousMatch();
+    assert.equal(state.currentPlayer, null);
+    assert.deepEqual(getAwaitingPlayers(state), ['a', 'b']);
+
+    const first = processMove(state, 'a', { action: 'SKIP' });
+    assert.equal(first.resolved, false);
+    assert.deepEqual(first.waitingFor, ['b']);
+    assert.equal(state.turn, 0);
+
+    const second = processMove(state, 'b', { action: 'SKIP' });
+    assert.equal(second.resolved, true);
+    assert.equal(state.turn, 1);
+    assert.deepEqual(getAwaitingPlayers(state), ['a', 'b']);
+    assert.deepEqual(Object.keys(second.upkeep).sort(), ['a', 'b']);
+  });
+
+  it('takes one order per agent per turn, checked against the current board', () => {
+    const state = simultaneousMatch();
+    assert.match(processMove(state, 'a', conquer('SEC-0-2', 99)).error, /Insufficient energy/);
+    assert.match(processMove(state, 'a', { actions: [{ action: 'SKIP' }] }).error, /not supported in simultaneous turns/);
+
+    assert.equal(processMove(state, 'a', { action: 'SKIP' }).success, true);
+    assert.match(processMove(state, 'a', { action: 'SKIP' }).error, /already submitted/);
+  });
+
+  it('bounces equal attacks on the same sector, and both sides pay', () => {
+    const state = simultaneousMatch();
+    processMove(state, 'a', conquer('SEC-0-1'));
+    const { orders, upkeep } = processMove(state, 'b', conquer('SEC-0-1'));
+
+    assert.equal(orders.a.result.result, 'bounced');
+    assert.deepEqual(orders.b.result.contestedBy, ['a']);
+    assert.equal(state.grid['SEC-0-1'].owner, null);
+    for (const agentId of ['a', 'b']) {
+      assert.equal(state.players[agentId].energy, 100 - 25 + upkeep[agentId].netChange);
+    }
+  });
+
+  it('lets the strongest attack take a contested sector', () => {
+    const state = simultaneousMatch();
+    processMove(state, 'a', conquer('SEC-0-1', 1));
+    const { orders } = processMove(state, 'b', conquer('SEC-0-1', 2));
+
+    assert.equal(orders.b.result.result, 'captured');
+    assert.deepEqual(orders.b.result.contestedBy, ['a']);
+    assert.equal(orders.a.result.result, 'outfought');
+    assert.equal(orders.a.result.winningAttacker, 'b');
+    assert.equal(state.grid['SEC-0-1'].owner, 'b');
+  });
+
+  it('fortifies before any attack lands, whoever ordered first', () => {
+    // b next door: attack power 15 + 3 beats 10 defense + 10M x 0.5, unless a fortifies
+    for (const order of [['a', 'b'], ['b', 'a']]) {
+      const state = simultaneousMatch(['SEC-0-0', 'SEC-0-1']);
+      const moves = { a: { action: 'FORTIFY', targetSector: 'SEC-0-0' }, b: conquer('SEC-0-0') };
+      let result;
+      for (const agentId of order) result = processMove(state, agentId, moves[agentId]);
+
+      assert.equal(result.orders.b.result.result, 'repelled');
+      assert.equal(state.grid['SEC-0-0'].owner, 'a');
+    }
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStorage } from '../storage/memory.js';
+import { repositories } from '../storage/repositories.js';
+import { MatchService } from '../match-service.js';
+import { TournamentService } from '../tournament-service.js';
+
+describe('tournament service', () => {
+  let db, repos, matchService, tournaments;
+
+  beforeEach(() => {
+    db = new MemoryStorage();
+    repos = repositories(db);
+    matchService = new MatchService(db);
+    tournaments = new TournamentService(db, matchService);
+  });
+
+  afterEach(() => {
+    matchService.stop();
+  });
+
+  async function agents(...names) {
+    const created = [];
+    for (const name of names) {
+      created.push((await repos.agents.create({ name, api_key: `key_${name}` })).data);
+    }
+    return created;
+  }
+
+  async function tournament(options = {}) {
+    const result = await tournaments.createTournament('organizer', { name: 'Cup', format: 'single_elimination', ...options });
+    assert.equal(result.success, true, result.error);
+    return result.tournament;
+  }
+
+  it('fills the last place only once when agents register at the same time', async () => {
+    const { id } = await tournament({ maxEntrants: 2 });
+    const field = await agents('a', 'b', 'c', 'd');
+
+    const results = await Promise.all(field.map(agent => tournaments.register(id, agent.id)));
+    assert.equal(results.filter(r => r.success).length, 2);
+    assert.deepEqual(results.filter(r => !r.success).map(r => r.error), ['Tournament is full', 'Tournament is full']);
+    assert.equal((await tournaments.getEntries(id)).length, 2);
+  });
+
+  it('seeds every entrant that registered while the tournament was starting', async () => {
+    const { id } = await tournament();
+    const [a, b, c, d] = await agents('a', 'b', 'c', 'd');
+    await tournaments.register(id, a.id);
+    await tournaments.register(id, b.id);
+
+    const [started] = await Promise.all([tournaments.startTournament(id), tournaments.register(id, c.id)]);
+    assert.equal(started.success, true, started.error);
+    const entries = await tournaments.getEntries(id);
+    assert.equal(started.entrants, entries.length);
+    assert.ok(entries.every(e => e.seed));
+
+    const late = await tournaments.register(id, d.id);
+    assert.deepEqual(late, { success: false, error: 'Registration is closed' });
+  });
+
+  it('holds a round match until its players have finished their other matches', async () => {
+    const { id } = await tournament();
+    const [a, b, other] = await agents('a', 'b', 'other');
+    await tournaments.register(id, a.id);
+    await tournaments.register(id, b.id);
+    const busy = await matchService.createMatch([a, other]);
+
+    await tournaments.startTournament(id);
+    let [round] = (await tournaments.getTournament(id)).rounds;
+    assert.equal(round[0].matchId, null);
+    assert.equal(round[0].status, 'pending');
+
+    await repos.matches.update(busy.id, { status: 'complete' });
+    matchService.activeMatches.delete(busy.id);
+    await tournaments.runRounds();
+    [round] = (await tournaments.getTournament(id)).rounds;
+    assert.equal(round[0].status, 'active');
+    const { data: match } = await repos.matches.findById(round[0].matchId, 'players, tournament_id');
+    assert.deepEqual([...match.players].sort(), [a.id, b.id].sort());
+    assert.equal(match.tournament_id, id);
+  });
+});
@@ -0,0 +1,446 @@
+/**
+ * Tournament Service - registration, rounds and results
+ *
+ * Tournaments are stored in `tournaments` (pairings and results per round, see
+ * tournaments.js) with entrants in `tournament_entries`. The matchmaker loop calls
+ * runRounds(): it starts tournaments whose scheduled time has come, collects results
+ * from finished matches and pairs the next round once every pairing has a result.
+ * Round matches are ordinary matches created through the MatchService.
+ */
+
+import { initMatch } from './game/engine.js';
+import {
+  TOURNAMENT_FORMATS,
+  MIN_ENTRANTS,
+  computeStandings,
+  plannedRounds,
+  pairNextRound,
+  isRoundFinished,
+  tournamentWinner
+} from './tournaments.js';
+import { repositories } from './storage/repositories.js';
+
+const MAX_ENTRANTS = 256;
+const MAX_SWISS_ROUNDS = 20;
+
+/**
+ * Entries in the shape the pairing functions take
+ */
+function toPairingEntries(entries) {
+  return entries.map(e => ({ agentId: e.agent_id, seed: e.seed }));
+}
+
+export class TournamentService {
+  /**
+   * @param {object} db - Storage client
+   * @param {MatchService} matchService - Creates the round matches
+   * @param {object} [options]
+   * @param {Function} [options.onRoundStarted] - (tournament, roundNumber, pairings)
+   * @param {Function} [options.onRoundEnded] - (tournament, roundNumber, pairings, standings)
+   * @param {Function} [options.onTournamentEnded] - (tournament, standings)
+   */
+  constructor(db, matchService, options = {}) {
+    this.db = db;
+    this.repos = repositories(db);
+    this.matchService = matchService;
+    this.onRoundStarted = options.onRoundStarted || (() => {});
+    this.onRoundEnded = options.onRoundEnded || (() => {});
+    this.onTournamentEnded = options.onTournamentEnded || (() => {});
+    this.running = false;
+  }
+
+  /**
+   * Create a tournament open for registration
+   * @param {string} agentId - Organizer (may start it early)
+   * @param {object} options - { name, format, maxEntrants, swissRounds, startsAt, matchOptions }
+   */
+  async createTournament(agentId, options = {}) {
+    const { name, format, maxEntrants = null, swissRounds = null, startsAt = null, matchOptions = {} } = options;
+
+    if (!name || typeof name !== 'string' || name.length > 64) {
+      return { success: false, error: 'name is required (max 64 characters)' };
+    }
+    if (!TOURNAMENT_FORMATS.includes(format)) {
+      return { success: false, error: `format must be one of: ${TOURNAMENT_FORMATS.join(', ')}` };
+    }
+    if (maxEntrants !== null && (!Number.isInteger(maxEntrants) || maxEntrants < MIN_ENTRANTS || maxEntrants > MAX_ENTRANTS)) {
+      return { success: false, error: `maxEntrants must be between ${MIN_ENTRANTS} and ${MAX_ENTRANTS}` };
+    }
+    if (swissRounds !== null && (format !== 'swiss' || !Number.isInteger(swissRounds) || swissRounds < 1 || swissRounds > MAX_SWISS_ROUNDS)) {
+      return { success: false, error: `swissRounds applies to swiss tournaments only (1-${MAX_SWISS_ROUNDS})` };
+    }
+    if (startsAt !== null && isNaN(new Date(startsAt).getTime())) {
+      return { success: false, error: 'startsAt must be an ISO 8601 timestamp' };
+    }
+
+    // Catch a bad ruleset or map now rather than when round one is paired
+    try {
+      initMatch(['validate-1', 'validate-2'], { ...this.matchService.matchOptions, ...matchOptions });
+    } catch (err) {
+      return { success: false, error: `Invalid match options: ${err.message}` };
+    }
+
+    const { data: tournament, error } = await this.db
+      .from('tournaments')
+      .insert({
+        name,
+        format,
+        created_by: agentId,
+        max_entrants: maxEntrants,
+        swiss_rounds: swissRounds,
+        match_options: matchOptions,
+        starts_at: startsAt ? new Date(startsAt).toISOString() : null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[TOURNAMENT] Failed to create tournament:', error);
+      return { success: false, error: 'Failed to create tournament' };
+    }
+
+    console.log(`[TOURNAMENT] Created ${tournament.name} (${format}) ${tournament.id}`);
+    return { success: true, tournament };
+  }
+
+  async getTournament(tournamentId) {
+    const { data: tournament } = await this.db
+      .from('tournaments')
+      .select('*')
+      .eq('id', tournamentId)
+      .maybeSingle();
+    return tournament || null;
+  }
+
+  async getEntries(tournamentId) {
+    const { data: entries } = await this.db
+      .from('tournament_entries')
+      .select('agent_id, seed, rating, registered_at')
+      .eq('tournament_id', tournamentId)
+      .order('registered_at', { ascending: true });
+    return entries || [];
+  }
+
+  /**
+   * Registrations for one tournament run one at a time, so two agents can't both
+   * take its last place and none lands after the start closes it
+   */
+  register(tournamentId, agentId) {
+    return this.matchService.serialize(`tournament:${tournamentId}`, async () => {
+      const tournament = await this.getTournament(tournamentId);
+      if (!tournament) {
+        return { success: false, code: 'NOT_FOUND', error: 'Tournament not found' };
+      }
+      if (tournament.status !== 'registration') {
+        return { success: false, error: 'Registration is closed' };
+      }
+
+      const entries = await this.getEntries(tournamentId);
+      if (entries.some(e => e.agent_id === agentId)) {
+        return { success: false, error: 'Already registered' };
+      }
+      if (tournament.max_entrants && entries.length >= tournament.max_entrants) {
+        return { success: false, error: 'Tournament is full' };
+      }
+
+      const { error } = await this.db
+        .from('tournament_entries')
+        .insert({ tournament_id: tournamentId, agent_id: agentId });
+
+      if (error) {
+        return { success: false, error: error.code === '23505' ? 'Already registered' : 'Failed to register' };
+      }
+
+      console.log(`[TOURNAMENT] ${agentId.slice(0, 8)} registered for ${tournament.name}`);
+      return { success: true, entrants: entries.length + 1 };
+    });
+  }
+
+  async withdraw(tournamentId, agentId) {
+    const tournament = await this.getTournament(tournamentId);
+    if (!tournament) {
+      return { success: false, code: 'NOT_FOUND', error: 'Tournament not found' };
+    }
+    if (tournament.status !== 'registration') {
+      return { success: false, error: 'Tournament has already started' };
+    }
+
+    await this.db
+      .from('tournament_entries')
+      .delete()
+      .eq('tournament_id', tournamentId)
+      .eq('agent_id', agentId);
+
+    return { success: true };
+  }
+
+  /**
+   * Close registration, seed entrants by rating and play round one. The organizer and the
+   * scheduled start can race: whichever moves the row out of 'registration' first starts
+   * it, and the other gets code STARTED.
+   */
+  async startTournament(tournamentId, agentId = null) {
+    const tournament = await this.getTournament(tournamentId);
+    if (!tournament) {
+      return { success: false, code: 'NOT_FOUND', error: 'Tournament not found' };
+    }
+    if (agentId && tournament.created_by !== agentId) {
+      return { success: false, code: 'FORBIDDEN', error: 'Only the organizer can start this tournament' };
+    }
+    if (tournament.status !== 'registration') {
+      return { success: false, code: 'STARTED', error: 'Tournament has already started' };
+    }
+    if ((await this.getEntries(tournamentId)).length < MIN_ENTRANTS) {
+      return { success: false, error: `At least ${MIN_ENTRANTS} entrants are needed` };
+    }
+
+    // Claim the start: only one caller sees the row change. It waits behind any
+    // registration in progress, and later ones find registration closed.
+    const started = {
+      ...tournament,
+      status: 'active',
+      started_at: new Date().toISOString()
+    };
+    const { data: claimed } = await this.matchService.serialize(`tournament:${tournamentId}`, () => this.db
+      .from('tournaments')
+      .update({ status: started.status, started_at: started.started_at })
+      .eq('id', tournamentId)
+      .eq('status', 'registration')
+      .select('id'));
+    if (!claimed?.length) {
+      return { success: false, code: 'STARTED', error: 'Tournament has already started' };
+    }
+
+    // Registration is closed now, so this is the final field
+    const entries = await this.getEntries(tournamentId);
+    if (entries.length < MIN_ENTRANTS) {
+      await this.db
+        .from('tournaments')
+        .update({ status: 'registration', started_at: null })
+        .eq('id', tournamentId);
+      return { success: false, error: `At least ${MIN_ENTRANTS} entrants are needed` };
+    }
+
+    const { data: agents } = await this.repos.agents.findMany(entries.map(e => e.agent_id), 'id, elo_rating');
+
+    // Highest rating is seed 1; earlier registration breaks ties
+    const ratingOf = (id) => agents?.find(a => a.id === id)?.elo_rating ?? 1000;
+    const seeded = [...entries].sort((a, b) => ratingOf(b.agent_id) - ratingOf(a.agent_id));
+    for (const [i, entry] of seeded.entries()) {
+      entry.seed = i + 1;
+      await this.db
+        .from('tournament_entries')
+        .update({ seed: entry.seed, rating: ratingOf(entry.agent_id) })
+        .eq('tournament_id', tournamentId)
+        .eq('agent_id', entry.agent_id);
+    }
+
+    console.log(`[TOURNAMENT] Started ${tournament.name} with ${entries.length} entrants`);
+    await this.nextRound(started, seeded);
+    return { success: true, entrants: entries.length };
+  }
+
+  // ============================================
+  // Rounds
+  // ============================================
+
+  /**
+   * One pass over scheduled and running tournaments (called from the matchmaker loop)
+   */
+  async runRounds() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const { data: due } = await this.db
+        .from('tournaments')
+        .select('id, name')
+        .eq('status', 'registration')
+        .lte('starts_at', new Date().toISOString());
+
+      for (const tournament of due || []) {
+        const result = await this.startTournament(tournament.id);
+        if (!result.success && result.code !== 'STARTED') {
+          console.log(`[TOURNAMENT] Cancelled ${tournament.name}: ${result.error}`);
+          await this.db
+            .from('tournaments')
+            .update({ status: 'cancelled', ended_at: new Date().toISOString() })
+            .eq('id', tournament.id);
+        }
+      }
+
+      const { data: active } = await this.db
+        .from('tournaments')
+        .select('*')
+        .eq('status', 'active');
+
+      for (const tournament of active || []) {
+        await this.advance(tournament);
+      }
+    } catch (err) {
+      console.error('[TOURNAMENT] Error:', err);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Collect results for the current round; when it's finished, pair the next one
+   */
+  async advance(tournament) {
+    const rounds = tournament.rounds || [];
+    const round = rounds[rounds.length - 1];
+    if (!round) return;
+
+    let changed = false;
+
+    // Pairings whose match could not be created yet
+    for (const pairing of round.filter(p => p.players && !p.matchId)) {
+      changed = (await this.createRoundMatch(tournament, rounds.length, pairing)) || changed;
+    }
+
+    const pending = round.filter(p => p.matchId && p.status !== 'complete');
+    if (pending.length) {
+      const { data: matches } = await this.repos.matches.findMany(pending.map(p => p.matchId), 'id, status, winner');
+
+      for (const pairing of pending) {
+        const match = matches?.find(m => m.id === pairing.matchId);
+        if (match?.status === 'complete') {
+          pairing.status = 'complete';
+          pairing.winner = match.winner || null;
+          changed = true;
+        }
+      }
+    }
+
+    if (changed) {
+      await this.db.from('tournaments').update({ rounds }).eq('id', tournament.id);
+    }
+    if (!isRoundFinished(round)) return;
+
+    const entries = await this.getEntries(tournament.id);
+    const standings = computeStandings(toPairingEntries(entries), rounds);
+    console.log(`[TOURNAMENT] ${tournament.name}: round ${rounds.length} finished`);
+    this.onRoundEnded(tournament, rounds.length, round, standings);
+
+    await this.nextRound(tournament, entries);
+  }
+
+  /**
+   * Pair and start the next round, or finish the tournament if there is none
+   */
+  async nextRound(tournament, entries) {
+    const rounds = tournament.rounds || [];
+    const pairingEntries = toPairingEntries(entries);
+    const pairings = pairNextRound(tournament.format, pairingEntries, rounds, { swissRounds: tournament.swiss_rounds });
+
+    if (!pairings) {
+      await this.finish(tournament, entries);
+      return;
+    }
+
+    const roundNumber = rounds.length + 1;
+    const round = pairings.map(p => p.bye ? p : { ...p, matchId: null, status: 'pending', winner: null });
+    rounds.push(round);
+    tournament.rounds = rounds;
+    tournament.current_round = roundNumber;
+
+    // Store the pairings before any match exists, so a restart can't pair the round twice
+    await this.db
+      .from('tournaments')
+      .update({ rounds, current_round: roundNumber })
+      .eq('id', tournament.id);
+
+    for (const pairing of round.filter(p => p.players)) {
+      await this.createRoundMatch(tournament, roundNumber, pairing);
+    }
+    await this.db.from('tournaments').update({ rounds }).eq('id', tournament.id);
+
+    console.log(`[TOURNAMENT] ${tournament.name}: round ${roundNumber} started (${round.length} pairings)`);
+    this.onRoundStarted(tournament, roundNumber, round);
+  }
+
+  /**
+   * Start the match for one pairing. While a player is still in another match the
+   * pairing waits, and advance() tries again on a later pass.
+   * @returns {Promise<boolean>} Whether the match was created
+   */
+  async createRoundMatch(tournament, roundNumber, pairing) {
+    const { data: agents } = await this.repos.agents.findMany(pairing.players, 'id, name, elo_rating');
+
+    const ordered = pairing.players.map(id => agents?.find(a => a.id === id)).filter(Boolean);
+    if (ordered.length !== pairing.players.length) return false;
+
+    for (const agentId of pairing.players) {
+      if (await this.matchService.findActiveMatch(agentId)) return false;
+    }
+
+    const match = await this.matchService.createMatch(ordered, tournament.match_options || {}, {
+      tournament_id: tournament.id,
+      tournament_round: roundNumber
+    });
+    if (!match) return false;
+
+    pairing.matchId = match.id;
+    pairing.status = 'active';
+    return true;
+  }
+
+  async finish(tournament, entries) {
+    const rounds = tournament.rounds || [];
+    const pairingEntries = toPairingEntries(entries);
+    const winner = tournamentWinner(tournament.format, pairingEntries, rounds);
+    const standings = computeStandings(pairingEntries, rounds);
+
+    const finished = {
+      ...tournament,
+      status: 'complete',
+      winner,
+      ended_at: new Date().toISOString()
+    };
+    await this.db
+      .from('tournaments')
+      .update({ status: finished.status, winner, ended_at: finished.ended_at })
+      .eq('id', tournament.id);
+
+    console.log(`[TOURNAMENT] ${tournament.name} complete | Winner: ${winner}`);
+    this.onTournamentEnded(finished, standings);
+  }
+
+  // ============================================
+  // Views
+  // ============================================
+
+  /**
+   * Current standings with tie-breakers
+   */
+  async getStandings(tournamentId) {
+    const tournament = await this.getTournament(tournamentId);
+    if (!tournament) return null;
+
+    const entries = await this.getEntries(tournamentId);
+    // Before seeding, registration order stands in for seeds
+    const pairingEntries = entries.map((e, i) => ({ agentId: e.agent_id, seed: e.seed ?? i + 1 }));
+    return { tournament, standings: computeStandings(pairingEntries, tournament.rounds || []) };
+  }
+
+  /**
+   * Every round's pairings and results
+   */
+  async getBracket(tournamentId) {
+    const tournament = await this.getTournament(tournamentId);
+    if (!tournament) return null;
+
+    const entries = await this.getEntries(tournamentId);
+    return {
+      tournament,
+      plannedRounds: plannedRounds(tournament.format, entries.length, tournament.swiss_rounds),
+      rounds: (tournament.rounds || []).map((round, i) => ({
+        round: i + 1,
+        finished: isRoundFinished(round),
+        pairings: round
+      }))
+    };
+  }
+}
+
+export default TournamentService;
@@ -0,0 +1,323 @@
+/**
+ * The Alignment Protocol - Tournament Pairings and Standings
+ *
+ * Pure functions over a tournament's entries and rounds. A round is a list of
+ * pairings, each either a match { players: [a, b], matchId, status, winner } or a
+ * bye { bye: agentId }. Results are whatever the matches ended with: a winner,
+ * or a draw (winner null once complete).
+ *
+ * Formats:
+ *   round_robin         Everyone plays everyone once (circle method)
+ *   swiss               Fixed number of rounds, each pairing players on equal scores
+ *   single_elimination  Seeded bracket, one loss and you're out
+ *   double_elimination  Out after two losses; winners and losers brackets meet in a final
+ *
+ * Standings: 1 point per win or bye, half a point per draw. Ties are broken by
+ * Buchholz (opponents' points), then Sonneborn-Berger (points of the opponents you
+ * beat, half for the ones you drew), then seed. In elimination formats a draw
+ * sends the higher seed through.
+ */
+
+export const TOURNAMENT_FORMATS = ['round_robin', 'swiss', 'single_elimination', 'double_elimination'];
+export const MIN_ENTRANTS = 2;
+
+/**
+ * Outcome of a finished pairing for one of its players: 'win' | 'loss' | 'draw' | null (not finished)
+ */
+function outcomeFor(pairing, agentId) {
+  if (pairing.bye) return pairing.bye === agentId ? 'win' : null;
+  if (pairing.status !== 'complete') return null;
+  if (!pairing.winner) return 'draw';
+  return pairing.winner === agentId ? 'win' : 'loss';
+}
+
+/**
+ * The player who goes through from a finished elimination pairing
+ */
+function advancing(pairing, seedOf) {
+  if (pairing.bye) return pairing.bye;
+  if (pairing.winner) return pairing.winner;
+  const [a, b] = pairing.players;
+  return seedOf(a) <= seedOf(b) ? a : b;
+}
+
+/**
+ * Points, tie-breakers and rank for every entrant, best first
+ * @param {object[]} entries - [{ agentId, seed }]
+ * @param {object[][]} rounds
+ */
+export function computeStandings(entries, rounds) {
+  const rows = Object.fromEntries(entries.map(e => [e.agentId, {
+    agentId: e.agentId,
+    seed: e.seed,
+    points: 0,
+    wins: 0,
+    losses: 0,
+    draws: 0,
+    byes: 0,
+    opponents: [],
+    beaten: [],
+    drawn: []
+  }]));
+
+  for (const round of rounds) {
+    for (const pairing of round) {
+      if (pairing.bye) {
+        const row = rows[pairing.bye];
+        if (row) {
+          row.points += 1;
+          row.byes++;
+        }
+        continue;
+      }
+      for (const agentId of pairing.players) {
+        const row = rows[agentId];
+        const opponent = pairing.players.find(id => id !== agentId);
+        const outcome = outcomeFor(pairing, agentId);
+        if (!row || !outcome) continue;
+
+        row.opponents.push(opponent);
+        if (outcome === 'win') {
+          row.points += 1;
+          row.wins++;
+          row.beaten.push(opponent);
+        } else if (outcome === 'draw') {
+          row.points += 0.5;
+          row.draws++;
+          row.drawn.push(opponent);
+        } else {
+          row.losses++;
+        }
+      }
+    }
+  }
+
+  const pointsOf = (id) => rows[id]?.points || 0;
+  const standings = Object.values(rows).map(({ opponents, beaten, drawn, ...row }) => ({
+    ...row,
+    buchholz: opponents.reduce((sum, id) => sum + pointsOf(id), 0),
+    sonnebornBerger: beaten.reduce((sum, id) => sum + pointsOf(id), 0) + drawn.reduce((sum, id) => sum + pointsOf(id) / 2, 0)
+  }));
+
+  standings.sort((a, b) =>
+    b.points - a.points ||
+    b.buchholz - a.buchholz ||
+    b.sonnebornBerger - a.sonnebornBerger ||
+    a.seed - b.seed
+  );
+  return standings.map((row, i) => ({ ...row, rank: i + 1 }));
+}
+
+/**
+ * How many rounds a format plays (elimination formats run until one player is left)
+ * @returns {number|null}
+ */
+export function plannedRounds(format, entrantCount, swissRounds) {
+  if (format === 'round_robin') return entrantCount % 2 === 0 ? entrantCount - 1 : entrantCount;
+  if (format === 'swiss') return swissRounds || Math.ceil(Math.log2(entrantCount));
+  return null;
+}
+
+/**
+ * Seed slots of a bracket in play order, so seeds 1 and 2 can only meet in the final
+ * e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+ */
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const next = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, next - seed]);
+  }
+  return order;
+}
+
+/**
+ * Pair a list in order, giving a bye to the first player who hasn't had one if it's odd
+ */
+function pairInOrder(agentIds, hadBye) {
+  const players = [...agentIds];
+  const pairings = [];
+  if (players.length % 2 === 1) {
+    const byeIndex = players.findIndex(id => !hadBye.has(id));
+    pairings.push({ bye: players.splice(byeIndex === -1 ? 0 : byeIndex, 1)[0] });
+  }
+  for (let i = 0; i + 1 < players.length; i += 2) {
+    pairings.push({ players: [players[i], players[i + 1]] });
+  }
+  return pairings;
+}
+
+function roundRobinRound(seeded, roundIndex) {
+  const slots = seeded.length % 2 === 0 ? [...seeded] : [...seeded, null];
+  const n = slots.length;
+
+  // Circle method: the first slot stays put, the rest rotate one step per round
+  const rest = slots.slice(1);
+  const shift = roundIndex % rest.length;
+  const rotated = [slots[0], ...rest.slice(rest.length - shift), ...rest.slice(0, rest.length - shift)];
+
+  const pairings = [];
+  for (let i = 0; i < n / 2; i++) {
+    const [a, b] = [rotated[i], rotated[n - 1 - i]];
+    if (a && b) pairings.push({ players: [a, b] });
+    else pairings.push({ bye: a || b });
+  }
+  return pairings;
+}
+
+function swissRound(entries, rounds) {
+  const standings = computeStandings(entries, rounds);
+  const played = new Set();
+  const hadBye = new Set();
+  for (const round of rounds) {
+    for (const pairing of round) {
+      if (pairing.bye) hadBye.add(pairing.bye);
+      else played.add(pairing.players.slice().sort().join(':'));
+    }
+  }
+
+  let order = standings.map(s => s.agentId);
+  const pairings = [];
+
+  // Lowest-ranked player without a bye sits out
+  if (order.length % 2 === 1) {
+    const byeId = [...order].reverse().find(id => !hadBye.has(id)) || order[order.length - 1];
+    pairings.push({ bye: byeId });
+    order = order.filter(id => id !== byeId);
+  }
+
+  // Top down: each player meets the next-best player they haven't played yet
+  while (order.length) {
+    const [a, ...rest] = order;
+    const b = rest.find(id => !played.has([a, id].sort().join(':'))) || rest[0];
+    pairings.push({ players: [a, b] });
+    order = rest.filter(id => id !== b);
+  }
+  return pairings;
+}
+
+function singleEliminationRound(entries, rounds) {
+  const seedOf = (id) => entries.find(e => e.agentId === id).seed;
+
+  if (rounds.length === 0) {
+    const bySeed = [...entries].sort((a, b) => a.seed - b.seed);
+    let size = 1;
+    while (size < bySeed.length) size *= 2;
+
+    const slots = bracketOrder(size).map(seed => bySeed[seed - 1]?.agentId || null);
+    const pairings = [];
+    for (let i = 0; i < size; i += 2) {
+      const [a, b] = [slots[i], slots[i + 1]];
+      if (a && b) pairings.push({ players: [a, b] });
+      else if (a || b) pairings.push({ bye: a || b });
+    }
+    return pairings;
+  }
+
+  // Winners of neighbouring pairings meet, keeping the bracket order
+  const through = rounds[rounds.length - 1].map(p => advancing(p, seedOf));
+  if (through.length <= 1) return null;
+  return pairInOrder(through, new Set());
+}
+
+function doubleEliminationRound(entries, rounds) {
+  const seedOf = (id) => entries.find(e => e.agentId === id).seed;
+  const losses = Object.fromEntries(entries.map(e => [e.agentId, 0]));
+  const hadBye = new Set();
+  for (const round of rounds) {
+    for (const pairing of round) {
+      if (pairing.bye) {
+        hadBye.add(pairing.bye);
+        continue;
+      }
+      for (const agentId of pairing.players) {
+        const outcome = outcomeFor(pairing, agentId);
+        if (outcome === 'loss' || (outcome === 'draw' && advancing(pairing, seedOf) !== agentId)) {
+          losses[agentId]++;
+        }
+      }
+    }
+  }
+
+  const bySeed = [...entries].sort((a, b) => a.seed - b.seed).map(e => e.agentId);
+  const winnersBracket = bySeed.filter(id => losses[id] === 0);
+  const losersBracket = bySeed.filter(id => losses[id] === 1);
+
+  if (winnersBracket.length + losersBracket.length <= 1) return null;
+
+  // Grand final: the last unbeaten player against the last one-loss player
+  if (winnersBracket.length === 1 && losersBracket.length === 1) {
+    return [{ players: [winnersBracket[0], losersBracket[0]], final: true }];
+  }
+
+  const pairings = [];
+  if (winnersBracket.length > 1) {
+    pairings.push(...pairInOrder(winnersBracket, hadBye).map(p => ({ ...p, bracket: 'winners' })));
+  } else {
+    pairings.push(...winnersBracket.map(id => ({ bye: id, bracket: 'winners' })));
+  }
+  if (losersBracket.length > 1) {
+    pairings.push(...pairInOrder(losersBracket, hadBye).map(p => ({ ...p, bracket: 'losers' })));
+  } else {
+    pairings.push(...losersBracket.map(id => ({ bye: id, bracket: 'losers' })));
+  }
+  return pairings;
+}
+
+/**
+ * Pairings for the next round, or null when the tournament is over
+ * @param {string} format
+ * @param {object[]} entries - [{ agentId, seed }]
+ * @param {object[][]} rounds - Rounds played so far, all finished
+ * @param {object} [options] - { swissRounds }
+ */
+export function pairNextRound(format, entries, rounds, options = {}) {
+  const planned = plannedRounds(format, entries.length, options.swissRounds);
+  if (planned !== null && rounds.length >= planned) return null;
+
+  switch (format) {
+    case 'round_robin': {
+      const seeded = [...entries].sort((a, b) => a.seed - b.seed).map(e => e.agentId);
+      return roundRobinRound(seeded, rounds.length);
+    }
+    case 'swiss':
+      return swissRound(entries, rounds);
+    case 'single_elimination':
+      return singleEliminationRound(entries, rounds);
+    case 'double_elimination':
+      return doubleEliminationRound(entries, rounds);
+    default:
+      throw new Error(`Unknown tournament format: ${format}. Available: ${TOURNAMENT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Whether every pairing of a round has a result
+ */
+export function isRoundFinished(round) {
+  return round.every(p => p.bye || p.status === 'complete');
+}
+
+/**
+ * Champion of a finished tournament: the last player standing, or the top of the standings
+ */
+export function tournamentWinner(format, entries, rounds) {
+  if (!rounds.length) return null;
+  const seedOf = (id) => entries.find(e => e.agentId === id).seed;
+
+  if (format === 'single_elimination' || format === 'double_elimination') {
+    const last = rounds[rounds.length - 1];
+    return last.length === 1 ? advancing(last[0], seedOf) : null;
+  }
+  return computeStandings(entries, rounds)[0]?.agentId || null;
+}
+
+export default {
+  TOURNAMENT_FORMATS,
+  MIN_ENTRANTS,
+  computeStandings,
+  plannedRounds,
+  pairNextRound,
+  isRoundFinished,
+  tournamentWinner
+};
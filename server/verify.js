@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * The Alignment Protocol - Match Verification CLI
+ *
+ * Re-runs finished matches from the configured storage (STORAGE, SUPABASE_URL, ...
+ * as for the server) through the engine and reports every logged action whose
+ * recomputed result or grid differs from the stored one. See integrity.js.
+ * Exits with status 1 if any match desynced.
+ *
+ *   node verify.js [matchId ...] [options]
+ *
+ * Options:
+ *   --all        Every finished match (the default when no IDs are given)
+ *   --since DATE Only matches that ended on or after DATE (ISO 8601)
+ *   --save       Store the reports in match_integrity, as the server does
+ *   --json       Print each report as a JSON line instead of a summary
+ */
+
+import { resolve } from 'path';
+import dotenv from 'dotenv';
+import { createStorage } from './storage/index.js';
+import { IntegrityChecker } from './integrity.js';
+import { repositories } from './storage/repositories.js';
+
+const PAGE_SIZE = 50;
+
+function parseArgs(argv) {
+  const args = { matchIds: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--all': args.all = true; break;
+      case '--since': args.since = value(); break;
+      case '--save': args.save = true; break;
+      case '--json': args.json = true; break;
+      default:
+        if (arg.startsWith('--')) {
+          throw new Error(`Unknown option: ${arg}. Usage: node verify.js [matchId ...] [--all] [--since DATE] [--save] [--json]`);
+        }
+        args.matchIds.push(arg);
+    }
+  }
+
+  if (args.since && isNaN(Date.parse(args.since))) {
+    throw new Error('--since must be a date, e.g. 2026-01-31');
+  }
+  return args;
+}
+
+/**
+ * IDs of finished matches, a page at a time
+ */
+async function* finishedMatchIds(db, since) {
+  let cursor = null;
+  while (true) {
+    const { data: matches, error } = await repositories(db).matches.pageComplete('id', {
+      after: cursor, limit: PAGE_SIZE, endedFrom: since
+    });
+    if (error) throw new Error(`Failed to load matches: ${error.message}`);
+    if (!matches.length) return;
+    cursor = matches[matches.length - 1].id;
+    for (const match of matches) yield match.id;
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  dotenv.config();
+
+  // Reports may go to stdout as JSON, so logging goes to stderr
+  console.log = (...messages) => console.error(...messages);
+
+  const db = createStorage();
+  const checker = new IntegrityChecker(db);
+  const matchIds = args.matchIds.length && !args.all ? args.matchIds : finishedMatchIds(db, args.since);
+
+  const counts = { ok: 0, desync: 0, unverifiable: 0, missing: 0 };
+  for await (const matchId of matchIds) {
+    const report = await checker.checkMatch(matchId, { save: !!args.save });
+    if (!report) {
+      counts.missing++;
+      console.error(`[VERIFY] ${matchId}: no finished match with that ID`);
+      continue;
+    }
+    counts[report.status]++;
+
+    if (args.json) {
+      process.stdout.write(JSON.stringify(report) + '\n');
+    } else if (report.status === 'ok') {
+      process.stdout.write(`${matchId}  ok (${report.checkedActions} actions)\n`);
+    } else {
+      process.stdout.write(`${matchId}  ${report.status.toUpperCase()}${report.desyncCount ? ` (${report.desyncCount} of ${report.checkedActions} actions differ)` : ''}\n`);
+      for (const desync of report.desyncs) {
+        const where = [
+          desync.resultFields.length && `result: ${desync.resultFields.join(', ')}`,
+          desync.sectors.length && `sectors: ${desync.sectors.slice(0, 10).join(', ')}${desync.sectors.length > 10 ? ` (+${desync.sectors.length - 10} more)` : ''}`,
+          desync.rejected && `rejected: ${desync.rejected}`
+        ].filter(Boolean).join('; ');
+        process.stdout.write(`    action ${desync.index} (turn ${desync.turn}, ${desync.agentId}) ${where}\n`);
+      }
+      for (const error of report.errors) {
+        process.stdout.write(`    ${error}\n`);
+      }
+    }
+  }
+
+  console.error(`[VERIFY] ${counts.ok} ok, ${counts.desync} desynced, ${counts.unverifiable} unverifiable${counts.missing ? `, ${counts.missing} not found` : ''}`);
+  if (counts.desync) process.exitCode = 1;
+}
+
+// Run as a CLI, but stay importable
+if (process.argv[1] && resolve(process.argv[1]) === resolve(new URL(import.meta.url).pathname)) {
+  main().catch((err) => {
+    console.error(`[VERIFY] ${err.message}`);
+    process.exit(1);
+  });
+}
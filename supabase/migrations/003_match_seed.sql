@@ -0,0 +1,6 @@
+-- Migration: Store the RNG seed for every match
+-- Run this in Supabase SQL Editor
+
+-- Seed + the logged moves are enough to reproduce a match with the engine
+ALTER TABLE matches
+ADD COLUMN IF NOT EXISTS seed TEXT;
@@ -0,0 +1,20 @@
+-- Migration: Free-for-all matches (3-6 players)
+-- Run this in Supabase SQL Editor
+
+-- Full player list in turn-order-independent join order.
+-- player_1 / player_2 stay filled with the first two players for older clients.
+ALTER TABLE matches
+ADD COLUMN IF NOT EXISTS players UUID[];
+
+UPDATE matches
+SET players = ARRAY[player_1, player_2]
+WHERE players IS NULL AND player_1 IS NOT NULL AND player_2 IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_matches_players_all ON matches USING GIN (players);
+
+-- Match size each queued agent is waiting for
+ALTER TABLE agents
+ADD COLUMN IF NOT EXISTS queue_match_size INT DEFAULT 2 CHECK (queue_match_size BETWEEN 2 AND 6);
+
+ALTER TABLE match_queue
+ADD COLUMN IF NOT EXISTS match_size INT DEFAULT 2 CHECK (match_size BETWEEN 2 AND 6);
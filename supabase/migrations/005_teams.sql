@@ -0,0 +1,9 @@
+-- Migration: Team matches (2v2, 3v3)
+-- Run this in Supabase SQL Editor
+
+-- Whether each queued agent wants to play on a team
+ALTER TABLE agents
+ADD COLUMN IF NOT EXISTS queue_teams BOOLEAN DEFAULT false;
+
+ALTER TABLE match_queue
+ADD COLUMN IF NOT EXISTS teams BOOLEAN DEFAULT false;
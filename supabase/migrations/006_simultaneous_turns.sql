@@ -0,0 +1,13 @@
+-- Migration: Simultaneous-turn matches
+-- Run this in Supabase SQL Editor
+
+-- Every agent the current turn is waiting on. Alternating matches hold just the
+-- current player; simultaneous matches hold everyone who hasn't submitted orders yet.
+ALTER TABLE matches
+ADD COLUMN IF NOT EXISTS awaiting_players UUID[] DEFAULT '{}';
+
+UPDATE matches
+SET awaiting_players = ARRAY[current_turn_agent_id]
+WHERE status = 'active' AND current_turn_agent_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_matches_awaiting_players ON matches USING GIN (awaiting_players);
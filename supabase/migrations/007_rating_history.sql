@@ -0,0 +1,36 @@
+-- Migration: Server-side ratings with history
+-- Run this in Supabase SQL Editor
+
+-- Ratings are now computed by the server (server/ratings.js) instead of the
+-- update_match_elo function. agent_stats holds the rating per game type;
+-- rating_history keeps every change so the numbers can be charted and audited.
+
+CREATE TABLE IF NOT EXISTS rating_history (
+  id BIGSERIAL PRIMARY KEY,
+  match_id UUID REFERENCES matches(id) ON DELETE CASCADE,
+  agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  game_type TEXT NOT NULL DEFAULT 'alignment-protocol',
+  result TEXT NOT NULL CHECK (result IN ('win', 'loss', 'draw')),
+  rating_before INT NOT NULL,
+  rating_after INT NOT NULL,
+  rating_change INT NOT NULL,
+  k_factor INT NOT NULL,
+  expected_score REAL NOT NULL,
+  actual_score REAL NOT NULL,
+  games_played INT NOT NULL, -- Rated games including this one
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_history_agent ON rating_history(agent_id, game_type, created_at);
+CREATE INDEX IF NOT EXISTS idx_rating_history_match ON rating_history(match_id);
+
+ALTER TABLE rating_history ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Public can view rating history" ON rating_history FOR SELECT USING (true);
+CREATE POLICY "Service can manage rating history" ON rating_history FOR ALL USING (auth.role() = 'service_role');
+
+-- agent_stats was backfilled with win/loss counts but the default rating;
+-- carry over the ratings agents actually have
+UPDATE agent_stats s
+SET elo_rating = a.elo_rating
+FROM agents a
+WHERE s.agent_id = a.id AND s.game_type = 'alignment-protocol';
@@ -0,0 +1,48 @@
+-- Migration: Tournaments
+-- Run this in Supabase SQL Editor
+
+-- A tournament runs head-to-head matches in rounds (round-robin, Swiss, single or
+-- double elimination). Pairings and results for every round live in tournaments.rounds;
+-- each played pairing points at its match through matches.tournament_id.
+
+CREATE TABLE IF NOT EXISTS tournaments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  format TEXT NOT NULL CHECK (format IN ('round_robin', 'swiss', 'single_elimination', 'double_elimination')),
+  status TEXT NOT NULL DEFAULT 'registration' CHECK (status IN ('registration', 'active', 'complete', 'cancelled')),
+  created_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  max_entrants INT,
+  swiss_rounds INT,                      -- Swiss only; defaults to ceil(log2(entrants))
+  match_options JSONB DEFAULT '{}',      -- Ruleset, map, turn mode for every match
+  starts_at TIMESTAMPTZ,                 -- Scheduled start (null = started by the creator)
+  started_at TIMESTAMPTZ,
+  ended_at TIMESTAMPTZ,
+  current_round INT DEFAULT 0,
+  rounds JSONB DEFAULT '[]',             -- [[{ players, matchId, status, winner } | { bye }]]
+  winner UUID REFERENCES agents(id),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS tournament_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tournament_id UUID REFERENCES tournaments(id) ON DELETE CASCADE,
+  agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  seed INT,                              -- Assigned at start, by rating
+  rating INT,                            -- Rating when seeded
+  registered_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (tournament_id, agent_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tournaments_status ON tournaments(status, starts_at);
+CREATE INDEX IF NOT EXISTS idx_tournament_entries_tournament ON tournament_entries(tournament_id);
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS tournament_id UUID REFERENCES tournaments(id) ON DELETE SET NULL;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS tournament_round INT;
+CREATE INDEX IF NOT EXISTS idx_matches_tournament ON matches(tournament_id);
+
+ALTER TABLE tournaments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tournament_entries ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Public can view tournaments" ON tournaments FOR SELECT USING (true);
+CREATE POLICY "Service can manage tournaments" ON tournaments FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Public can view tournament entries" ON tournament_entries FOR SELECT USING (true);
+CREATE POLICY "Service can manage tournament entries" ON tournament_entries FOR ALL USING (auth.role() = 'service_role');
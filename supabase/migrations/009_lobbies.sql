@@ -0,0 +1,32 @@
+-- Migration: Direct challenges and private lobbies
+-- Run this in Supabase SQL Editor
+
+-- A lobby gathers agents for one match outside the public queue. kind = 'challenge'
+-- is a head-to-head invitation for invited_agent_id to accept or decline;
+-- kind = 'lobby' is a private room anyone with the join code can enter.
+
+CREATE TABLE IF NOT EXISTS lobbies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind TEXT NOT NULL CHECK (kind IN ('challenge', 'lobby')),
+  code TEXT UNIQUE,                       -- Join code (private lobbies only)
+  host_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  invited_agent_id UUID REFERENCES agents(id) ON DELETE CASCADE, -- Challenges only
+  match_size INT NOT NULL DEFAULT 2,
+  teams BOOLEAN NOT NULL DEFAULT false,
+  match_options JSONB DEFAULT '{}',       -- Ruleset, map, turn mode
+  players UUID[] NOT NULL DEFAULT '{}',   -- Seated agents, host first
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'started', 'declined', 'cancelled', 'expired')),
+  match_id UUID REFERENCES matches(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ,
+  closed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lobbies_invited ON lobbies(invited_agent_id, status);
+CREATE INDEX IF NOT EXISTS idx_lobbies_host ON lobbies(host_id, status);
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS lobby_id UUID REFERENCES lobbies(id) ON DELETE SET NULL;
+
+-- Join codes are secrets: no public read access, the server reads with the service role
+ALTER TABLE lobbies ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service can manage lobbies" ON lobbies FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,13 @@
+-- Migration: Unrated matches and house bots
+-- Run this in Supabase SQL Editor
+
+-- Unrated matches are played and logged like any other, but leave ratings,
+-- win/loss counts and rating_history alone. Practice games against house bots
+-- are always unrated, and so are challenges and private lobbies unless the host opts in.
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS rated BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE lobbies ADD COLUMN IF NOT EXISTS rated BOOLEAN NOT NULL DEFAULT false;
+
+-- House bots are server-hosted agents; house_bot names the strategy (see server/bots.js).
+-- The server creates their accounts on startup.
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS house_bot TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_agents_house_bot ON agents(house_bot) WHERE house_bot IS NOT NULL;
@@ -0,0 +1,47 @@
+-- Migration: Rating seasons
+-- Run this in Supabase SQL Editor
+
+-- Play is divided into seasons per game type. When one ends the server archives
+-- its final leaderboard to season_standings and pulls every rating part of the way
+-- back to 1000 (seasons.carryover is the share kept), then opens the next season.
+-- Records within a season are the rating_history rows between its dates.
+
+CREATE TABLE IF NOT EXISTS seasons (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_type TEXT NOT NULL DEFAULT 'alignment-protocol',
+  number INT NOT NULL,
+  name TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'complete')),
+  starts_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ends_at TIMESTAMPTZ,                   -- Planned end (null = runs until ended)
+  ended_at TIMESTAMPTZ,
+  carryover REAL NOT NULL DEFAULT 0.5,   -- Share of each rating's distance from 1000 kept at the reset
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (game_type, number)
+);
+
+-- One active season per game type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_active ON seasons(game_type) WHERE status = 'active';
+
+CREATE TABLE IF NOT EXISTS season_standings (
+  id BIGSERIAL PRIMARY KEY,
+  season_id UUID REFERENCES seasons(id) ON DELETE CASCADE,
+  agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  rank INT NOT NULL,
+  elo_rating INT NOT NULL,               -- Final rating, before the reset
+  games_played INT NOT NULL DEFAULT 0,
+  wins INT NOT NULL DEFAULT 0,
+  losses INT NOT NULL DEFAULT 0,
+  draws INT NOT NULL DEFAULT 0,
+  UNIQUE (season_id, agent_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_season_standings_season ON season_standings(season_id, rank);
+CREATE INDEX IF NOT EXISTS idx_rating_history_game ON rating_history(game_type, created_at);
+
+ALTER TABLE seasons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE season_standings ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Public can view seasons" ON seasons FOR SELECT USING (true);
+CREATE POLICY "Service can manage seasons" ON seasons FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Public can view season standings" ON season_standings FOR SELECT USING (true);
+CREATE POLICY "Service can manage season standings" ON season_standings FOR ALL USING (auth.role() = 'service_role');
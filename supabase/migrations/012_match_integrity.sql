@@ -0,0 +1,19 @@
+-- Migration: Match integrity reports
+-- Run this in Supabase SQL Editor
+
+-- The server re-runs every finished match's game_logs through the engine from its
+-- seed and compares each recomputed result and grid with the stored ones. The latest
+-- report for each match is kept here; desyncs lists the first rows that differed.
+
+CREATE TABLE IF NOT EXISTS match_integrity (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  match_id UUID NOT NULL UNIQUE REFERENCES matches(id) ON DELETE CASCADE,
+  status TEXT NOT NULL CHECK (status IN ('ok', 'desync', 'unverifiable')),
+  checked_actions INT NOT NULL DEFAULT 0,
+  desync_count INT NOT NULL DEFAULT 0,
+  desyncs JSONB NOT NULL DEFAULT '[]',    -- [{ index, turn, agentId, action, resultFields, sectors, rejected }]
+  errors JSONB NOT NULL DEFAULT '[]',     -- Outcome mismatches, or why the match couldn't be checked
+  checked_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_integrity_status ON match_integrity(status, checked_at DESC);
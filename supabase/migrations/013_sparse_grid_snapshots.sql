@@ -0,0 +1,9 @@
+-- Migration: Sparse grid snapshots
+-- Run this in Supabase SQL Editor
+
+-- game_logs no longer stores the full grid after every move: the server keeps one
+-- every GRID_SNAPSHOT_INTERVAL moves and on a match's last move (every move on custom
+-- maps, which the engine can't recreate). Replays rebuild the grid in between by
+-- re-running the actions, so the other rows leave grid_state NULL.
+
+ALTER TABLE game_logs ALTER COLUMN grid_state DROP NOT NULL;